@@ -21,6 +21,7 @@ admin.initializeApp({
 });
 
 const db = admin.firestore();
+const auth = admin.auth();
 
 // Connect to emulator in development only
 if (process.env.NODE_ENV === 'development') {
@@ -32,4 +33,13 @@ if (process.env.NODE_ENV === 'development') {
   console.log('🔥 Firestore emulator connected');
 }
 
-export { db };
+// firebase-admin verifies ID tokens against the Auth emulator whenever
+// FIREBASE_AUTH_EMULATOR_HOST is set, and then accepts the emulator's unsigned
+// tokens. It is never set for you: the operator opts in explicitly.
+if (process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+  console.warn(
+    `🔥 Auth emulator at ${process.env.FIREBASE_AUTH_EMULATOR_HOST}: unsigned ID tokens are accepted`
+  );
+}
+
+export { db, auth };
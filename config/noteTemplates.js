@@ -0,0 +1,42 @@
+// Clinical note templates for session notes. A note is written against one
+// template and holds one free-text field per section. Drafts may leave
+// sections empty; a note can only be signed once every required section is
+// filled in.
+//
+// `narrative` is the single free-text note that PUT /api/sessions/:id/notes-attachments
+// has always written; it keeps that endpoint working on top of versioned notes.
+
+const NOTE_TEMPLATES = {
+  soap: {
+    title: 'SOAP',
+    sections: [
+      { key: 'subjective', label: 'Subjective', hint: "The client's account: symptoms, concerns, mood", required: true },
+      { key: 'objective', label: 'Objective', hint: 'Observations, presentation, measures', required: true },
+      { key: 'assessment', label: 'Assessment', hint: 'Clinical impression and progress', required: true },
+      { key: 'plan', label: 'Plan', hint: 'Next steps, homework, next session', required: true },
+    ],
+  },
+  dap: {
+    title: 'DAP',
+    sections: [
+      { key: 'data', label: 'Data', hint: 'What was said and observed in the session', required: true },
+      { key: 'assessment', label: 'Assessment', hint: 'Interpretation and progress towards goals', required: true },
+      { key: 'plan', label: 'Plan', hint: 'Next steps, homework, next session', required: true },
+    ],
+  },
+  birp: {
+    title: 'BIRP',
+    sections: [
+      { key: 'behavior', label: 'Behavior', hint: "The client's presentation and reported behaviour", required: true },
+      { key: 'intervention', label: 'Intervention', hint: 'Techniques and interventions used', required: true },
+      { key: 'response', label: 'Response', hint: "The client's response to the interventions", required: true },
+      { key: 'plan', label: 'Plan', hint: 'Next steps, homework, next session', required: true },
+    ],
+  },
+  narrative: {
+    title: 'Narrative',
+    sections: [{ key: 'note', label: 'Note', required: true }],
+  },
+};
+
+export { NOTE_TEMPLATES };
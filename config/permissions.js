@@ -0,0 +1,93 @@
+// Permission catalog and role defaults used by `requirePermission`.
+//
+// Permissions are `<resource>:<action>` strings. A grant may also be a
+// wildcard: `*` (everything) or `<resource>:*` (every action on a resource).
+
+const PERMISSIONS = {
+  'patients:read': 'View patient records',
+  'patients:write': 'Create and update patients, assign therapists, flag patients',
+  'patients:delete': 'Delete patient records',
+  'therapists:read': 'View therapist profiles',
+  'therapists:write': 'Create and update therapists, availability and assignments',
+  'therapists:delete': 'Delete therapist profiles',
+  'sessions:read': 'View sessions',
+  'sessions:write': 'Create and update sessions, notes and attendance',
+  'sessions:delete': 'Delete sessions',
+  'analytics:read': 'View analytics dashboards',
+  'admins:read': 'View admin accounts',
+  'admins:write': 'Update admin account details',
+  'admins:manage': 'Create and delete admins, change roles and permissions',
+  'settings:manage': 'Change system-wide security settings',
+  'audit:read': 'Query and verify the audit log (super_admin only)',
+};
+
+// Pre-catalog permission names still stored on older Admin documents
+const LEGACY_PERMISSION_ALIASES = {
+  manage_all: ['*'],
+  manage_patients: ['patients:*'],
+  manage_therapists: ['therapists:*'],
+  manage_sessions: ['sessions:*'],
+};
+
+// Used when an account has no explicit `permissions` of its own
+const ROLE_PERMISSIONS = {
+  super_admin: ['*'],
+  admin: [
+    'patients:*',
+    'therapists:*',
+    'sessions:*',
+    'analytics:read',
+    'admins:read',
+    'admins:write',
+  ],
+  professional: ['patients:read', 'sessions:read', 'sessions:write'],
+  api_key: [], // API keys only ever hold their own scopes
+};
+
+const RESOURCES = [
+  ...new Set(Object.keys(PERMISSIONS).map((permission) => permission.split(':')[0])),
+];
+
+// Returns true if `grant` is a catalog permission, a wildcard or a legacy alias
+const isValidGrant = (grant) =>
+  grant === '*' ||
+  Object.prototype.hasOwnProperty.call(PERMISSIONS, grant) ||
+  Object.prototype.hasOwnProperty.call(LEGACY_PERMISSION_ALIASES, grant) ||
+  (grant.endsWith(':*') && RESOURCES.includes(grant.slice(0, -2)));
+
+// Expand legacy aliases so every grant is in `<resource>:<action>` form
+const expandGrants = (grants = []) =>
+  grants.flatMap((grant) => LEGACY_PERMISSION_ALIASES[grant] || [grant]);
+
+// Effective grants for a user. Explicit permissions replace the role defaults
+// so an account can be narrowed (e.g. an admin with only `sessions:read`);
+// super_admin always keeps full access.
+const getEffectivePermissions = (user) => {
+  if (!user) return [];
+  if (user.role === 'super_admin') return ['*'];
+
+  const explicit = user.permissions || [];
+  return expandGrants(
+    explicit.length > 0 ? explicit : ROLE_PERMISSIONS[user.role] || []
+  );
+};
+
+const grantCovers = (grant, permission) => {
+  if (grant === '*' || grant === permission) return true;
+  if (grant.endsWith(':*')) {
+    return permission.startsWith(grant.slice(0, -1));
+  }
+  return false;
+};
+
+const hasPermission = (user, permission) =>
+  getEffectivePermissions(user).some((grant) => grantCovers(grant, permission));
+
+export {
+  PERMISSIONS,
+  LEGACY_PERMISSION_ALIASES,
+  ROLE_PERMISSIONS,
+  isValidGrant,
+  getEffectivePermissions,
+  hasPermission,
+};
@@ -0,0 +1,72 @@
+// Standardised questionnaire definitions. Each instrument is versioned: a
+// recorded response keeps the version it was answered against, so wording or
+// banding changes get a new version instead of editing one in place.
+//
+// Items are answered on the instrument's `options` scale; the total is the sum
+// of the item values and `bands` map it to a severity (min and max inclusive).
+// `riskItems` raise a patient flag (a FlagType key) when an item's value
+// reaches `minValue`.
+
+const FREQUENCY_OPTIONS = [
+  { value: 0, label: 'Not at all' },
+  { value: 1, label: 'Several days' },
+  { value: 2, label: 'More than half the days' },
+  { value: 3, label: 'Nearly every day' },
+];
+
+const INSTRUMENTS = {
+  'phq-9': {
+    1: {
+      title: 'Patient Health Questionnaire (PHQ-9)',
+      measures: 'Depression',
+      prompt: 'Over the last 2 weeks, how often have you been bothered by any of the following problems?',
+      options: FREQUENCY_OPTIONS,
+      items: [
+        'Little interest or pleasure in doing things',
+        'Feeling down, depressed, or hopeless',
+        'Trouble falling or staying asleep, or sleeping too much',
+        'Feeling tired or having little energy',
+        'Poor appetite or overeating',
+        'Feeling bad about yourself, or that you are a failure or have let yourself or your family down',
+        'Trouble concentrating on things, such as reading the newspaper or watching television',
+        'Moving or speaking so slowly that other people could have noticed, or the opposite: being so fidgety or restless that you have been moving around a lot more than usual',
+        'Thoughts that you would be better off dead, or of hurting yourself in some way',
+      ],
+      bands: [
+        { min: 0, max: 4, severity: 'minimal' },
+        { min: 5, max: 9, severity: 'mild' },
+        { min: 10, max: 14, severity: 'moderate' },
+        { min: 15, max: 19, severity: 'moderately_severe' },
+        { min: 20, max: 27, severity: 'severe' },
+      ],
+      // Item 9 asks about self-harm; any answer above "Not at all" is a risk
+      riskItems: [{ item: 9, minValue: 1, flag: 'high-risk' }],
+    },
+  },
+  'gad-7': {
+    1: {
+      title: 'Generalized Anxiety Disorder scale (GAD-7)',
+      measures: 'Anxiety',
+      prompt: 'Over the last 2 weeks, how often have you been bothered by the following problems?',
+      options: FREQUENCY_OPTIONS,
+      items: [
+        'Feeling nervous, anxious, or on edge',
+        'Not being able to stop or control worrying',
+        'Worrying too much about different things',
+        'Trouble relaxing',
+        'Being so restless that it is hard to sit still',
+        'Becoming easily annoyed or irritable',
+        'Feeling afraid, as if something awful might happen',
+      ],
+      bands: [
+        { min: 0, max: 4, severity: 'minimal' },
+        { min: 5, max: 9, severity: 'mild' },
+        { min: 10, max: 14, severity: 'moderate' },
+        { min: 15, max: 21, severity: 'severe' },
+      ],
+      riskItems: [],
+    },
+  },
+};
+
+export { INSTRUMENTS };
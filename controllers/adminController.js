@@ -1,5 +1,28 @@
 import asyncHandler from "../middleware/asyncHandler.js"
 import Admin from "../models/Admin.js"
+import RefreshToken from "../models/RefreshToken.js"
+import { isValidGrant, hasPermission } from "../config/permissions.js"
+import { generateInviteToken, hashToken } from "../utils/generateToken.js"
+import { sendMail } from "../utils/mailer.js"
+import { adminInvitationEmail } from "../utils/emailTemplates.js"
+import { assertPasswordAcceptable } from "../utils/passwordPolicy.js"
+import { recordAudit } from "../utils/audit.js"
+import { startImpersonation } from "../utils/impersonation.js"
+import jwt from "jsonwebtoken"
+
+// Reject permission names that are not in the catalog (config/permissions.js)
+const assertValidPermissions = (res, permissions) => {
+  if (permissions === undefined) return
+  if (!Array.isArray(permissions)) {
+    res.status(400)
+    throw new Error("Permissions must be an array")
+  }
+  const unknown = permissions.filter((permission) => typeof permission !== "string" || !isValidGrant(permission))
+  if (unknown.length > 0) {
+    res.status(400)
+    throw new Error(`Unknown permissions: ${unknown.join(", ")}`)
+  }
+}
 
 // @desc    Register a new admin
 // @route   POST /api/admins
@@ -7,6 +30,8 @@ import Admin from "../models/Admin.js"
 const registerAdmin = asyncHandler(async (req, res) => {
   const { name, email, password, role, permissions } = req.body
 
+  assertValidPermissions(res, permissions)
+
   const adminExists = await Admin.findOne({ email })
 
   if (adminExists) {
@@ -14,13 +39,22 @@ const registerAdmin = asyncHandler(async (req, res) => {
     throw new Error("Admin already exists")
   }
 
-  const admin = await Admin.create({
+  const admin = new Admin({
     name,
     email,
-    password,
     role,
     permissions,
   })
+  await assertPasswordAcceptable(res, admin, password)
+  // The super_admin chose this password, so the new admin must replace it on first login
+  admin.setPassword(password, { mustChange: true })
+  await admin.save()
+  await recordAudit(req, {
+    action: "admin.create",
+    targetType: "admins",
+    targetId: admin._id,
+    after: admin.toObject(),
+  })
 
   if (admin) {
     res.status(201).json({
@@ -36,6 +70,102 @@ const registerAdmin = asyncHandler(async (req, res) => {
   }
 })
 
+// Issue a fresh single-use invitation token (replacing any earlier one) and email it.
+// The invitation is saved even if the mail fails, so it can be resent; returns
+// whether the mail went out.
+const sendInvitation = async (admin, invitedBy) => {
+  const token = generateInviteToken(admin._id)
+  const expiresAt = new Date(jwt.decode(token).exp * 1000)
+
+  admin.invitation.tokenHash = hashToken(token)
+  admin.invitation.expiresAt = expiresAt
+  admin.invitation.invitedBy = invitedBy._id
+  await admin.save()
+
+  try {
+    await sendMail({
+      to: admin.email,
+      ...adminInvitationEmail({ name: admin.name, invitedBy: invitedBy.name, token, expiresAt }),
+    })
+    return true
+  } catch (error) {
+    console.error(`Invitation mail to ${admin.email} failed: ${error.message}`)
+    return false
+  }
+}
+
+// @desc    Invite a new admin who sets their own password
+// @route   POST /api/admins/invite
+// @access  Private/SuperAdmin
+const inviteAdmin = asyncHandler(async (req, res) => {
+  const { name, email, role, permissions } = req.body
+
+  assertValidPermissions(res, permissions)
+
+  const adminExists = await Admin.findOne({ email })
+
+  if (adminExists) {
+    res.status(400)
+    throw new Error("Admin already exists")
+  }
+
+  const admin = new Admin({
+    name,
+    email,
+    role,
+    permissions,
+    status: "invited",
+  })
+  const sent = await sendInvitation(admin, req.user)
+  await recordAudit(req, {
+    action: "admin.invite",
+    targetType: "admins",
+    targetId: admin._id,
+    after: admin.toObject(),
+    metadata: { invitationSent: sent },
+  })
+
+  res.status(201).json({
+    _id: admin._id,
+    name: admin.name,
+    email: admin.email,
+    role: admin.role,
+    permissions: admin.permissions,
+    status: admin.status,
+    invitationExpiresAt: admin.invitation.expiresAt,
+    ...(!sent && { warning: "The invitation email could not be sent; use resend-invite to try again" }),
+  })
+})
+
+// @desc    Send a new invitation link to a pending admin
+// @route   POST /api/admins/:id/resend-invite
+// @access  Private/SuperAdmin
+const resendInvitation = asyncHandler(async (req, res) => {
+  const admin = await Admin.findById(req.params.id)
+
+  if (!admin) {
+    res.status(404)
+    throw new Error("Admin not found")
+  }
+  if (admin.status !== "invited") {
+    res.status(400)
+    throw new Error("Admin has already accepted their invitation")
+  }
+
+  const sent = await sendInvitation(admin, req.user)
+  await recordAudit(req, {
+    action: "admin.resend_invite",
+    targetType: "admins",
+    targetId: admin._id,
+    metadata: { invitationExpiresAt: admin.invitation.expiresAt, invitationSent: sent },
+  })
+  if (!sent) {
+    res.status(502)
+    throw new Error("The invitation email could not be sent; try again later")
+  }
+  res.json({ message: "Invitation sent", invitationExpiresAt: admin.invitation.expiresAt })
+})
+
 // @desc    Get all admins
 // @route   GET /api/admins
 // @access  Private/Admin
@@ -62,19 +192,55 @@ const getAdminById = asyncHandler(async (req, res) => {
 // @route   PUT /api/admins/:id
 // @access  Private/Admin
 const updateAdmin = asyncHandler(async (req, res) => {
-  const admin = await Admin.findById(req.params.id)
+  const admin = await Admin.findById(req.params.id).select("+passwordHistory")
 
   if (admin) {
+    const changesAccess =
+      (req.body.role && req.body.role !== admin.role) || req.body.permissions !== undefined
+    if (changesAccess && !hasPermission(req.user, "admins:manage")) {
+      res.status(403)
+      throw new Error("Not authorized to change roles or permissions")
+    }
+    // Changing someone else's sign-in details, or touching a super_admin at
+    // all, could hand over their account
+    const changesCredentials =
+      !admin._id.equals(req.user._id) &&
+      ((req.body.email && req.body.email !== admin.email) || Boolean(req.body.password))
+    if ((changesCredentials || admin.role === "super_admin") && !hasPermission(req.user, "admins:manage")) {
+      res.status(403)
+      throw new Error(
+        admin.role === "super_admin"
+          ? "Not authorized to edit a super_admin"
+          : "Not authorized to change another admin's email or password",
+      )
+    }
+    assertValidPermissions(res, req.body.permissions)
+
+    const before = admin.toObject()
     admin.name = req.body.name || admin.name
     admin.email = req.body.email || admin.email
     admin.role = req.body.role || admin.role
     admin.permissions = req.body.permissions || admin.permissions
 
     if (req.body.password) {
-      admin.password = req.body.password // Password hashing handled by pre-save hook
+      await assertPasswordAcceptable(res, admin, req.body.password)
+      // A password set by someone else has to be replaced at the next login
+      admin.setPassword(req.body.password, { mustChange: !admin._id.equals(req.user._id) })
     }
 
     const updatedAdmin = await admin.save()
+    await recordAudit(req, {
+      action: "admin.update",
+      targetType: "admins",
+      targetId: admin._id,
+      before,
+      after: updatedAdmin.toObject(),
+    })
+    if (req.body.password) {
+      // Sign the admin out everywhere except the session making the change
+      const exceptFamilyId = admin._id.equals(req.user._id) ? req.sessionId : undefined
+      await RefreshToken.revokeAllForAdmin(admin._id, "password_changed", { exceptFamilyId })
+    }
     res.json({
       _id: updatedAdmin._id,
       name: updatedAdmin.name,
@@ -96,6 +262,13 @@ const deleteAdmin = asyncHandler(async (req, res) => {
 
   if (admin) {
     await Admin.deleteOne({ _id: admin._id })
+    await RefreshToken.revokeAllForAdmin(admin._id, "admin_removed")
+    await recordAudit(req, {
+      action: "admin.delete",
+      targetType: "admins",
+      targetId: admin._id,
+      before: admin.toObject(),
+    })
     res.json({ message: "Admin removed" })
   } else {
     res.status(404)
@@ -103,4 +276,88 @@ const deleteAdmin = asyncHandler(async (req, res) => {
   }
 })
 
-export { registerAdmin, getAdmins, getAdminById, updateAdmin, deleteAdmin }
+// @desc    Reset an admin's MFA (e.g. lost authenticator device)
+// @route   PUT /api/admins/:id/mfa/reset
+// @access  Private/SuperAdmin
+const resetAdminMfa = asyncHandler(async (req, res) => {
+  const admin = await Admin.findById(req.params.id)
+
+  if (admin) {
+    const before = admin.toObject()
+    admin.mfa = { enabled: false }
+    await admin.save()
+    await recordAudit(req, {
+      action: "admin.reset_mfa",
+      targetType: "admins",
+      targetId: admin._id,
+      before: { mfa: before.mfa },
+      after: { mfa: admin.toObject().mfa },
+    })
+    res.json({ message: "MFA reset, the admin will need to enroll again" })
+  } else {
+    res.status(404)
+    throw new Error("Admin not found")
+  }
+})
+
+// @desc    Unlock an admin locked out after failed logins
+// @route   PUT /api/admins/:id/unlock
+// @access  Private/SuperAdmin
+const unlockAdmin = asyncHandler(async (req, res) => {
+  const admin = await Admin.findById(req.params.id)
+
+  if (admin) {
+    await admin.resetLoginFailures()
+    await recordAudit(req, {
+      action: "admin.unlock",
+      targetType: "admins",
+      targetId: admin._id,
+      before: { failedLoginAttempts: admin.failedLoginAttempts, lockedUntil: admin.lockedUntil },
+      after: { failedLoginAttempts: 0, lockedUntil: null },
+    })
+    res.json({ message: "Admin unlocked" })
+  } else {
+    res.status(404)
+    throw new Error("Admin not found")
+  }
+})
+
+// @desc    Start viewing the dashboard as another admin
+// @route   POST /api/admins/:id/impersonate
+// @access  Private/SuperAdmin
+const impersonateAdmin = asyncHandler(async (req, res) => {
+  const admin = await Admin.findById(req.params.id)
+
+  if (!admin) {
+    res.status(404)
+    throw new Error("Admin not found")
+  }
+  if (admin.role === "super_admin" || admin.status !== "active") {
+    res.status(400)
+    throw new Error("Only active admins below super_admin can be impersonated")
+  }
+
+  const expiresAt = await startImpersonation(req, res, {
+    targetType: "admin",
+    target: admin,
+    reason: req.body?.reason,
+  })
+  res.json({
+    message: `Now impersonating ${admin.name}`,
+    impersonating: { _id: admin._id, name: admin.name, email: admin.email, role: admin.role },
+    expiresAt,
+  })
+})
+
+export {
+  registerAdmin,
+  inviteAdmin,
+  resendInvitation,
+  getAdmins,
+  getAdminById,
+  updateAdmin,
+  deleteAdmin,
+  resetAdminMfa,
+  unlockAdmin,
+  impersonateAdmin,
+}
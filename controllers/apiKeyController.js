@@ -0,0 +1,132 @@
+import asyncHandler from "../middleware/asyncHandler.js"
+import ApiKey from "../models/ApiKey.js"
+import { isValidGrant } from "../config/permissions.js"
+import { isValidIpRule } from "../utils/requestInfo.js"
+import { recordAudit } from "../utils/audit.js"
+
+const DEFAULT_EXPIRY_DAYS = Number(process.env.API_KEY_DEFAULT_EXPIRES_DAYS) || 365
+
+// Integrations get data access only: no wildcards, and nothing that manages
+// accounts, security settings or the audit log
+const FORBIDDEN_SCOPE_RESOURCES = ["admins", "settings", "audit"]
+
+const assertValidScopes = (res, scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    res.status(400)
+    throw new Error("At least one scope is required")
+  }
+  const invalid = scopes.filter(
+    (scope) =>
+      typeof scope !== "string" ||
+      !scope.includes(":") ||
+      !isValidGrant(scope) ||
+      FORBIDDEN_SCOPE_RESOURCES.includes(scope.split(":")[0]),
+  )
+  if (invalid.length > 0) {
+    res.status(400)
+    throw new Error(`Invalid scopes: ${invalid.join(", ")}`)
+  }
+}
+
+const assertValidIpAllowlist = (res, ipAllowlist) => {
+  if (!Array.isArray(ipAllowlist)) {
+    res.status(400)
+    throw new Error("ipAllowlist must be an array")
+  }
+  const invalid = ipAllowlist.filter((rule) => !isValidIpRule(rule))
+  if (invalid.length > 0) {
+    res.status(400)
+    throw new Error(`Invalid IP addresses or ranges: ${invalid.join(", ")}`)
+  }
+}
+
+const apiKeySummary = (apiKey) => ({
+  _id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  ipAllowlist: apiKey.ipAllowlist,
+  expiresAt: apiKey.expiresAt,
+  createdBy: apiKey.createdBy,
+  createdAt: apiKey.createdAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  revokedAt: apiKey.revokedAt,
+  active: apiKey.isActive(),
+})
+
+// @desc    Create an API key. The key itself is only returned in this response.
+// @route   POST /api/admins/api-keys
+// @access  Private/SuperAdmin
+const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, ipAllowlist = [], expiresAt } = req.body
+
+  if (!name || !String(name).trim()) {
+    res.status(400)
+    throw new Error("Name is required")
+  }
+  assertValidScopes(res, scopes)
+  assertValidIpAllowlist(res, ipAllowlist)
+
+  const expiry = expiresAt ? new Date(expiresAt) : new Date(Date.now() + DEFAULT_EXPIRY_DAYS * 24 * 60 * 60 * 1000)
+  if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+    res.status(400)
+    throw new Error("expiresAt must be a date in the future")
+  }
+
+  const { apiKey, key } = await ApiKey.generate({
+    name,
+    scopes: [...new Set(scopes)],
+    ipAllowlist,
+    expiresAt: expiry,
+    createdBy: req.user._id,
+  })
+  await recordAudit(req, {
+    action: "api_key.create",
+    targetType: "api_keys",
+    targetId: apiKey._id,
+    after: apiKeySummary(apiKey),
+  })
+
+  res.status(201).json({ ...apiKeySummary(apiKey), key })
+})
+
+// @desc    List API keys (active, expired and revoked)
+// @route   GET /api/admins/api-keys
+// @access  Private/SuperAdmin
+const getApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await ApiKey.find({}).populate("createdBy", "name email").sort({ createdAt: -1 })
+  res.json(apiKeys.map(apiKeySummary))
+})
+
+// @desc    Revoke an API key
+// @route   DELETE /api/admins/api-keys/:keyId
+// @access  Private/SuperAdmin
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findById(req.params.keyId)
+
+  if (!apiKey) {
+    res.status(404)
+    throw new Error("API key not found")
+  }
+  if (apiKey.revokedAt) {
+    res.status(400)
+    throw new Error("API key is already revoked")
+  }
+
+  const before = apiKeySummary(apiKey)
+  apiKey.revokedAt = new Date()
+  apiKey.revokedBy = req.user._id
+  await apiKey.save()
+  await recordAudit(req, {
+    action: "api_key.revoke",
+    targetType: "api_keys",
+    targetId: apiKey._id,
+    before,
+    after: apiKeySummary(apiKey),
+  })
+
+  res.json({ message: "API key revoked" })
+})
+
+export { createApiKey, getApiKeys, revokeApiKey }
@@ -0,0 +1,45 @@
+import asyncHandler from "../middleware/asyncHandler.js"
+import AuditLog from "../models/AuditLog.js"
+import { verifyAuditChain } from "../utils/audit.js"
+
+// @desc    Query the audit log
+// @route   GET /api/audit
+// @access  Private/SuperAdmin
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const pageSize = Math.min(Number(req.query.pageSize) || 50, 200)
+  const page = Number(req.query.pageNumber) || 1
+  const { actorId, action, targetType, targetId, from, to } = req.query
+
+  const filter = {}
+  if (actorId) filter["actor.id"] = actorId
+  if (action) filter.action = action
+  if (targetType) filter["target.collection"] = targetType
+  if (targetId) filter["target.id"] = targetId
+  if (from || to) {
+    filter.createdAt = {}
+    if (from) filter.createdAt.$gte = new Date(from)
+    if (to) filter.createdAt.$lte = new Date(to)
+    if (Object.values(filter.createdAt).some((date) => Number.isNaN(date.getTime()))) {
+      res.status(400)
+      throw new Error("from and to must be valid dates")
+    }
+  }
+
+  const count = await AuditLog.countDocuments(filter)
+  const entries = await AuditLog.find(filter)
+    .sort({ seq: -1 })
+    .limit(pageSize)
+    .skip(pageSize * (page - 1))
+
+  res.json({ entries, page, pages: Math.ceil(count / pageSize), total: count })
+})
+
+// @desc    Check the audit log hash chain for tampering
+// @route   GET /api/audit/verify
+// @access  Private/SuperAdmin
+const verifyAuditLog = asyncHandler(async (req, res) => {
+  const result = await verifyAuditChain()
+  res.json(result)
+})
+
+export { getAuditLogs, verifyAuditLog }
@@ -1,64 +1,349 @@
 import asyncHandler from '../middleware/asyncHandler.js';
 import Admin from '../models/Admin.js';
-import { generateToken, generateRefreshToken } from '../utils/generateToken.js';
+import SecuritySetting from '../models/SecuritySetting.js';
+import {
+  generateToken,
+  generateRefreshToken,
+  generateMfaToken,
+  verifyMfaToken,
+  verifyPurposeToken,
+  hashToken,
+} from '../utils/generateToken.js';
+import { sendMail } from '../utils/mailer.js';
+import { passwordResetEmail } from '../utils/emailTemplates.js';
+import { assertPasswordAcceptable } from '../utils/passwordPolicy.js';
+import { recordAudit } from '../utils/audit.js';
+import { generateTotpSecret, buildOtpauthUri } from '../utils/totp.js';
+import { getEffectivePermissions } from '../config/permissions.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { getClientIp, describeUserAgent } from '../utils/requestInfo.js';
+import {
+  clearImpersonationCookie,
+  isBlockedWhileImpersonating,
+} from '../utils/impersonation.js';
+import { isProfessional } from '../utils/professionals.js';
+import {
+  recordLoginFailure,
+  clearLoginFailures,
+} from '../utils/loginAttempts.js';
 import jwt from 'jsonwebtoken'; // Import jwt to fix undeclared variable error
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+
+const RESET_TOKEN_TTL_MS =
+  (Number(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30) * 60 * 1000;
+
+// Compared against when the account is unknown or locked, to even out timing
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+const ACCESS_COOKIE_MAX_AGE = 1000 * 60 * 60; // 1 hour
+const REFRESH_COOKIE_MAX_AGE = 1000 * 60 * 60 * 24 * 7; // 7 days
+
+const cookieOptions = (maxAge) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV !== 'development', // Use secure cookies in production
+  sameSite: 'none', // Frontend is served from a different origin
+  maxAge,
+});
+
+const clearAuthCookies = (res) => {
+  res.cookie('jwt', '', {
+    httpOnly: true,
+    expires: new Date(0),
+  });
+  res.cookie('refreshToken', '', {
+    httpOnly: true,
+    expires: new Date(0),
+  });
+};
+
+// Persist a new refresh token for the family and set both cookies
+const issueTokens = async (req, res, admin, familyId, sessionStartedAt) => {
+  const refreshToken = generateRefreshToken(admin._id, familyId);
+  const { exp } = jwt.decode(refreshToken);
+
+  await RefreshToken.create({
+    admin: admin._id,
+    familyId,
+    tokenHash: hashToken(refreshToken),
+    sessionStartedAt,
+    userAgent: req.get('user-agent'),
+    ip: getClientIp(req),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(exp * 1000),
+  });
+
+  res.cookie('jwt', generateToken(admin._id, admin.role, familyId), cookieOptions(ACCESS_COOKIE_MAX_AGE));
+  res.cookie('refreshToken', refreshToken, cookieOptions(REFRESH_COOKIE_MAX_AGE));
+};
+
+// Complete a login: start a new refresh token family (session)
+const issueAuthCookies = (req, res, admin) =>
+  issueTokens(req, res, admin, crypto.randomUUID(), new Date());
+
+const adminProfile = (admin) => ({
+  _id: admin._id,
+  name: admin.name,
+  email: admin.email,
+  role: admin.role,
+  permissions: admin.permissions,
+  effectivePermissions: getEffectivePermissions(admin),
+  mfaEnabled: Boolean(admin.mfa?.enabled),
+  passwordChangeRequired: admin.isPasswordChangeRequired(),
+});
 
 // @desc    Auth admin & get token
 // @route   POST /api/auth/login
 // @access  Public
 const loginAdmin = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
+  const ip = getClientIp(req);
 
   const admin = await Admin.findOne({ email });
+  const locked = Boolean(admin?.isLocked());
+
+  // Always run one bcrypt comparison so response timing does not reveal
+  // whether the email exists or the account is locked
+  let passwordMatches = false;
+  if (admin && !locked) {
+    passwordMatches = await admin.matchPassword(password || '');
+  } else {
+    await bcrypt.compare(password || '', DUMMY_PASSWORD_HASH);
+  }
 
-  if (admin && (await admin.matchPassword(password))) {
-    const token = generateToken(admin._id, admin.role);
-    const refreshToken = generateRefreshToken(admin._id);
+  // Unknown email, wrong password and locked account all get the same answer
+  if (!passwordMatches) {
+    recordLoginFailure(ip, email);
+    if (admin && !locked) {
+      await admin.registerFailedLogin();
+    }
+    res.status(401);
+    throw new Error('Invalid email or password');
+  }
 
-    // Set JWT as http-only cookie
-    res.cookie('jwt', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV !== 'development', // Use secure cookies in production
-      sameSite: 'none', // Prevent CSRF attacks
-      maxAge: 1000 * 60 * 60, // 1 hour
-    });
+  clearLoginFailures(ip, email);
+  await admin.resetLoginFailures();
 
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV !== 'development',
-      sameSite: 'none',
-      maxAge: 1000 * 60 * 60 * 24 * 7, // 7 days
+  // Password is correct but a second factor is still needed: hand back a
+  // short-lived pending token instead of the session cookies
+  if (admin.mfa?.enabled) {
+    return res.json({
+      mfaRequired: true,
+      mfaToken: generateMfaToken(admin._id, 'mfa'),
     });
+  }
 
-    res.json({
-      _id: admin._id,
-      name: admin.name,
-      email: admin.email,
-      role: admin.role,
-      permissions: admin.permissions,
+  const settings = await SecuritySetting.getSettings();
+  if (settings.requireMfa) {
+    return res.json({
+      mfaSetupRequired: true,
+      mfaToken: generateMfaToken(admin._id, 'mfa_setup'),
     });
+  }
+
+  await issueAuthCookies(req, res, admin);
+  res.json(adminProfile(admin));
+});
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/mfa/verify
+// @access  Public (requires pending MFA token from login)
+const verifyMfaLogin = asyncHandler(async (req, res) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+
+  const decoded = verifyMfaToken(mfaToken, 'mfa');
+  if (!decoded) {
+    res.status(401);
+    throw new Error('MFA token invalid or expired, please log in again');
+  }
+
+  const admin = await Admin.findById(decoded.id).select(
+    '+mfa.secret +mfa.lastUsedStep +mfa.recoveryCodes'
+  );
+  if (!admin || !admin.mfa?.enabled || admin.isLocked()) {
+    res.status(401);
+    throw new Error('MFA token invalid or expired, please log in again');
+  }
+
+  let verified = false;
+  if (code) {
+    verified = admin.verifyMfaCode(code);
+  } else if (recoveryCode) {
+    verified = admin.useRecoveryCode(recoveryCode);
   } else {
+    res.status(400);
+    throw new Error('A verification code or recovery code is required');
+  }
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  if (!verified) {
+    recordLoginFailure(getClientIp(req));
+    await admin.registerFailedLogin();
     res.status(401);
-    throw new Error('Invalid email or password');
+    throw new Error('Invalid verification code');
   }
+
+  await admin.save();
+  await issueAuthCookies(req, res, admin);
+  res.json({
+    ...adminProfile(admin),
+    recoveryCodesRemaining: admin.mfa.recoveryCodes.length,
+  });
 });
 
-// @desc    Logout admin / clear cookie
+// @desc    Start MFA enrollment and get an otpauth URI
+// @route   POST /api/auth/mfa/setup
+// @access  Private (or pending MFA setup token)
+const setupMfa = asyncHandler(async (req, res) => {
+  const admin = await Admin.findById(req.user._id);
+
+  if (admin.mfa?.enabled) {
+    res.status(400);
+    throw new Error('MFA is already enabled');
+  }
+
+  const secret = generateTotpSecret();
+  admin.mfa.pendingSecret = secret;
+  await admin.save();
+
+  res.json({
+    secret,
+    otpauthUri: buildOtpauthUri({
+      secret,
+      accountName: admin.email,
+      issuer: process.env.MFA_ISSUER || 'MentaCare',
+    }),
+  });
+});
+
+// @desc    Confirm MFA enrollment with a first code
+// @route   POST /api/auth/mfa/enable
+// @access  Private (or pending MFA setup token)
+const enableMfa = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const admin = await Admin.findById(req.user._id).select(
+    '+mfa.pendingSecret +mfa.secret +mfa.lastUsedStep +mfa.recoveryCodes'
+  );
+
+  if (admin.mfa?.enabled) {
+    res.status(400);
+    throw new Error('MFA is already enabled');
+  }
+  if (!admin.mfa?.pendingSecret) {
+    res.status(400);
+    throw new Error('Start MFA setup first');
+  }
+
+  admin.mfa.secret = admin.mfa.pendingSecret;
+  if (!admin.verifyMfaCode(code)) {
+    res.status(401);
+    throw new Error('Invalid verification code');
+  }
+
+  admin.mfa.pendingSecret = undefined;
+  admin.mfa.enabled = true;
+  admin.mfa.enabledAt = new Date();
+  const recoveryCodes = admin.generateRecoveryCodes();
+  await admin.save();
+  await recordAudit(req, {
+    action: 'admin.enable_mfa',
+    targetType: 'admins',
+    targetId: admin._id,
+    actor: admin,
+    before: { mfaEnabled: false },
+    after: { mfaEnabled: true },
+  });
+
+  // Enrollment forced at login finishes the login as well
+  if (req.pendingMfaSetup) {
+    await issueAuthCookies(req, res, admin);
+  }
+
+  res.json({
+    message: 'MFA enabled',
+    recoveryCodes,
+    ...(req.pendingMfaSetup ? adminProfile(admin) : {}),
+  });
+});
+
+// @desc    Disable MFA for the current admin
+// @route   POST /api/auth/mfa/disable
+// @access  Private
+const disableMfa = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  const settings = await SecuritySetting.getSettings();
+  if (settings.requireMfa) {
+    res.status(403);
+    throw new Error('MFA is required for all admins and cannot be disabled');
+  }
+
+  const admin = await Admin.findById(req.user._id).select(
+    '+mfa.secret +mfa.lastUsedStep +mfa.recoveryCodes'
+  );
+  if (!admin.mfa?.enabled) {
+    res.status(400);
+    throw new Error('MFA is not enabled');
+  }
+  if (!(await admin.matchPassword(password || '')) || !admin.verifyMfaCode(code)) {
+    res.status(401);
+    throw new Error('Invalid password or verification code');
+  }
+
+  admin.mfa = { enabled: false };
+  await admin.save();
+  await recordAudit(req, {
+    action: 'admin.disable_mfa',
+    targetType: 'admins',
+    targetId: admin._id,
+    before: { mfaEnabled: true },
+    after: { mfaEnabled: false },
+  });
+  res.json({ message: 'MFA disabled' });
+});
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/mfa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const admin = await Admin.findById(req.user._id).select(
+    '+mfa.secret +mfa.lastUsedStep +mfa.recoveryCodes'
+  );
+
+  if (!admin.mfa?.enabled) {
+    res.status(400);
+    throw new Error('MFA is not enabled');
+  }
+  if (!admin.verifyMfaCode(code)) {
+    res.status(401);
+    throw new Error('Invalid verification code');
+  }
+
+  const recoveryCodes = admin.generateRecoveryCodes();
+  await admin.save();
+  res.json({ recoveryCodes });
+});
+
+// @desc    Logout admin / revoke the session and clear cookies
 // @route   POST /api/auth/logout
 // @access  Private
 const logoutAdmin = asyncHandler(async (req, res) => {
-  res.cookie('jwt', '', {
-    httpOnly: true,
-    expires: new Date(0),
-  });
-  res.cookie('refreshToken', '', {
-    httpOnly: true,
-    expires: new Date(0),
-  });
+  let familyId = req.sessionId;
+  if (!familyId && req.cookies.refreshToken) {
+    const stored = await RefreshToken.findOne({
+      tokenHash: hashToken(req.cookies.refreshToken),
+    });
+    familyId = stored?.familyId;
+  }
+  if (familyId) {
+    await RefreshToken.revokeFamily(familyId, 'logout');
+  }
+  clearAuthCookies(res);
   res.status(200).json({ message: 'Logged out successfully' });
 });
 
-// @desc    Refresh token
+// @desc    Rotate the refresh token and issue a new access token
 // @route   POST /api/auth/refresh
 // @access  Private (requires refresh token)
 const refreshToken = asyncHandler(async (req, res) => {
@@ -69,48 +354,331 @@ const refreshToken = asyncHandler(async (req, res) => {
     throw new Error('Not authorized, no refresh token');
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    const admin = await Admin.findById(decoded.id).select('-password');
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    res.status(403);
+    throw new Error('Not authorized, refresh token failed');
+  }
 
-    if (!admin) {
-      res.status(401);
-      throw new Error('Not authorized, user not found');
-    }
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored) {
+    clearAuthCookies(res);
+    res.status(403);
+    throw new Error('Not authorized, refresh token failed');
+  }
 
-    const newAccessToken = generateToken(admin._id, admin.role);
-    res.cookie('jwt', newAccessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV !== 'development',
-      sameSite: 'strict',
-      maxAge: 1000 * 60 * 60, // 1 hour
-    });
+  // Claim the token atomically so two requests cannot both rotate it
+  const now = new Date();
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, rotatedAt: null, revokedAt: null },
+    { rotatedAt: now, lastUsedAt: now },
+    { new: true }
+  );
 
-    res.json({ message: 'Access token refreshed' });
-  } catch (error) {
-    console.error(error);
+  // A token that was already rotated or revoked is being replayed: assume it
+  // was stolen and end the whole session for both the thief and the owner
+  if (!claimed) {
+    await RefreshToken.revokeFamily(stored.familyId, 'reuse_detected');
+    console.warn(
+      `Refresh token reuse detected for admin ${stored.admin}, session ${stored.familyId} revoked`
+    );
+    clearAuthCookies(res);
     res.status(403);
-    throw new Error('Not authorized, refresh token failed');
+    throw new Error('Not authorized, refresh token has already been used');
+  }
+
+  const admin = await Admin.findById(decoded.id).select('-password');
+  if (!admin || !admin._id.equals(claimed.admin)) {
+    await RefreshToken.revokeFamily(claimed.familyId, 'admin_removed');
+    clearAuthCookies(res);
+    res.status(401);
+    throw new Error('Not authorized, user not found');
+  }
+
+  await issueTokens(req, res, admin, claimed.familyId, claimed.sessionStartedAt);
+  res.json({ message: 'Access token refreshed' });
+});
+
+// @desc    List the current admin's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  // The live token of each family is the one that has not been rotated yet
+  const tokens = await RefreshToken.find({
+    admin: req.user._id,
+    rotatedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+
+  res.json(
+    tokens.map((token) => ({
+      id: token.familyId,
+      device: describeUserAgent(token.userAgent),
+      userAgent: token.userAgent,
+      ip: token.ip,
+      startedAt: token.sessionStartedAt,
+      lastUsedAt: token.lastUsedAt,
+      expiresAt: token.expiresAt,
+      current: token.familyId === req.sessionId,
+    }))
+  );
+});
+
+// @desc    Revoke one of the current admin's sessions
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+const revokeSession = asyncHandler(async (req, res) => {
+  const result = await RefreshToken.updateMany(
+    { admin: req.user._id, familyId: req.params.sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'revoked' }
+  );
+
+  if (result.modifiedCount === 0) {
+    res.status(404);
+    throw new Error('Session not found');
+  }
+
+  if (req.params.sessionId === req.sessionId) {
+    clearAuthCookies(res);
+  }
+  res.json({ message: 'Session revoked' });
+});
+
+// @desc    Revoke all of the current admin's sessions except this one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeAllSessions = asyncHandler(async (req, res) => {
+  const result = await RefreshToken.revokeAllForAdmin(req.user._id, 'revoked', {
+    exceptFamilyId: req.sessionId,
+  });
+  res.json({
+    message: 'Other sessions revoked',
+    revokedTokens: result.modifiedCount,
+  });
+});
+
+// @desc    Accept an admin invitation and set a password
+// @route   POST /api/auth/invitations/accept
+// @access  Public (requires invitation token)
+const acceptInvitation = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const decoded = verifyPurposeToken(token, 'invite');
+  const admin = decoded
+    ? await Admin.findOne({
+        _id: decoded.id,
+        status: 'invited',
+        'invitation.tokenHash': hashToken(token),
+      }).select('+passwordHistory')
+    : null;
+
+  if (!admin) {
+    recordLoginFailure(getClientIp(req));
+    res.status(400);
+    throw new Error('Invitation link is invalid or has expired');
+  }
+  await assertPasswordAcceptable(res, admin, password);
+  admin.setPassword(password);
+  admin.status = 'active';
+  admin.invitation.tokenHash = undefined;
+  admin.invitation.acceptedAt = new Date();
+  await admin.save();
+  await recordAudit(req, {
+    action: 'admin.accept_invitation',
+    targetType: 'admins',
+    targetId: admin._id,
+    actor: admin,
+    before: { status: 'invited' },
+    after: { status: 'active' },
+  });
+
+  res.json({ message: 'Invitation accepted, you can now log in' });
+});
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  const admin = await Admin.findOne({ email, status: 'active' });
+
+  if (admin) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+
+    admin.passwordReset = { tokenHash: hashToken(token), expiresAt };
+    await admin.save();
+
+    try {
+      await sendMail({
+        to: admin.email,
+        ...passwordResetEmail({ name: admin.name, token, expiresAt }),
+      });
+    } catch (error) {
+      console.error('Failed to send password reset email:', error);
+    }
   }
+
+  // Same answer whether or not the email belongs to an admin
+  res.json({
+    message: 'If that email belongs to an account, a reset link has been sent',
+  });
 });
 
-// @desc    Get current authenticated admin profile
+// @desc    Set a new password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public (requires reset token)
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const admin = token
+    ? await Admin.findOne({
+        'passwordReset.tokenHash': hashToken(token),
+        'passwordReset.expiresAt': { $gt: new Date() },
+      }).select('+passwordHistory')
+    : null;
+
+  if (!admin) {
+    recordLoginFailure(getClientIp(req));
+    res.status(400);
+    throw new Error('Reset link is invalid or has expired');
+  }
+  await assertPasswordAcceptable(res, admin, password);
+  admin.setPassword(password);
+  admin.passwordReset = undefined;
+  await admin.save();
+
+  // A reset means the old password may be compromised: end every session
+  // and lift any lockout caused by the failed attempts
+  await RefreshToken.revokeAllForAdmin(admin._id, 'password_changed');
+  await admin.resetLoginFailures();
+  await recordAudit(req, {
+    action: 'admin.reset_password',
+    targetType: 'admins',
+    targetId: admin._id,
+    actor: admin,
+  });
+
+  res.json({ message: 'Password has been reset, you can now log in' });
+});
+
+// @desc    Change the current admin's password
+// @route   POST /api/auth/change-password
+// @access  Private
+const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const admin = await Admin.findById(req.user._id).select('+passwordHistory');
+
+  if (!(await admin.matchPassword(currentPassword || ''))) {
+    res.status(401);
+    throw new Error('Current password is incorrect');
+  }
+
+  await assertPasswordAcceptable(res, admin, newPassword);
+  admin.setPassword(newPassword);
+  await admin.save();
+
+  await RefreshToken.revokeAllForAdmin(admin._id, 'password_changed', {
+    exceptFamilyId: req.sessionId,
+  });
+  await recordAudit(req, {
+    action: 'admin.change_password',
+    targetType: 'admins',
+    targetId: admin._id,
+  });
+
+  res.json({ message: 'Password changed' });
+});
+
+// @desc    Get the current admin's, professional's or API key's profile
 // @route   GET /api/auth/me
 // @access  Private
 const getMe = asyncHandler(async (req, res) => {
   // req.user is populated by the protect middleware
-  if (req.user) {
-    res.json({
+  if (!req.user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  let profile;
+  if (req.authType === 'api_key') {
+    // No admin document behind an API key: describe the key itself
+    profile = {
       _id: req.user._id,
+      name: req.apiKey.name,
+      role: 'api_key',
+      scopes: req.apiKey.scopes,
+      effectivePermissions: getEffectivePermissions(req.user),
+      expiresAt: req.apiKey.expiresAt,
+    };
+  } else if (isProfessional(req.user)) {
+    profile = {
+      _id: req.user._id,
+      uid: req.user.uid,
       name: req.user.name,
       email: req.user.email,
       role: req.user.role,
-      permissions: req.user.permissions,
-    });
+      therapistId: req.user.therapistId,
+      effectivePermissions: getEffectivePermissions(req.user),
+    };
   } else {
-    res.status(404);
-    throw new Error('User not found');
+    profile = adminProfile(req.user);
+  }
+
+  if (req.impersonator) {
+    profile.effectivePermissions = profile.effectivePermissions.filter(
+      (permission) => !isBlockedWhileImpersonating(permission)
+    );
+    profile.impersonation = {
+      impersonator: {
+        _id: req.impersonator._id,
+        name: req.impersonator.name,
+        email: req.impersonator.email,
+      },
+      expiresAt: req.impersonation.expiresAt,
+    };
   }
+  res.json(profile);
+});
+
+// @desc    Stop impersonating and return to the super_admin's own view
+// @route   POST /api/auth/impersonation/stop
+// @access  Private (while impersonating)
+const stopImpersonation = asyncHandler(async (req, res) => {
+  if (!req.impersonator) {
+    res.status(400);
+    throw new Error('Not impersonating anyone');
+  }
+
+  clearImpersonationCookie(res);
+  await recordAudit(req, {
+    action: 'impersonation.stop',
+    targetType:
+      req.impersonation.targetType === 'professional' ? 'therapists' : 'admins',
+    targetId: req.user._id,
+  });
+  res.json({ message: 'Impersonation ended' });
 });
 
-export { loginAdmin, logoutAdmin, refreshToken, getMe };
+export {
+  loginAdmin,
+  verifyMfaLogin,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+  logoutAdmin,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  acceptInvitation,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  getMe,
+  stopImpersonation,
+};
@@ -0,0 +1,93 @@
+import crypto from "crypto"
+import asyncHandler from "../middleware/asyncHandler.js"
+import Session from "../models/Session.js"
+import Therapist from "../models/Therapist.js"
+import { hashToken } from "../utils/generateToken.js"
+import { buildCalendar } from "../utils/ical.js"
+import { recordAudit } from "../utils/audit.js"
+import { isProfessional } from "../utils/professionals.js"
+
+const DAY = 24 * 60 * 60 * 1000
+const FEED_PAST_DAYS = Number(process.env.CALENDAR_FEED_PAST_DAYS) || 30
+const FEED_FUTURE_DAYS = Number(process.env.CALENDAR_FEED_FUTURE_DAYS) || 180
+
+// Professionals manage their own feed; anyone else names the therapist
+const resolveFeedTherapist = async (req, res) => {
+  const therapistId = isProfessional(req.user) ? req.user.therapistId : req.params.therapistId || req.body.therapistId
+  const therapist = therapistId ? await Therapist.findById(therapistId) : null
+
+  if (!therapist) {
+    res.status(404)
+    throw new Error("Therapist not found")
+  }
+  return therapist
+}
+
+// @desc    Create (or replace) a therapist's secret calendar feed URL
+// @route   POST /api/sessions/calendar-feeds
+// @access  Private/Admin, or the professional for their own feed
+const createCalendarFeed = asyncHandler(async (req, res) => {
+  const therapist = await resolveFeedTherapist(req, res)
+
+  // A new token invalidates the previous URL
+  const token = `mcf_${crypto.randomBytes(24).toString("hex")}`
+  therapist.calendarFeed = { tokenHash: hashToken(token), createdAt: new Date() }
+  await therapist.save()
+  await recordAudit(req, {
+    action: "calendar_feed.create",
+    targetType: "therapists",
+    targetId: therapist._id,
+  })
+
+  res.status(201).json({
+    therapist: therapist._id,
+    url: `${req.protocol}://${req.get("host")}/api/sessions/feeds/${token}.ics`,
+    createdAt: therapist.calendarFeed.createdAt,
+  })
+})
+
+// @desc    Revoke a therapist's calendar feed URL
+// @route   DELETE /api/sessions/calendar-feeds/:therapistId
+// @access  Private/Admin, or the professional for their own feed
+const revokeCalendarFeed = asyncHandler(async (req, res) => {
+  const therapist = await resolveFeedTherapist(req, res)
+
+  therapist.calendarFeed = undefined
+  await therapist.save()
+  await recordAudit(req, {
+    action: "calendar_feed.revoke",
+    targetType: "therapists",
+    targetId: therapist._id,
+  })
+
+  res.json({ message: "Calendar feed revoked" })
+})
+
+// @desc    Calendar feed polled by calendar apps
+// @route   GET /api/sessions/feeds/:token.ics
+// @access  Public (the token is the credential)
+const getCalendarFeed = asyncHandler(async (req, res) => {
+  const therapist = await Therapist.findOne({ "calendarFeed.tokenHash": hashToken(req.params.token) })
+
+  if (!therapist) {
+    res.status(404)
+    throw new Error("Calendar feed not found")
+  }
+
+  const now = Date.now()
+  const sessions = await Session.find({
+    therapist: therapist._id,
+    status: { $ne: "rescheduled" }, // Its replacement carries the same event
+    datetime: { $gte: new Date(now - FEED_PAST_DAYS * DAY), $lte: new Date(now + FEED_FUTURE_DAYS * DAY) },
+  })
+    .populate("patient", "full_name")
+    .sort({ datetime: 1 })
+
+  await Therapist.updateOne({ _id: therapist._id }, { "calendarFeed.lastAccessedAt": new Date() })
+
+  res.set("Content-Type", "text/calendar; charset=utf-8")
+  res.set("Cache-Control", "private, max-age=300")
+  res.send(buildCalendar(sessions, { name: `MentaCare - ${therapist.full_name}` }))
+})
+
+export { createCalendarFeed, revokeCalendarFeed, getCalendarFeed }
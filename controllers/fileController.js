@@ -0,0 +1,245 @@
+import { randomUUID } from 'crypto';
+import { pipeline } from 'stream/promises';
+import asyncHandler from '../middleware/asyncHandler.js';
+import Session from '../models/Session.js';
+import StoredFile, { FILE_CATEGORIES } from '../models/StoredFile.js';
+import { recordAudit } from '../utils/audit.js';
+import { checkUploadedFile, sha256, FILE_URL_EXPIRES_SECONDS } from '../utils/files.js';
+import { findAccessiblePatient } from '../utils/patients.js';
+import { isProfessional, isOwnSession } from '../utils/professionals.js';
+import { describeActor } from '../utils/actors.js';
+import { getStorageAdapter, contentDisposition } from '../utils/storage.js';
+import { generateDownloadToken, verifyPurposeToken } from '../utils/generateToken.js';
+
+// Uploaded patient documents and session attachments. Files go to the
+// configured storage adapter under a random key (never the original name);
+// StoredFile keeps the metadata. Downloads go through short-lived signed URLs.
+
+// Check req.file, store it for `owner` ({ kind, id }) and record who uploaded
+// it. `audit` is { action, targetType } for the owner's audit entry.
+const storeUpload = async (req, res, owner, audit) => {
+  const problem = checkUploadedFile(req.file);
+  if (problem) {
+    res.status(400);
+    throw new Error(problem);
+  }
+  const { category = 'other', description } = req.body;
+  if (!FILE_CATEGORIES.includes(category)) {
+    res.status(400);
+    const error = new Error(`Unknown file category: ${category}`);
+    error.details = { allowed: FILE_CATEGORIES };
+    throw error;
+  }
+
+  const { name, adapter } = await getStorageAdapter();
+  const checksum = sha256(req.file.buffer);
+  const key = `${owner.kind}s/${owner.id}/${randomUUID()}`;
+  await adapter.put(key, req.file.buffer, { contentType: req.file.mimetype, checksum });
+
+  let file;
+  try {
+    file = await StoredFile.create({
+      owner,
+      category,
+      description,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      checksum: { algorithm: 'sha256', value: checksum },
+      storage: { adapter: name, key },
+      uploadedBy: describeActor(req.impersonator || req.user),
+    });
+  } catch (error) {
+    // No record, no file: do not leave an object nobody can find
+    await adapter.remove(key).catch(() => {});
+    throw error;
+  }
+
+  await recordAudit(req, {
+    action: audit.action,
+    targetType: audit.targetType,
+    targetId: owner.id,
+    after: { fileId: file._id, originalName: file.originalName, category, checksum },
+    metadata: { fileId: file._id },
+  });
+  return file;
+};
+
+// Active files of `owner`, newest first (supports `category`)
+const listFiles = (req, owner) =>
+  StoredFile.find({
+    'owner.kind': owner.kind,
+    'owner.id': owner.id,
+    deletedAt: { $exists: false },
+    ...(req.query.category && { category: req.query.category }),
+  }).sort({ createdAt: -1 });
+
+// File :fileId of `owner`; 404 if it is someone else's or already deleted
+const findOwnedFile = async (req, res, owner) => {
+  const file = await StoredFile.findOne({
+    _id: req.params.fileId,
+    'owner.kind': owner.kind,
+    'owner.id': owner.id,
+    deletedAt: { $exists: false },
+  });
+  if (!file) {
+    res.status(404);
+    throw new Error('File not found');
+  }
+  return file;
+};
+
+// The storage's own signed URL when it has one, otherwise a token link to
+// downloadFile below
+const issueDownloadUrl = async (req, file) => {
+  const { adapter } = await getStorageAdapter(file.storage.adapter);
+  const url = adapter.signedUrl
+    ? await adapter.signedUrl(file.storage.key, {
+        expiresIn: FILE_URL_EXPIRES_SECONDS,
+        filename: file.originalName,
+        contentType: file.mimeType,
+      })
+    : `${req.protocol}://${req.get('host')}/api/files/${generateDownloadToken(String(file._id))}`;
+  return { url, expiresAt: new Date(Date.now() + FILE_URL_EXPIRES_SECONDS * 1000) };
+};
+
+// Remove the stored object first: if that fails the file stays listed and the
+// delete can be retried
+const deleteStoredFile = async (req, file, audit) => {
+  const { adapter } = await getStorageAdapter(file.storage.adapter);
+  await adapter.remove(file.storage.key);
+
+  file.deletedAt = new Date();
+  file.deletedBy = describeActor(req.impersonator || req.user);
+  await file.save();
+
+  await recordAudit(req, {
+    action: audit.action,
+    targetType: audit.targetType,
+    targetId: file.owner.id,
+    before: { fileId: file._id, originalName: file.originalName, category: file.category },
+    metadata: { fileId: file._id },
+  });
+};
+
+const patientOwner = (patientDoc) => ({ kind: 'patient', id: patientDoc.id });
+
+// @desc    List a patient's uploaded documents (supports `category`). `urls`
+//          are document links added before uploads were stored here.
+// @route   GET /api/patients/:id/documents
+// @access  Private/Admin
+const getPatientDocuments = asyncHandler(async (req, res) => {
+  const patientDoc = await findAccessiblePatient(req, res);
+  const files = await listFiles(req, patientOwner(patientDoc));
+  res.json({ files, urls: patientDoc.data().documents || [] });
+});
+
+// @desc    Short-lived download URL for a patient document
+// @route   GET /api/patients/:id/documents/:fileId/download-url
+// @access  Private/Admin
+const getPatientDocumentUrl = asyncHandler(async (req, res) => {
+  const patientDoc = await findAccessiblePatient(req, res);
+  const file = await findOwnedFile(req, res, patientOwner(patientDoc));
+  res.json(await issueDownloadUrl(req, file));
+});
+
+// @desc    Delete a patient document and its stored file
+// @route   DELETE /api/patients/:id/documents/:fileId
+// @access  Private/Admin
+const deletePatientDocument = asyncHandler(async (req, res) => {
+  const patientDoc = await findAccessiblePatient(req, res);
+  const file = await findOwnedFile(req, res, patientOwner(patientDoc));
+  await deleteStoredFile(req, file, { action: 'patient.delete_document', targetType: 'patients' });
+  res.json({ message: 'Document deleted' });
+});
+
+// Session :id, 404 for professionals on other therapists' sessions
+const findFileSession = async (req, res) => {
+  const session = await Session.findById(req.params.id);
+  if (!session || (isProfessional(req.user) && !isOwnSession(session, req.user))) {
+    res.status(404);
+    throw new Error('Session not found');
+  }
+  return session;
+};
+
+const sessionOwner = (session) => ({ kind: 'session', id: String(session._id) });
+
+// @desc    Upload a session attachment (multipart field `file`, plus
+//          `category` and `description`)
+// @route   POST /api/sessions/:id/attachments
+// @access  Private/Admin
+const uploadSessionAttachment = asyncHandler(async (req, res) => {
+  const session = await findFileSession(req, res);
+  const file = await storeUpload(req, res, sessionOwner(session), {
+    action: 'session.upload_attachment',
+    targetType: 'sessions',
+  });
+  res.status(201).json(file);
+});
+
+// @desc    List a session's uploaded attachments (supports `category`).
+//          `urls` are attachment links added through notes-attachments.
+// @route   GET /api/sessions/:id/attachments
+// @access  Private/Admin
+const getSessionAttachments = asyncHandler(async (req, res) => {
+  const session = await findFileSession(req, res);
+  const files = await listFiles(req, sessionOwner(session));
+  res.json({ files, urls: session.attachments });
+});
+
+// @desc    Short-lived download URL for a session attachment
+// @route   GET /api/sessions/:id/attachments/:fileId/download-url
+// @access  Private/Admin
+const getSessionAttachmentUrl = asyncHandler(async (req, res) => {
+  const session = await findFileSession(req, res);
+  const file = await findOwnedFile(req, res, sessionOwner(session));
+  res.json(await issueDownloadUrl(req, file));
+});
+
+// @desc    Delete a session attachment and its stored file
+// @route   DELETE /api/sessions/:id/attachments/:fileId
+// @access  Private/Admin
+const deleteSessionAttachment = asyncHandler(async (req, res) => {
+  const session = await findFileSession(req, res);
+  const file = await findOwnedFile(req, res, sessionOwner(session));
+  await deleteStoredFile(req, file, { action: 'session.delete_attachment', targetType: 'sessions' });
+  res.json({ message: 'Attachment deleted' });
+});
+
+// @desc    Download a file through a signed link from a download-url endpoint
+// @route   GET /api/files/:token
+// @access  Public (the signed token is the credential)
+const downloadFile = asyncHandler(async (req, res) => {
+  const decoded = verifyPurposeToken(req.params.token, 'download');
+  const file =
+    decoded && (await StoredFile.findOne({ _id: decoded.id, deletedAt: { $exists: false } }));
+  if (!file) {
+    res.status(404);
+    throw new Error('File not found or link expired');
+  }
+
+  const { adapter } = await getStorageAdapter(file.storage.adapter);
+  const stream = await adapter.read(file.storage.key);
+  res.set({
+    'Content-Type': file.mimeType,
+    'Content-Length': String(file.size),
+    'Content-Disposition': contentDisposition(file.originalName),
+    'Cache-Control': 'private, no-store',
+    'X-Content-Type-Options': 'nosniff',
+  });
+  await pipeline(stream, res);
+});
+
+export {
+  storeUpload,
+  deleteStoredFile,
+  getPatientDocuments,
+  getPatientDocumentUrl,
+  deletePatientDocument,
+  uploadSessionAttachment,
+  getSessionAttachments,
+  getSessionAttachmentUrl,
+  deleteSessionAttachment,
+  downloadFile,
+};
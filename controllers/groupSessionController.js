@@ -0,0 +1,202 @@
+import asyncHandler from "../middleware/asyncHandler.js"
+import Session from "../models/Session.js"
+import Patient from "../models/Patient.js"
+import { recordAudit } from "../utils/audit.js"
+import { isProfessional, isOwnSession } from "../utils/professionals.js"
+import { assertSchedulable } from "../utils/sessionConflicts.js"
+import { applyStatusTransition } from "../utils/sessionLifecycle.js"
+
+// Group sessions (type "group") hold several patients in `participants`, up to
+// `capacity`. Each participant has their own status: enrolled, withdrawn, and
+// attended or missed once attendance is taken.
+
+const findParticipant = (session, patientId) =>
+  session.participants.find((participant) => String(participant.patient) === String(patientId))
+
+// Group session from :id, 404 for professionals on other therapists' sessions
+const findGroupSession = async (req, res) => {
+  const session = await Session.findById(req.params.id)
+  if (!session || (isProfessional(req.user) && !isOwnSession(session, req.user))) {
+    res.status(404)
+    throw new Error("Session not found")
+  }
+  if (session.type !== "group") {
+    res.status(400)
+    throw new Error("Only group sessions have participants")
+  }
+  return session
+}
+
+const assertEnrolmentOpen = (res, session) => {
+  if (session.status !== "upcoming") {
+    res.status(422)
+    throw new Error(`Participants can only change while a session is upcoming, not ${session.status}`)
+  }
+}
+
+// 409 if the patient already holds a place or the session is full
+const assertCanEnrol = (res, session, patientId) => {
+  const existing = findParticipant(session, patientId)
+  if (existing && existing.status !== "withdrawn") {
+    res.status(409)
+    throw new Error("Patient is already enrolled in this session")
+  }
+  if (session.activeParticipants().length >= session.capacity) {
+    res.status(409)
+    const error = new Error("Session is full")
+    error.details = { capacity: session.capacity }
+    throw error
+  }
+}
+
+// @desc    Enrol a patient in a group session
+// @route   POST /api/sessions/:id/participants
+// @access  Private/Admin
+const enrolParticipant = asyncHandler(async (req, res) => {
+  const { patientId } = req.body
+  const session = await findGroupSession(req, res)
+  assertEnrolmentOpen(res, session)
+
+  const patient = patientId ? await Patient.findById(patientId).select("_id") : null
+  if (!patient) {
+    res.status(404)
+    throw new Error("Patient not found")
+  }
+
+  assertCanEnrol(res, session, patient._id)
+
+  // Only the new participant's other sessions can clash
+  const override = await assertSchedulable(
+    req,
+    res,
+    { patient: patient._id, datetime: session.datetime, duration: session.duration },
+    [session._id],
+  )
+
+  // Claim the place in one conditional update, so two enrolments cannot both
+  // take the last place: it only matches while the session is still upcoming,
+  // has room and does not hold the patient already.
+  const before = session.toObject()
+  const now = new Date()
+  const existing = findParticipant(session, patient._id)
+  const { matchedCount } = await Session.updateOne(
+    {
+      _id: session._id,
+      status: "upcoming",
+      participants: { $not: { $elemMatch: { patient: patient._id, status: { $ne: "withdrawn" } } } },
+      $expr: {
+        $lt: [
+          { $size: { $filter: { input: "$participants", cond: { $ne: ["$$this.status", "withdrawn"] } } } },
+          "$capacity",
+        ],
+      },
+    },
+    existing
+      ? {
+          $set: { "participants.$[returning].status": "enrolled", "participants.$[returning].enrolledAt": now },
+          $unset: { "participants.$[returning].withdrawnAt": "", "participants.$[returning].reason": "" },
+        }
+      : { $push: { participants: { patient: patient._id, status: "enrolled", enrolledAt: now } } },
+    existing ? { arrayFilters: [{ "returning.patient": patient._id }] } : {},
+  )
+  const updatedSession = await Session.findById(session._id)
+  if (!updatedSession) {
+    res.status(404)
+    throw new Error("Session not found")
+  }
+  if (matchedCount === 0) {
+    // Someone else changed the session in the meantime: report why
+    assertEnrolmentOpen(res, updatedSession)
+    assertCanEnrol(res, updatedSession, patient._id)
+    res.status(409)
+    throw new Error("The session changed while enrolling; try again")
+  }
+
+  await recordAudit(req, {
+    action: "session.enrol",
+    targetType: "sessions",
+    targetId: session._id,
+    before,
+    after: updatedSession.toObject(),
+    metadata: { patientId: patient._id, ...(override && { conflictOverride: override }) },
+  })
+  res.status(201).json(updatedSession)
+})
+
+// @desc    Withdraw a patient from a group session
+// @route   DELETE /api/sessions/:id/participants/:patientId
+// @access  Private/Admin
+const withdrawParticipant = asyncHandler(async (req, res) => {
+  const { reason } = req.body || {}
+  const session = await findGroupSession(req, res)
+  assertEnrolmentOpen(res, session)
+
+  const participant = findParticipant(session, req.params.patientId)
+  if (!participant || participant.status === "withdrawn") {
+    res.status(404)
+    throw new Error("Patient is not enrolled in this session")
+  }
+
+  const before = session.toObject()
+  participant.set({ status: "withdrawn", withdrawnAt: new Date(), reason })
+  const updatedSession = await session.save()
+
+  await recordAudit(req, {
+    action: "session.withdraw",
+    targetType: "sessions",
+    targetId: session._id,
+    before,
+    after: updatedSession.toObject(),
+    metadata: { patientId: participant.patient, reason },
+  })
+  res.json(updatedSession)
+})
+
+// Attendance for PUT /api/sessions/:id/mark-attendance on a group session.
+// Body: { participants: [{ patient, attended, reason? }] }, for some or all of
+// the participants. Once every participant is marked, the session itself
+// becomes completed if anyone attended, otherwise missed.
+const markGroupAttendance = async (req, res, session) => {
+  const { participants = [], reason } = req.body
+  if (!Array.isArray(participants) || participants.length === 0) {
+    res.status(400)
+    throw new Error("participants must list at least one { patient, attended }")
+  }
+  if (new Date(session.datetime) > new Date()) {
+    res.status(422)
+    throw new Error("Attendance cannot be marked before the session starts")
+  }
+
+  const before = session.toObject()
+  for (const mark of participants) {
+    const participant = findParticipant(session, mark.patient)
+    if (!participant || participant.status === "withdrawn") {
+      res.status(400)
+      throw new Error(`Patient ${mark.patient} is not enrolled in this session`)
+    }
+    participant.set({
+      status: mark.attended ? "attended" : "missed",
+      attendanceMarkedAt: new Date(),
+      reason: mark.attended ? undefined : mark.reason,
+    })
+  }
+
+  const active = session.activeParticipants()
+  if (active.length > 0 && active.every((participant) => participant.status !== "enrolled")) {
+    const attended = active.some((participant) => participant.status === "attended")
+    applyStatusTransition(req, res, session, attended ? "completed" : "missed", { reason })
+    session.attendance_marked = attended
+  }
+
+  const updatedSession = await session.save()
+  await recordAudit(req, {
+    action: "session.mark_attendance",
+    targetType: "sessions",
+    targetId: session._id,
+    before,
+    after: updatedSession.toObject(),
+  })
+  res.json(updatedSession)
+}
+
+export { enrolParticipant, withdrawParticipant, markGroupAttendance }
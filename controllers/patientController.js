@@ -1,5 +1,17 @@
 import asyncHandler from '../middleware/asyncHandler.js';
 import { db } from '../config/firebase.js';
+import { recordAudit } from '../utils/audit.js';
+import {
+  isProfessional,
+  isPatientAssignedTo,
+  assignedPatientsFilter,
+} from '../utils/professionals.js';
+import { findAccessiblePatient } from '../utils/patients.js';
+import { OPEN_FLAG_STATUSES, raisePatientFlag } from '../utils/patientFlags.js';
+import PatientFlag from '../models/PatientFlag.js';
+import TreatmentPlan from '../models/TreatmentPlan.js';
+import { storeUpload } from './fileController.js';
+import { FLAG_SEVERITIES } from '../models/FlagType.js';
 
 // Cache for frequently accessed data (in production, use Redis)
 const cache = new Map();
@@ -26,6 +38,12 @@ const clearCache = (pattern) => {
   }
 };
 
+// Drop every cached view that may include this patient
+const clearPatientCache = (id) => {
+  clearCache(`patient_${id}`);
+  clearCache('patients');
+};
+
 // @desc    Create a new patient
 // @route   POST /api/patients
 // @access  Private/Admin
@@ -65,6 +83,13 @@ const createPatient = asyncHandler(async (req, res) => {
   const docRef = await db.collection('users').add(patientData);
   const createdPatient = await docRef.get();
 
+  await recordAudit(req, {
+    action: 'patient.create',
+    targetType: 'patients',
+    targetId: docRef.id,
+    after: patientData,
+  });
+
   // Clear relevant cache
   clearCache('patients');
 
@@ -83,11 +108,13 @@ const getPatients = asyncHandler(async (req, res) => {
   const keyword = req.query.keyword;
   const profileComplete = req.query.profileComplete; // Filter by profile completion
   const therapistId = req.query.therapistId; // Filter by assigned therapist
+  // Professionals only ever see their own caseload
+  const professional = isProfessional(req.user) ? req.user : null;
 
   // Build cache key
   const cacheKey = `patients_${pageSize}_${lastDocId || 'start'}_${
     keyword || ''
-  }_${profileComplete || ''}_${therapistId || ''}`;
+  }_${profileComplete || ''}_${therapistId || ''}_${professional?._id || ''}`;
 
   const fetchPatients = async () => {
     let query = db.collection('users').where('role', '==', 'patient');
@@ -97,7 +124,9 @@ const getPatients = asyncHandler(async (req, res) => {
       const isComplete = profileComplete === 'true';
       query = query.where('isProfileComplete', '==', isComplete);
     }
-    if (therapistId) {
+    if (professional) {
+      query = query.where(assignedPatientsFilter(professional));
+    } else if (therapistId) {
       query = query.where('assigned_therapist', '==', therapistId);
     }
 
@@ -258,6 +287,10 @@ const getPatientById = asyncHandler(async (req, res) => {
 
   try {
     const patient = await getCachedData(cacheKey, fetchPatient);
+    // Same response as a missing patient, so ids outside the caseload leak nothing
+    if (isProfessional(req.user) && !isPatientAssignedTo(patient, req.user)) {
+      throw new Error('Patient not found');
+    }
     res.json(patient);
   } catch (error) {
     res.status(404);
@@ -282,6 +315,8 @@ const updatePatient = asyncHandler(async (req, res) => {
   } = req.body;
 
   const patientRef = db.collection('users').doc(req.params.id);
+  let before;
+  let after;
 
   // Use a transaction to ensure data consistency
   const result = await db.runTransaction(async (transaction) => {
@@ -321,6 +356,9 @@ const updatePatient = asyncHandler(async (req, res) => {
       transaction.update(patientRef, updateData);
     }
 
+    before = currentData;
+    after = { ...currentData, ...updateData };
+
     // Return API-compatible format
     const resultData = { ...currentData, ...updateData };
     resultData.full_name = resultData.name;
@@ -330,6 +368,14 @@ const updatePatient = asyncHandler(async (req, res) => {
     return { id: patientDoc.id, ...resultData };
   });
 
+  await recordAudit(req, {
+    action: 'patient.update',
+    targetType: 'patients',
+    targetId: req.params.id,
+    before,
+    after,
+  });
+
   // Clear cache
   clearCache(`patient_${req.params.id}`);
   clearCache('patients');
@@ -342,6 +388,7 @@ const updatePatient = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 const deletePatient = asyncHandler(async (req, res) => {
   const patientRef = db.collection('users').doc(req.params.id);
+  let before;
 
   const result = await db.runTransaction(async (transaction) => {
     const patientDoc = await transaction.get(patientRef);
@@ -349,6 +396,7 @@ const deletePatient = asyncHandler(async (req, res) => {
     if (!patientDoc.exists || patientDoc.data().role !== 'patient') {
       throw new Error('Patient not found');
     }
+    before = patientDoc.data();
 
     // Delete the patient
     transaction.delete(patientRef);
@@ -356,6 +404,13 @@ const deletePatient = asyncHandler(async (req, res) => {
     return true;
   });
 
+  await recordAudit(req, {
+    action: 'patient.delete',
+    targetType: 'patients',
+    targetId: req.params.id,
+    before,
+  });
+
   // Clear cache
   clearCache(`patient_${req.params.id}`);
   clearCache('patients');
@@ -368,6 +423,8 @@ const deletePatient = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 const assignTherapistToPatient = asyncHandler(async (req, res) => {
   const { therapistId } = req.body;
+  let before;
+  let therapistName;
 
   const result = await db.runTransaction(async (transaction) => {
     const patientRef = db.collection('users').doc(req.params.id);
@@ -384,6 +441,7 @@ const assignTherapistToPatient = asyncHandler(async (req, res) => {
     if (!therapistDoc.exists || therapistDoc.data().role !== 'professional') {
       throw new Error('Invalid therapist ID');
     }
+    therapistName = therapistDoc.data().name || therapistDoc.data().full_name;
 
     // Update patient
     transaction.update(patientRef, {
@@ -391,6 +449,8 @@ const assignTherapistToPatient = asyncHandler(async (req, res) => {
       updatedAt: new Date().toISOString(),
     });
 
+    before = { assigned_therapist: patientDoc.data().assigned_therapist || null };
+
     const resultData = {
       ...patientDoc.data(),
       assigned_therapist: therapistId,
@@ -402,6 +462,21 @@ const assignTherapistToPatient = asyncHandler(async (req, res) => {
     return { id: patientDoc.id, ...resultData };
   });
 
+  // Open treatment plans follow the patient to their new therapist
+  const plans = await TreatmentPlan.updateMany(
+    { patient: req.params.id, status: { $in: ['draft', 'active'] } },
+    { $set: { therapist: { id: therapistId, name: therapistName } } }
+  );
+
+  await recordAudit(req, {
+    action: 'patient.assign_therapist',
+    targetType: 'patients',
+    targetId: req.params.id,
+    before,
+    after: { assigned_therapist: therapistId },
+    metadata: { treatmentPlansUpdated: plans.modifiedCount },
+  });
+
   // Clear cache
   clearCache(`patient_${req.params.id}`);
   clearCache('patients');
@@ -409,48 +484,54 @@ const assignTherapistToPatient = asyncHandler(async (req, res) => {
   res.json(result);
 });
 
-// @desc    Flag patient (optimized)
+// @desc    Flag patient
 // @route   PUT /api/patients/:id/flag
 // @access  Private/Admin
 const flagPatient = asyncHandler(async (req, res) => {
-  const { flag } = req.body;
-
-  const result = await db.runTransaction(async (transaction) => {
-    const patientRef = db.collection('users').doc(req.params.id);
-    const patientDoc = await transaction.get(patientRef);
-
-    if (!patientDoc.exists || patientDoc.data().role !== 'patient') {
-      throw new Error('Patient not found');
-    }
-
-    const currentFlags = patientDoc.data().flags || [];
-    if (!currentFlags.includes(flag)) {
-      transaction.update(patientRef, {
-        flags: [...currentFlags, flag],
-        updatedAt: new Date().toISOString(),
-      });
-    }
-
-    const resultData = { ...patientDoc.data(), flags: [...currentFlags, flag] };
-    resultData.full_name = resultData.name;
-    resultData.created_at = resultData.createdAt;
-    resultData.updated_at = new Date().toISOString();
-
-    return { id: patientDoc.id, ...resultData };
+  // `flag` is the old free-text field; it now has to name a catalog type
+  const { type, flag, severity, reason, reviewDueAt } = req.body;
+  const patientDoc = await findAccessiblePatient(req, res);
+
+  const { flag: created, existing } = await raisePatientFlag(req, res, patientDoc, {
+    type: type || flag,
+    severity,
+    reason,
+    reviewDueAt,
+    source: { kind: 'manual' },
   });
+  if (existing) {
+    res.status(409);
+    const error = new Error(`Patient already has an open ${existing.label} flag`);
+    error.details = { flagId: existing._id };
+    throw error;
+  }
 
   // Clear cache
-  clearCache(`patient_${req.params.id}`);
-  clearCache('patients');
+  clearPatientCache(req.params.id);
 
-  res.json(result);
+  res.status(201).json(created);
 });
 
-// @desc    Upload document for patient (optimized)
+// @desc    Upload a patient document: a multipart `file` (with `category` and
+//          `description`), or a `documentUrl` link as before
 // @route   PUT /api/patients/:id/documents
 // @access  Private/Admin
 const uploadPatientDocument = asyncHandler(async (req, res) => {
   const { documentUrl } = req.body;
+  let before;
+
+  if (req.file) {
+    const patientDoc = await findAccessiblePatient(req, res);
+    const file = await storeUpload(req, res, { kind: 'patient', id: patientDoc.id }, {
+      action: 'patient.upload_document',
+      targetType: 'patients',
+    });
+    return res.status(201).json(file);
+  }
+  if (!documentUrl) {
+    res.status(400);
+    throw new Error('Upload a file (multipart field "file") or give a documentUrl');
+  }
 
   const result = await db.runTransaction(async (transaction) => {
     const patientRef = db.collection('users').doc(req.params.id);
@@ -461,6 +542,7 @@ const uploadPatientDocument = asyncHandler(async (req, res) => {
     }
 
     const currentDocuments = patientDoc.data().documents || [];
+    before = { documents: currentDocuments };
     transaction.update(patientRef, {
       documents: [...currentDocuments, documentUrl],
       updatedAt: new Date().toISOString(),
@@ -477,6 +559,14 @@ const uploadPatientDocument = asyncHandler(async (req, res) => {
     return { id: patientDoc.id, ...resultData };
   });
 
+  await recordAudit(req, {
+    action: 'patient.add_document',
+    targetType: 'patients',
+    targetId: req.params.id,
+    before,
+    after: { documents: result.documents },
+  });
+
   // Clear cache
   clearCache(`patient_${req.params.id}`);
   clearCache('patients');
@@ -488,28 +578,56 @@ const uploadPatientDocument = asyncHandler(async (req, res) => {
 // @route   GET /api/patients/summary
 // @access  Private/Admin
 const getPatientsSummary = asyncHandler(async (req, res) => {
-  const cacheKey = 'patients_summary';
+  const professional = isProfessional(req.user) ? req.user : null;
+  const cacheKey = professional
+    ? `patients_summary_${professional._id}`
+    : 'patients_summary';
 
   const fetchSummary = async () => {
+    let patients = db.collection('users').where('role', '==', 'patient');
+    if (professional) {
+      patients = patients.where(assignedPatientsFilter(professional));
+    }
+
     // Use aggregation-like queries to get counts efficiently
     const [totalQuery, completeQuery, flaggedQuery] = await Promise.all([
-      db.collection('users').where('role', '==', 'patient').get(),
-      db
-        .collection('users')
-        .where('role', '==', 'patient')
-        .where('isProfileComplete', '==', true)
-        .get(),
-      db
-        .collection('users')
-        .where('role', '==', 'patient')
-        .where('flags', '!=', [])
-        .get(),
+      patients.get(),
+      patients.where('isProfileComplete', '==', true).get(),
+      patients.where('flags', '!=', []).get(),
+    ]);
+
+    // Each flagged patient counts once, under their most severe open flag.
+    // Patients with only old free-text flags are "unclassified".
+    const mostSevere = await PatientFlag.aggregate([
+      {
+        $match: {
+          status: { $in: OPEN_FLAG_STATUSES },
+          patient: { $in: totalQuery.docs.map((doc) => doc.id) },
+        },
+      },
+      {
+        $group: {
+          _id: '$patient',
+          rank: { $max: { $indexOfArray: [FLAG_SEVERITIES, '$severity'] } },
+        },
+      },
     ]);
+    const flaggedBySeverity = Object.fromEntries(
+      FLAG_SEVERITIES.map((severity) => [severity, 0])
+    );
+    mostSevere.forEach(({ rank }) => {
+      flaggedBySeverity[FLAG_SEVERITIES[rank]] += 1;
+    });
+    const classified = new Set(mostSevere.map((entry) => entry._id));
+    flaggedBySeverity.unclassified = flaggedQuery.docs.filter(
+      (doc) => !classified.has(doc.id)
+    ).length;
 
     return {
       total: totalQuery.size,
       complete: completeQuery.size,
       flagged: flaggedQuery.size,
+      flaggedBySeverity,
       incomplete: totalQuery.size - completeQuery.size,
       // Map to existing API structure for backward compatibility
       active: completeQuery.size,
@@ -534,9 +652,14 @@ const batchUpdatePatients = asyncHandler(async (req, res) => {
 
   const batch = db.batch();
   const timestamp = new Date().toISOString();
+  const patientRefs = patientIds.map((patientId) =>
+    db.collection('users').doc(patientId)
+  );
 
-  for (const patientId of patientIds) {
-    const patientRef = db.collection('users').doc(patientId);
+  // Snapshot the touched fields first so the audit trail has before values
+  const beforeDocs = await db.getAll(...patientRefs);
+
+  for (const patientRef of patientRefs) {
     batch.update(patientRef, {
       ...updateData,
       updatedAt: timestamp,
@@ -545,6 +668,19 @@ const batchUpdatePatients = asyncHandler(async (req, res) => {
 
   await batch.commit();
 
+  for (const doc of beforeDocs) {
+    const current = doc.data() || {};
+    await recordAudit(req, {
+      action: 'patient.batch_update',
+      targetType: 'patients',
+      targetId: doc.id,
+      before: Object.fromEntries(
+        Object.keys(updateData || {}).map((key) => [key, current[key]])
+      ),
+      after: updateData,
+    });
+  }
+
   // Clear cache
   clearCache('patients');
 
@@ -568,6 +704,9 @@ const searchPatients = asyncHandler(async (req, res) => {
   } = req.query;
 
   let query = db.collection('users').where('role', '==', 'patient');
+  if (isProfessional(req.user)) {
+    query = query.where(assignedPatientsFilter(req.user));
+  }
 
   // Apply filters
   Object.entries(filters).forEach(([key, value]) => {
@@ -722,4 +861,5 @@ export {
   batchUpdatePatients,
   searchPatients,
   getPatientAnalytics,
+  clearPatientCache,
 };
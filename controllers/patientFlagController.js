@@ -0,0 +1,247 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import { db } from '../config/firebase.js';
+import FlagType, { FLAG_SEVERITIES } from '../models/FlagType.js';
+import PatientFlag from '../models/PatientFlag.js';
+import { recordAudit } from '../utils/audit.js';
+import { isProfessional, assignedPatientsFilter } from '../utils/professionals.js';
+import { findAccessiblePatient } from '../utils/patients.js';
+import {
+  OPEN_FLAG_STATUSES,
+  ESCALATION_SEVERITIES,
+  unmirrorFlag,
+} from '../utils/patientFlags.js';
+import { describeActor } from '../utils/actors.js';
+import { clearPatientCache } from './patientController.js';
+
+const FLAG_TYPE_FIELDS = ['label', 'description', 'defaultSeverity', 'reviewAfterDays', 'active'];
+
+// @desc    Get the flag type catalog (`includeInactive=true` for retired types)
+// @route   GET /api/settings/flag-types
+// @access  Private
+const getFlagTypes = asyncHandler(async (req, res) => {
+  const catalog = await FlagType.getCatalog({
+    includeInactive: req.query.includeInactive === 'true',
+  });
+  res.json(catalog);
+});
+
+// @desc    Add a flag type to the catalog
+// @route   POST /api/settings/flag-types
+// @access  Private/SuperAdmin
+const createFlagType = asyncHandler(async (req, res) => {
+  await FlagType.getCatalog(); // Seed the defaults before the first custom type
+  if (await FlagType.exists({ key: req.body.key })) {
+    res.status(409);
+    throw new Error(`Flag type ${req.body.key} already exists`);
+  }
+
+  const type = new FlagType({
+    key: req.body.key,
+    ...Object.fromEntries(FLAG_TYPE_FIELDS.map((field) => [field, req.body[field]])),
+    updatedBy: String((req.impersonator || req.user)._id),
+  });
+  try {
+    await type.save();
+  } catch (error) {
+    res.status(400);
+    throw error;
+  }
+
+  await recordAudit(req, {
+    action: 'flag_type.create',
+    targetType: 'flag_types',
+    targetId: type.key,
+    after: type.toObject(),
+  });
+  res.status(201).json(type);
+});
+
+// @desc    Update or retire (`active: false`) a flag type
+// @route   PUT /api/settings/flag-types/:key
+// @access  Private/SuperAdmin
+const updateFlagType = asyncHandler(async (req, res) => {
+  const type = await FlagType.findOne({ key: req.params.key });
+  if (!type) {
+    res.status(404);
+    throw new Error('Flag type not found');
+  }
+
+  const before = type.toObject();
+  for (const field of FLAG_TYPE_FIELDS) {
+    if (req.body[field] !== undefined) type[field] = req.body[field];
+  }
+  type.updatedBy = String((req.impersonator || req.user)._id);
+  try {
+    await type.save();
+  } catch (error) {
+    res.status(400);
+    throw error;
+  }
+
+  await recordAudit(req, {
+    action: 'flag_type.update',
+    targetType: 'flag_types',
+    targetId: type.key,
+    before,
+    after: type.toObject(),
+  });
+  res.json(type);
+});
+
+// @desc    Get a patient's flags, newest first (supports `status`)
+// @route   GET /api/patients/:id/flags
+// @access  Private/Admin
+const getPatientFlags = asyncHandler(async (req, res) => {
+  const patientDoc = await findAccessiblePatient(req, res);
+
+  const filter = { patient: patientDoc.id };
+  if (req.query.status === 'open') {
+    filter.status = { $in: OPEN_FLAG_STATUSES };
+  } else if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  const flags = await PatientFlag.find(filter).sort({ raisedAt: -1 });
+  res.json(flags);
+});
+
+// Flag :flagId of patient :id; 404 if it belongs to someone else
+const findPatientFlag = async (req, res) => {
+  const patientDoc = await findAccessiblePatient(req, res);
+  const flag = await PatientFlag.findById(req.params.flagId);
+  if (!flag || flag.patient !== patientDoc.id) {
+    res.status(404);
+    throw new Error('Flag not found');
+  }
+  return { patientDoc, flag };
+};
+
+// Move `flag` to `to`, record who did it and audit the change
+const closeOrAcknowledge = async (req, res, { from, to, fields, action }) => {
+  const { patientDoc, flag } = await findPatientFlag(req, res);
+  if (!from.includes(flag.status)) {
+    res.status(422);
+    throw new Error(`A ${flag.status} flag cannot become ${to}`);
+  }
+
+  const before = flag.toObject();
+  flag.set({ status: to, ...fields });
+  await flag.save();
+
+  if (!OPEN_FLAG_STATUSES.includes(to)) {
+    await unmirrorFlag(patientDoc.ref, flag);
+    clearPatientCache(patientDoc.id);
+  }
+  await recordAudit(req, {
+    action,
+    targetType: 'patients',
+    targetId: patientDoc.id,
+    before,
+    after: flag.toObject(),
+    metadata: { flagId: flag._id },
+  });
+  res.json(flag);
+};
+
+const requireText = (res, value, name) => {
+  if (!value || !String(value).trim()) {
+    res.status(400);
+    throw new Error(`${name} is required`);
+  }
+  return String(value).trim();
+};
+
+// @desc    Acknowledge a flag (someone has seen it and is following up)
+// @route   PUT /api/patients/:id/flags/:flagId/acknowledge
+// @access  Private/Admin
+const acknowledgeFlag = asyncHandler(async (req, res) =>
+  closeOrAcknowledge(req, res, {
+    from: ['active'],
+    to: 'acknowledged',
+    action: 'patient.flag_acknowledge',
+    fields: {
+      acknowledgedBy: describeActor(req.impersonator || req.user),
+      acknowledgedAt: new Date(),
+    },
+  })
+);
+
+// @desc    Resolve a flag with a resolution note
+// @route   PUT /api/patients/:id/flags/:flagId/resolve
+// @access  Private/Admin
+const resolveFlag = asyncHandler(async (req, res) =>
+  closeOrAcknowledge(req, res, {
+    from: OPEN_FLAG_STATUSES,
+    to: 'resolved',
+    action: 'patient.flag_resolve',
+    fields: {
+      resolutionNote: requireText(res, req.body.resolutionNote, 'resolutionNote'),
+      resolvedBy: describeActor(req.impersonator || req.user),
+      resolvedAt: new Date(),
+    },
+  })
+);
+
+// @desc    Remove a flag raised in error (kept on record as "removed")
+// @route   DELETE /api/patients/:id/flags/:flagId
+// @access  Private/Admin
+const removeFlag = asyncHandler(async (req, res) =>
+  closeOrAcknowledge(req, res, {
+    from: OPEN_FLAG_STATUSES,
+    to: 'removed',
+    action: 'patient.flag_remove',
+    fields: {
+      removalReason: requireText(res, req.body?.reason, 'reason'),
+      removedBy: describeActor(req.impersonator || req.user),
+      removedAt: new Date(),
+    },
+  })
+);
+
+// @desc    Unacknowledged high and critical flags, most severe then oldest
+//          first (supports `severity`)
+// @route   GET /api/patients/flags/escalations
+// @access  Private/Admin
+const getEscalationQueue = asyncHandler(async (req, res) => {
+  const severities = req.query.severity ? [req.query.severity] : ESCALATION_SEVERITIES;
+  if (severities.some((severity) => !FLAG_SEVERITIES.includes(severity))) {
+    res.status(400);
+    throw new Error(`severity must be one of ${FLAG_SEVERITIES.join(', ')}`);
+  }
+
+  const filter = { status: 'active', severity: { $in: severities } };
+  if (isProfessional(req.user)) {
+    const caseload = await db
+      .collection('users')
+      .where('role', '==', 'patient')
+      .where(assignedPatientsFilter(req.user))
+      .select()
+      .get();
+    filter.patient = { $in: caseload.docs.map((doc) => doc.id) };
+  }
+
+  const flags = await PatientFlag.find(filter).sort({ raisedAt: 1 });
+  const now = new Date();
+  const queue = flags
+    .map((flag) => ({
+      ...flag.toObject(),
+      overdue: Boolean(flag.reviewDueAt && flag.reviewDueAt < now),
+    }))
+    .sort(
+      (a, b) =>
+        FLAG_SEVERITIES.indexOf(b.severity) - FLAG_SEVERITIES.indexOf(a.severity) ||
+        a.raisedAt - b.raisedAt
+    );
+
+  res.json({ count: queue.length, flags: queue });
+});
+
+export {
+  getFlagTypes,
+  createFlagType,
+  updateFlagType,
+  getPatientFlags,
+  acknowledgeFlag,
+  resolveFlag,
+  removeFlag,
+  getEscalationQueue,
+};
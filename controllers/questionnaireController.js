@@ -0,0 +1,178 @@
+import mongoose from 'mongoose';
+import asyncHandler from '../middleware/asyncHandler.js';
+import QuestionnaireResponse from '../models/QuestionnaireResponse.js';
+import Session from '../models/Session.js';
+import { recordAudit } from '../utils/audit.js';
+import { findAccessiblePatient, findSessionPatientId } from '../utils/patients.js';
+import { raisePatientFlag } from '../utils/patientFlags.js';
+import { isProfessional, isOwnSession } from '../utils/professionals.js';
+import { describeActor } from '../utils/actors.js';
+import {
+  getInstrument,
+  listInstruments,
+  validateAnswers,
+  scoreAnswers,
+} from '../utils/questionnaires.js';
+import { clearPatientCache } from './patientController.js';
+
+// @desc    List questionnaire instruments (latest versions)
+// @route   GET /api/questionnaires/instruments
+// @access  Private
+const getInstruments = asyncHandler(async (req, res) => {
+  res.json(listInstruments());
+});
+
+// @desc    Get one instrument, optionally at an older `version`
+// @route   GET /api/questionnaires/instruments/:code
+// @access  Private
+const getInstrumentByCode = asyncHandler(async (req, res) => {
+  const instrument = getInstrument(req.params.code, req.query.version);
+  if (!instrument) {
+    res.status(404);
+    throw new Error('Instrument not found');
+  }
+  res.json(instrument);
+});
+
+// Session `sessionId` of the patient in `patientDoc` (their own, or a group
+// they are enrolled in); 404 for anything else, and for professionals on
+// other therapists' sessions
+const findPatientSession = async (req, res, patientDoc, sessionId) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    res.status(400);
+    throw new Error('sessionId must be a valid id');
+  }
+  const sessionPatientId = await findSessionPatientId(patientDoc);
+  const session = sessionPatientId
+    ? await Session.findOne({
+        _id: sessionId,
+        $or: [
+          { patient: sessionPatientId },
+          { participants: { $elemMatch: { patient: sessionPatientId, status: { $ne: 'withdrawn' } } } },
+        ],
+      })
+    : null;
+  if (!session || (isProfessional(req.user) && !isOwnSession(session, req.user))) {
+    res.status(404);
+    throw new Error('No session with that id for this patient');
+  }
+  return session;
+};
+
+// @desc    Record and score a patient's questionnaire
+// @route   POST /api/patients/:id/questionnaires
+// @access  Private/Admin
+const recordQuestionnaire = asyncHandler(async (req, res) => {
+  const { instrument: code, version, answers, sessionId, completedAt, notes } = req.body;
+  const patientDoc = await findAccessiblePatient(req, res);
+
+  const instrument = getInstrument(code, version);
+  if (!instrument) {
+    res.status(400);
+    throw new Error(`Unknown instrument: ${code}${version !== undefined ? ` version ${version}` : ''}`);
+  }
+  const problems = validateAnswers(instrument, answers);
+  if (problems.length > 0) {
+    res.status(400);
+    const error = new Error(`Invalid answers: ${problems.join('; ')}`);
+    error.details = problems;
+    throw error;
+  }
+
+  if (completedAt !== undefined && Number.isNaN(new Date(completedAt).getTime())) {
+    res.status(400);
+    throw new Error('completedAt must be a valid date');
+  }
+  const session = sessionId ? await findPatientSession(req, res, patientDoc, sessionId) : null;
+
+  const score = scoreAnswers(instrument, answers);
+  const response = await QuestionnaireResponse.create({
+    patient: patientDoc.id,
+    instrument: instrument.code,
+    version: instrument.version,
+    answers,
+    ...score,
+    session: session?._id,
+    completedAt,
+    notes,
+    recordedBy: describeActor(req.impersonator || req.user),
+  });
+  await recordAudit(req, {
+    action: 'questionnaire.record',
+    targetType: 'patients',
+    targetId: patientDoc.id,
+    after: { instrument: response.instrument, totalScore: response.totalScore, severity: response.severity },
+    metadata: { responseId: response._id, version: response.version },
+  });
+
+  // Risk answers flag the patient straight away, unless a flag of that type is
+  // already open
+  const flagsRaised = [];
+  for (const risk of score.riskFlags) {
+    const answer = instrument.options.find((option) => option.value === risk.value);
+    const { flag } = await raisePatientFlag(req, res, patientDoc, {
+      type: risk.flag,
+      reason: `${instrument.title}: item ${risk.item} answered "${answer?.label ?? risk.value}"`,
+      source: { kind: 'questionnaire', id: String(response._id) },
+    });
+    if (flag) flagsRaised.push(flag);
+  }
+  if (flagsRaised.length > 0) {
+    clearPatientCache(patientDoc.id);
+  }
+
+  res.status(201).json({ ...response.toObject(), flagsRaised });
+});
+
+// @desc    A patient's questionnaire responses, newest first
+// @route   GET /api/patients/:id/questionnaires
+// @access  Private/Admin
+const getPatientQuestionnaires = asyncHandler(async (req, res) => {
+  const patientDoc = await findAccessiblePatient(req, res);
+
+  const filter = { patient: patientDoc.id };
+  if (req.query.instrument) filter.instrument = req.query.instrument;
+  const responses = await QuestionnaireResponse.find(filter).sort({ completedAt: -1 });
+
+  res.json(responses);
+});
+
+// @desc    Score history per instrument, oldest first, with the change
+//          from the previous score
+// @route   GET /api/patients/:id/questionnaires/history
+// @access  Private/Admin
+const getQuestionnaireHistory = asyncHandler(async (req, res) => {
+  const patientDoc = await findAccessiblePatient(req, res);
+
+  const responses = await QuestionnaireResponse.find({ patient: patientDoc.id })
+    .select('instrument version totalScore severity riskFlags completedAt')
+    .sort({ completedAt: 1 });
+
+  const history = {};
+  for (const response of responses) {
+    const entry = (history[response.instrument] ||= {
+      title: getInstrument(response.instrument)?.title,
+      scores: [],
+    });
+    const previous = entry.scores[entry.scores.length - 1];
+    entry.scores.push({
+      _id: response._id,
+      completedAt: response.completedAt,
+      version: response.version,
+      totalScore: response.totalScore,
+      severity: response.severity,
+      change: previous ? response.totalScore - previous.totalScore : null,
+      riskFlags: response.riskFlags,
+    });
+  }
+
+  res.json(history);
+});
+
+export {
+  getInstruments,
+  getInstrumentByCode,
+  recordQuestionnaire,
+  getPatientQuestionnaires,
+  getQuestionnaireHistory,
+};
@@ -1,39 +1,126 @@
 import asyncHandler from "../middleware/asyncHandler.js"
+import mongoose from "mongoose"
 import Session from "../models/Session.js"
+import Patient from "../models/Patient.js"
+import Therapist from "../models/Therapist.js"
+import { recordAudit } from "../utils/audit.js"
+import { isProfessional, isOwnSession } from "../utils/professionals.js"
+import { assertSchedulable } from "../utils/sessionConflicts.js"
+import { SERIES_SCOPES, updateSeriesOccurrences } from "./sessionSeriesController.js"
+import { applyStatusTransition, recordInitialStatus } from "../utils/sessionLifecycle.js"
+import { buildCalendar } from "../utils/ical.js"
+import { GRACE_HOURS as ATTENDANCE_GRACE_HOURS } from "../jobs/attendanceReconciliation.js"
+import { markGroupAttendance } from "./groupSessionController.js"
+import { syncVideoRoom } from "../utils/videoRooms.js"
+import SessionNote from "../models/SessionNote.js"
+import { LATE_NOTE_HOURS, saveNoteVersion } from "./sessionNoteController.js"
+import StoredFile from "../models/StoredFile.js"
+import { deleteStoredFile } from "./fileController.js"
+
+const ICS_MAX_EVENTS = Number(process.env.ICS_MAX_EVENTS) || 2000
+
+// Professionals can only reach their own sessions; anything else looks missing
+const findAccessibleSession = async (req, res, query = Session.findById(req.params.id)) => {
+  const session = await query
+  if (!session || (isProfessional(req.user) && !isOwnSession(session, req.user))) {
+    res.status(404)
+    throw new Error("Session not found")
+  }
+  return session
+}
 
 // @desc    Create a new session
 // @route   POST /api/sessions
 // @access  Private/Admin
 const createSession = asyncHandler(async (req, res) => {
-  const { patient, therapist, datetime, duration, notes, attachments, status } = req.body
+  const {
+    patient,
+    therapist,
+    datetime,
+    duration,
+    mode,
+    notes,
+    attachments,
+    status,
+    type,
+    title,
+    capacity,
+    participants,
+  } = req.body
+
+  if (isProfessional(req.user) && !isOwnSession({ therapist }, req.user)) {
+    res.status(403)
+    throw new Error("Professionals can only create their own sessions")
+  }
+  // Every session starts upcoming; later statuses go through the transitions
+  if (status !== undefined && status !== "upcoming") {
+    res.status(400)
+    throw new Error("New sessions start as upcoming; change the status with PUT /api/sessions/:id/status")
+  }
 
   const session = new Session({
+    type,
     patient,
+    title,
+    capacity,
+    // Group sessions take a list of patient ids
+    participants: Array.isArray(participants) ? participants.map((id) => ({ patient: id })) : undefined,
     therapist,
     datetime,
     duration,
+    mode,
     notes,
     attachments,
-    status,
   })
+  recordInitialStatus(req, session)
+
+  await session.validate()
+  const override = await assertSchedulable(req, res, session.toObject())
+  await syncVideoRoom(session)
 
   const createdSession = await session.save()
+  await recordAudit(req, {
+    action: "session.create",
+    targetType: "sessions",
+    targetId: createdSession._id,
+    after: createdSession.toObject(),
+    metadata: override && { conflictOverride: override },
+  })
   res.status(201).json(createdSession)
 })
 
+// Query filters shared by the session list and its calendar export
+const buildSessionFilter = (req) => {
+  const statusFilter = req.query.status ? { status: req.query.status } : {}
+  // A patient's sessions include the groups they are (still) enrolled in
+  const patientFilter = req.query.patientId
+    ? {
+        $or: [
+          { patient: req.query.patientId },
+          { participants: { $elemMatch: { patient: req.query.patientId, status: { $ne: "withdrawn" } } } },
+        ],
+      }
+    : {}
+  const seriesFilter = req.query.seriesId ? { series: req.query.seriesId } : {}
+  let therapistFilter = req.query.therapistId ? { therapist: req.query.therapistId } : {}
+  if (isProfessional(req.user)) {
+    // A professional without a linked Therapist record has no sessions
+    therapistFilter = { therapist: req.user.therapistId || null }
+  }
+  return { ...statusFilter, ...patientFilter, ...seriesFilter, ...therapistFilter }
+}
+
 // @desc    Get all sessions
 // @route   GET /api/sessions
 // @access  Private/Admin
 const getSessions = asyncHandler(async (req, res) => {
   const pageSize = 10
   const page = Number(req.query.pageNumber) || 1
-  const statusFilter = req.query.status ? { status: req.query.status } : {}
-  const patientFilter = req.query.patientId ? { patient: req.query.patientId } : {}
-  const therapistFilter = req.query.therapistId ? { therapist: req.query.therapistId } : {}
-
-  const count = await Session.countDocuments({ ...statusFilter, ...patientFilter, ...therapistFilter })
-  const sessions = await Session.find({ ...statusFilter, ...patientFilter, ...therapistFilter })
+  const filter = buildSessionFilter(req)
+  const count = await Session.countDocuments(filter)
+  const sessions = await Session.find(filter)
     .populate("patient", "full_name email")
+    .populate("participants.patient", "full_name email")
     .populate("therapist", "full_name email")
     .limit(pageSize)
     .skip(pageSize * (page - 1))
@@ -42,39 +129,151 @@ const getSessions = asyncHandler(async (req, res) => {
   res.json({ sessions, page, pages: Math.ceil(count / pageSize) })
 })
 
+// @desc    Export sessions as an iCalendar file (same filters as GET /api/sessions)
+// @route   GET /api/sessions/export.ics
+// @access  Private/Admin
+const exportSessionsIcs = asyncHandler(async (req, res) => {
+  // A retired "rescheduled" session shares its event UID with its replacement
+  // Newest first, so a capped export drops the oldest sessions rather than
+  // the upcoming ones. One extra row tells us whether anything was left out.
+  const sessions = await Session.find({ $and: [buildSessionFilter(req), { status: { $ne: "rescheduled" } }] })
+    .populate("patient", "full_name")
+    .populate("therapist", "full_name")
+    .sort({ datetime: -1 })
+    .limit(ICS_MAX_EVENTS + 1)
+  const truncated = sessions.length > ICS_MAX_EVENTS
+
+  res.set("Content-Type", "text/calendar; charset=utf-8")
+  res.set("Content-Disposition", 'attachment; filename="sessions.ics"')
+  res.set("X-Calendar-Truncated", String(truncated))
+  res.send(buildCalendar(sessions.slice(0, ICS_MAX_EVENTS).reverse()))
+})
+
 // @desc    Get session by ID
 // @route   GET /api/sessions/:id
 // @access  Private/Admin
 const getSessionById = asyncHandler(async (req, res) => {
-  const session = await Session.findById(req.params.id)
-    .populate("patient", "full_name email")
-    .populate("therapist", "full_name email")
+  const session = await findAccessibleSession(
+    req,
+    res,
+    Session.findById(req.params.id)
+      .populate("patient", "full_name email")
+      .populate("participants.patient", "full_name email")
+      .populate("therapist", "full_name email"),
+  )
 
-  if (session) {
-    res.json(session)
-  } else {
-    res.status(404)
-    throw new Error("Session not found")
-  }
+  // Every booking of this appointment, first to latest
+  const root = session.rescheduleRoot || (session.rescheduledTo ? session._id : null)
+  const rescheduleChain = root
+    ? await Session.find({ $or: [{ _id: root }, { rescheduleRoot: root }] })
+        .select("datetime duration status rescheduledFrom rescheduledTo createdAt")
+        .sort({ createdAt: 1 })
+    : []
+
+  res.json({ ...session.toObject(), rescheduleChain })
 })
 
+// The free-text `notes` of a session are kept as a versioned "narrative"
+// clinical note. Check up front that they can be (422 when the note uses
+// another template or is signed), before anything else is saved.
+const assertNarrativeNoteEditable = async (res, session) => {
+  const note = await SessionNote.findOne({ session: session._id }).select("template status")
+  if (note && note.template !== "narrative") {
+    res.status(422)
+    throw new Error(`This session has a ${note.template.toUpperCase()} note; edit it through /clinical-notes`)
+  }
+  if (note?.status === "signed") {
+    res.status(422)
+    throw new Error("Signed notes are read-only; add an addendum instead")
+  }
+}
+
+// Save `notes` as a new note version, then mirror them on the session. Runs
+// once the session's other changes are saved, so a failed update never leaves
+// a version the session did not get.
+const saveNarrativeNote = async (req, res, session, notes) => {
+  await saveNoteVersion(req, res, session, { template: "narrative", fields: { note: notes } })
+  session.notes = notes
+  return session.save()
+}
+
 // @desc    Update session
 // @route   PUT /api/sessions/:id
 // @access  Private/Admin
 const updateSession = asyncHandler(async (req, res) => {
-  const { datetime, duration, notes, attachments, status, attendance_marked } = req.body
+  const {
+    datetime,
+    duration,
+    mode,
+    notes,
+    attachments,
+    status,
+    reason,
+    attendance_marked,
+    title,
+    capacity,
+    scope = "this",
+  } = req.body
 
-  const session = await Session.findById(req.params.id)
+  const session = await findAccessibleSession(req, res)
+
+  // "following" and "all" apply the edit across the session's recurring series
+  if (!SERIES_SCOPES.includes(scope)) {
+    res.status(400)
+    throw new Error(`scope must be one of ${SERIES_SCOPES.join(", ")}`)
+  }
+  if (scope !== "this") {
+    if (!session.series) {
+      res.status(400)
+      throw new Error("Session is not part of a series")
+    }
+    return updateSeriesOccurrences(req, res, session)
+  }
 
   if (session) {
+    if (notes !== undefined) await assertNarrativeNoteEditable(res, session)
+    const before = session.toObject()
     session.datetime = datetime || session.datetime
     session.duration = duration || session.duration
-    session.notes = notes || session.notes
+    session.mode = mode || session.mode
     session.attachments = attachments || session.attachments
-    session.status = status || session.status
+    if (session.type === "group") {
+      session.title = title !== undefined ? title : session.title
+      session.capacity = capacity || session.capacity
+    }
+    if (status === "rescheduled" && session.status !== "rescheduled") {
+      res.status(400)
+      throw new Error("Reschedule through PUT /api/sessions/:id/status with a newDatetime")
+    }
+    if (status && status !== session.status) {
+      applyStatusTransition(req, res, session, status, { reason })
+    }
     session.attendance_marked = attendance_marked !== undefined ? attendance_marked : session.attendance_marked
 
-    const updatedSession = await session.save()
+    // Only re-check when the booking moves or grows
+    const rescheduled = session.isModified("datetime") || session.isModified("duration")
+    const override =
+      rescheduled && session.status !== "cancelled"
+        ? await assertSchedulable(req, res, session.toObject(), [session._id])
+        : undefined
+    const notesChanged = notes !== undefined && notes !== session.notes
+    if (session.series && (rescheduled || notesChanged)) {
+      session.seriesException = true
+    }
+    // Links for the old time must not keep working
+    await syncVideoRoom(session, { regenerate: rescheduled })
+
+    let updatedSession = await session.save()
+    await recordAudit(req, {
+      action: "session.update",
+      targetType: "sessions",
+      targetId: session._id,
+      before,
+      after: updatedSession.toObject(),
+      metadata: override && { conflictOverride: override },
+    })
+    // The note edit is audited on its own (session.note_edit)
+    if (notes !== undefined) updatedSession = await saveNarrativeNote(req, res, session, notes)
     res.json(updatedSession)
   } else {
     res.status(404)
@@ -89,7 +288,33 @@ const deleteSession = asyncHandler(async (req, res) => {
   const session = await Session.findById(req.params.id)
 
   if (session) {
+    // A signed note is part of the clinical record and must outlive the booking
+    const note = await SessionNote.findOne({ session: session._id })
+    if (note?.status === "signed") {
+      res.status(422)
+      throw new Error("This session has a signed clinical note; cancel it instead of deleting it")
+    }
+
+    // Files go first: if removing one fails, the session is still there and
+    // the delete can be retried
+    const files = await StoredFile.find({
+      "owner.kind": "session",
+      "owner.id": String(session._id),
+      deletedAt: { $exists: false },
+    })
+    for (const file of files) {
+      await deleteStoredFile(req, file, { action: "session.delete_attachment", targetType: "sessions" })
+    }
+    if (note) await SessionNote.deleteOne({ _id: note._id })
+
     await Session.deleteOne({ _id: session._id })
+    await recordAudit(req, {
+      action: "session.delete",
+      targetType: "sessions",
+      targetId: session._id,
+      before: session.toObject(),
+      metadata: { attachmentsDeleted: files.length, draftNoteDeleted: Boolean(note) },
+    })
     res.json({ message: "Session removed" })
   } else {
     res.status(404)
@@ -102,12 +327,22 @@ const deleteSession = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 const attachSessionNotesAndDocuments = asyncHandler(async (req, res) => {
   const { notes, attachments } = req.body
-  const session = await Session.findById(req.params.id)
+  const session = await findAccessibleSession(req, res)
 
   if (session) {
-    session.notes = notes !== undefined ? notes : session.notes
+    if (notes !== undefined) await assertNarrativeNoteEditable(res, session)
+    const before = session.toObject()
     session.attachments = attachments !== undefined ? attachments : session.attachments
-    const updatedSession = await session.save()
+    let updatedSession = await session.save()
+    await recordAudit(req, {
+      action: "session.attach_notes",
+      targetType: "sessions",
+      targetId: session._id,
+      before,
+      after: updatedSession.toObject(),
+    })
+    // The note edit is audited on its own (session.note_edit)
+    if (notes !== undefined) updatedSession = await saveNarrativeNote(req, res, session, notes)
     res.json(updatedSession)
   } else {
     res.status(404)
@@ -119,17 +354,26 @@ const attachSessionNotesAndDocuments = asyncHandler(async (req, res) => {
 // @route   PUT /api/sessions/:id/mark-attendance
 // @access  Private/Admin
 const markSessionAttendance = asyncHandler(async (req, res) => {
-  const { attended } = req.body // true/false
-  const session = await Session.findById(req.params.id)
+  const { attended, reason } = req.body // true/false
+  const session = await findAccessibleSession(req, res)
+
+  // Group sessions take attendance per participant
+  if (session.type === "group") {
+    return markGroupAttendance(req, res, session)
+  }
 
   if (session) {
+    const before = session.toObject()
+    applyStatusTransition(req, res, session, attended ? "completed" : "missed", { reason })
     session.attendance_marked = attended
-    if (attended) {
-      session.status = "completed"
-    } else {
-      session.status = "missed"
-    }
     const updatedSession = await session.save()
+    await recordAudit(req, {
+      action: "session.mark_attendance",
+      targetType: "sessions",
+      targetId: session._id,
+      before,
+      after: updatedSession.toObject(),
+    })
     res.json(updatedSession)
   } else {
     res.status(404)
@@ -137,19 +381,122 @@ const markSessionAttendance = asyncHandler(async (req, res) => {
   }
 })
 
+// @desc    Replace a video session's join links
+// @route   POST /api/sessions/:id/video-room
+// @access  Private/Admin
+const regenerateVideoRoom = asyncHandler(async (req, res) => {
+  const session = await findAccessibleSession(req, res)
+  if (session.mode !== "video") {
+    res.status(400)
+    throw new Error("Only video sessions have a video room")
+  }
+
+  const before = session.toObject()
+  await syncVideoRoom(session, { regenerate: true })
+  const updatedSession = await session.save()
+  await recordAudit(req, {
+    action: "session.regenerate_video_room",
+    targetType: "sessions",
+    targetId: session._id,
+    before,
+    after: updatedSession.toObject(),
+  })
+  res.json(updatedSession)
+})
+
+// Retire `session` as "rescheduled" and book its replacement at newDatetime.
+// The replacement keeps the patient, therapist, duration and series slot, and
+// links back through rescheduledFrom; responds 201 with the new session.
+const rescheduleSession = async (req, res, session, { newDatetime, reason }) => {
+  if (session.status === "rescheduled") {
+    res.status(422)
+    throw new Error(`Session was already rescheduled, reschedule ${session.rescheduledTo} instead`)
+  }
+  if (!newDatetime || Number.isNaN(new Date(newDatetime).getTime())) {
+    res.status(400)
+    throw new Error("A valid newDatetime is required to reschedule a session")
+  }
+
+  const before = session.toObject()
+  applyStatusTransition(req, res, session, "rescheduled", { reason })
+
+  const replacement = new Session({
+    type: session.type,
+    patient: session.patient,
+    title: session.title,
+    capacity: session.capacity,
+    // Everyone still enrolled moves with the group
+    participants: session
+      .activeParticipants()
+      .map((participant) => ({ patient: participant.patient, enrolledAt: participant.enrolledAt })),
+    therapist: session.therapist,
+    datetime: newDatetime,
+    duration: session.duration,
+    mode: session.mode,
+    series: session.series,
+    seriesIndex: session.seriesIndex,
+    seriesException: Boolean(session.series),
+    originalDatetime: session.originalDatetime || session.datetime,
+    rescheduledFrom: session._id,
+    rescheduleRoot: session.rescheduleRoot || session._id,
+    rescheduleCount: (session.rescheduleCount || 0) + 1,
+    // Same calendar event (UID) as the session it replaces, so it must outrank it
+    sequence: (session.sequence || 0) + 1,
+  })
+  recordInitialStatus(req, replacement)
+  const override = await assertSchedulable(req, res, replacement.toObject(), [session._id])
+  await syncVideoRoom(replacement) // A new room; the old session's links expire with it
+
+  await replacement.save()
+  session.rescheduledTo = replacement._id
+  const updatedSession = await session.save()
+
+  await recordAudit(req, {
+    action: "session.reschedule",
+    targetType: "sessions",
+    targetId: session._id,
+    before,
+    after: updatedSession.toObject(),
+    metadata: {
+      rescheduledTo: replacement._id,
+      reason,
+      ...(override && { conflictOverride: override }),
+    },
+  })
+  await recordAudit(req, {
+    action: "session.create",
+    targetType: "sessions",
+    targetId: replacement._id,
+    after: replacement.toObject(),
+    metadata: { rescheduledFrom: session._id },
+  })
+
+  res.status(201).json(replacement)
+}
+
 // @desc    Cancel or Reschedule Session
 // @route   PUT /api/sessions/:id/status
 // @access  Private/Admin
 const updateSessionStatus = asyncHandler(async (req, res) => {
-  const { status, newDatetime } = req.body // status can be 'cancelled' or 'rescheduled'
-  const session = await Session.findById(req.params.id)
+  const { status, newDatetime, reason } = req.body // status can be 'cancelled' or 'rescheduled'
+  const session = await findAccessibleSession(req, res)
 
   if (session) {
-    session.status = status
-    if (status === "rescheduled" && newDatetime) {
-      session.datetime = newDatetime
+    if (status === "rescheduled") {
+      return rescheduleSession(req, res, session, { newDatetime, reason })
     }
+
+    const before = session.toObject()
+    applyStatusTransition(req, res, session, status, { reason })
+
     const updatedSession = await session.save()
+    await recordAudit(req, {
+      action: "session.update_status",
+      targetType: "sessions",
+      targetId: session._id,
+      before,
+      after: updatedSession.toObject(),
+    })
     res.json(updatedSession)
   } else {
     res.status(404)
@@ -157,6 +504,192 @@ const updateSessionStatus = asyncHandler(async (req, res) => {
   }
 })
 
+// Aggregation pipelines need real ObjectIds; anything else is a 400
+const toObjectId = (res, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400)
+    throw new Error(`Invalid id: ${id}`)
+  }
+  return new mongoose.Types.ObjectId(String(id))
+}
+
+// @desc    Count reschedules per patient
+// @route   GET /api/sessions/reschedule-counts
+// @access  Private/Admin
+const getRescheduleCounts = asyncHandler(async (req, res) => {
+  const { patientId, therapistId, from, to } = req.query
+
+  // Each reschedule retires one session with status "rescheduled". Group
+  // sessions have no single patient to count against, so they are left out.
+  const match = { status: "rescheduled", type: { $ne: "group" } }
+  if (patientId) match.patient = toObjectId(res, patientId)
+  if (isProfessional(req.user)) {
+    match.therapist = req.user.therapistId || null
+  } else if (therapistId) {
+    match.therapist = toObjectId(res, therapistId)
+  }
+  if (from || to) {
+    match.updatedAt = {
+      ...(from && { $gte: new Date(from) }),
+      ...(to && { $lte: new Date(to) }),
+    }
+  }
+
+  const counts = await Session.aggregate([
+    { $match: match },
+    { $group: { _id: "$patient", reschedules: { $sum: 1 }, lastRescheduledAt: { $max: "$updatedAt" } } },
+    { $sort: { reschedules: -1 } },
+  ])
+  const patients = await Patient.find({ _id: { $in: counts.map((count) => count._id) } }).select("full_name email")
+
+  res.json(
+    counts.map((count) => ({
+      patient: patients.find((patient) => patient._id.equals(count._id)) || { _id: count._id },
+      reschedules: count.reschedules,
+      lastRescheduledAt: count.lastRescheduledAt,
+    })),
+  )
+})
+
+// @desc    Sessions that are over but have no attendance yet, per therapist
+// @route   GET /api/sessions/attendance-backlog
+// @access  Private/Admin
+const getAttendanceBacklog = asyncHandler(async (req, res) => {
+  const { therapistId } = req.query
+
+  // Past-due "upcoming" sessions are included too: the job may not have run yet
+  const match = {
+    status: { $in: ["upcoming", "pending_attendance"] },
+    $expr: { $lt: [{ $add: ["$datetime", { $multiply: ["$duration", 60 * 1000] }] }, new Date()] },
+  }
+  if (isProfessional(req.user)) {
+    match.therapist = req.user.therapistId || null
+  } else if (therapistId) {
+    match.therapist = toObjectId(res, therapistId)
+  }
+
+  const groups = await Session.aggregate([
+    { $match: match },
+    { $sort: { datetime: 1 } },
+    {
+      $group: {
+        _id: "$therapist",
+        count: { $sum: 1 },
+        oldest: { $first: "$datetime" },
+        sessions: {
+          $push: {
+            _id: "$_id",
+            type: "$type",
+            title: "$title",
+            patient: "$patient",
+            datetime: "$datetime",
+            duration: "$duration",
+            status: "$status",
+            pendingAttendanceSince: "$pendingAttendanceSince",
+            attendanceNudgedAt: "$attendanceNudgedAt",
+            autoMissAt: { $add: ["$pendingAttendanceSince", ATTENDANCE_GRACE_HOURS * 60 * 60 * 1000] },
+          },
+        },
+      },
+    },
+    { $sort: { count: -1 } },
+  ])
+  const [therapists, patients] = await Promise.all([
+    Therapist.find({ _id: { $in: groups.map((group) => group._id) } }).select("full_name email"),
+    Patient.find({
+      _id: { $in: groups.flatMap((group) => group.sessions.map((session) => session.patient).filter(Boolean)) },
+    }).select("full_name"),
+  ])
+
+  res.json(
+    groups.map((group) => ({
+      therapist: therapists.find((therapist) => therapist._id.equals(group._id)) || { _id: group._id },
+      count: group.count,
+      oldest: group.oldest,
+      sessions: group.sessions.map((session) => ({
+        ...session,
+        // Group sessions have no single patient
+        patient:
+          session.patient &&
+          (patients.find((patient) => patient._id.equals(session.patient)) || { _id: session.patient }),
+      })),
+    })),
+  )
+})
+
+// @desc    Completed sessions whose notes are still unsigned LATE_NOTE_HOURS
+//          after the session ended, per therapist (supports `therapistId`
+//          and `from`)
+// @route   GET /api/sessions/late-notes
+// @access  Private/Admin
+const getLateNotes = asyncHandler(async (req, res) => {
+  const { therapistId, from } = req.query
+  const cutoff = new Date(Date.now() - LATE_NOTE_HOURS * 60 * 60 * 1000)
+
+  const match = {
+    status: "completed",
+    $expr: { $lte: [{ $add: ["$datetime", { $multiply: ["$duration", 60 * 1000] }] }, cutoff] },
+  }
+  if (from) match.datetime = { $gte: new Date(from) }
+  if (isProfessional(req.user)) {
+    match.therapist = req.user.therapistId || null
+  } else if (therapistId) {
+    match.therapist = toObjectId(res, therapistId)
+  }
+
+  const groups = await Session.aggregate([
+    { $match: match },
+    { $lookup: { from: SessionNote.collection.name, localField: "_id", foreignField: "session", as: "note" } },
+    { $match: { "note.status": { $ne: "signed" } } },
+    { $sort: { datetime: 1 } },
+    {
+      $group: {
+        _id: "$therapist",
+        count: { $sum: 1 },
+        oldest: { $first: "$datetime" },
+        sessions: {
+          $push: {
+            _id: "$_id",
+            type: "$type",
+            title: "$title",
+            patient: "$patient",
+            datetime: "$datetime",
+            duration: "$duration",
+            noteDueAt: {
+              $add: ["$datetime", { $multiply: ["$duration", 60 * 1000] }, LATE_NOTE_HOURS * 60 * 60 * 1000],
+            },
+            // "missing" when nothing has been written yet
+            noteStatus: { $ifNull: [{ $arrayElemAt: ["$note.status", 0] }, "missing"] },
+            noteVersion: { $arrayElemAt: ["$note.currentVersion", 0] },
+          },
+        },
+      },
+    },
+    { $sort: { count: -1 } },
+  ])
+  const [therapists, patients] = await Promise.all([
+    Therapist.find({ _id: { $in: groups.map((group) => group._id) } }).select("full_name email"),
+    Patient.find({
+      _id: { $in: groups.flatMap((group) => group.sessions.map((session) => session.patient).filter(Boolean)) },
+    }).select("full_name"),
+  ])
+
+  res.json({
+    lateAfterHours: LATE_NOTE_HOURS,
+    therapists: groups.map((group) => ({
+      therapist: therapists.find((therapist) => therapist._id.equals(group._id)) || { _id: group._id },
+      count: group.count,
+      oldest: group.oldest,
+      sessions: group.sessions.map((session) => ({
+        ...session,
+        patient:
+          session.patient &&
+          (patients.find((patient) => patient._id.equals(session.patient)) || { _id: session.patient }),
+      })),
+    })),
+  })
+})
+
 export {
   createSession,
   getSessions,
@@ -166,4 +699,9 @@ export {
   attachSessionNotesAndDocuments,
   markSessionAttendance,
   updateSessionStatus,
+  getRescheduleCounts,
+  exportSessionsIcs,
+  getAttendanceBacklog,
+  getLateNotes,
+  regenerateVideoRoom,
 }
@@ -0,0 +1,258 @@
+import asyncHandler from "../middleware/asyncHandler.js"
+import Session from "../models/Session.js"
+import SessionNote from "../models/SessionNote.js"
+import { NOTE_TEMPLATES } from "../config/noteTemplates.js"
+import { recordAudit } from "../utils/audit.js"
+import { isProfessional, isOwnSession } from "../utils/professionals.js"
+import { describeActor } from "../utils/actors.js"
+
+// Clinical notes for sessions (models/SessionNote.js). Edits add versions
+// until the treating therapist signs the note; after that only addenda can be
+// added. Notes for completed sessions that are still unsigned LATE_NOTE_HOURS
+// after the session ended show up in the late-note report.
+
+const LATE_NOTE_HOURS = Number(process.env.LATE_NOTE_HOURS) || 72
+
+// Session from :id, 404 for professionals on other therapists' sessions
+const findNoteSession = async (req, res) => {
+  const session = await Session.findById(req.params.id)
+  if (!session || (isProfessional(req.user) && !isOwnSession(session, req.user))) {
+    res.status(404)
+    throw new Error("Session not found")
+  }
+  return session
+}
+
+const findSessionNote = async (res, session) => {
+  const note = await SessionNote.findOne({ session: session._id })
+  if (!note) {
+    res.status(404)
+    throw new Error("This session has no notes yet")
+  }
+  return note
+}
+
+// Template and trimmed section texts, 400 for unknown templates or sections
+const validateNoteContent = (res, templateKey, fields) => {
+  const template = NOTE_TEMPLATES[templateKey]
+  if (!template) {
+    res.status(400)
+    const error = new Error(`Unknown note template: ${templateKey}`)
+    error.details = { allowed: Object.keys(NOTE_TEMPLATES) }
+    throw error
+  }
+  if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+    res.status(400)
+    throw new Error("fields must be an object of section texts")
+  }
+
+  const sections = template.sections.map((section) => section.key)
+  const unknown = Object.keys(fields).filter((key) => !sections.includes(key))
+  if (unknown.length > 0) {
+    res.status(400)
+    const error = new Error(`Unknown ${template.title} sections: ${unknown.join(", ")}`)
+    error.details = { allowed: sections }
+    throw error
+  }
+  return Object.fromEntries(
+    sections.filter((key) => fields[key] != null).map((key) => [key, String(fields[key]).trim()]),
+  )
+}
+
+const sameContent = (note, template, fields) =>
+  note.template === template &&
+  JSON.stringify(Object.fromEntries(note.fields || [])) === JSON.stringify(fields)
+
+// Save `fields` as the session's next note version. `baseVersion`, when
+// given, must be the version the editor started from, so two people editing
+// at once cannot overwrite each other. Saving unchanged content adds nothing.
+const saveNoteVersion = async (req, res, session, { template, fields, baseVersion }) => {
+  const content = validateNoteContent(res, template, fields)
+  const existing = await SessionNote.findOne({ session: session._id })
+  if (existing?.status === "signed") {
+    res.status(422)
+    throw new Error("Signed notes are read-only; add an addendum instead")
+  }
+  const currentVersion = existing?.currentVersion || 0
+  if (baseVersion !== undefined && Number(baseVersion) !== currentVersion) {
+    res.status(409)
+    const error = new Error("The note has changed since you started editing it")
+    error.details = { currentVersion }
+    throw error
+  }
+  if (existing && sameContent(existing, template, content)) return existing
+
+  const version = {
+    version: currentVersion + 1,
+    template,
+    fields: content,
+    editedBy: describeActor(req.impersonator || req.user),
+    editedAt: new Date(),
+  }
+
+  let note
+  if (existing) {
+    // Matching on status and version keeps a concurrent sign or edit from
+    // being overwritten
+    note = await SessionNote.findOneAndUpdate(
+      { _id: existing._id, status: "draft", currentVersion },
+      { $set: { template, fields: content, currentVersion: version.version }, $push: { versions: version } },
+      { new: true },
+    )
+  } else {
+    note = await SessionNote.create({
+      session: session._id,
+      therapist: session.therapist,
+      template,
+      fields: content,
+      currentVersion: 1,
+      versions: [version],
+    }).catch((error) => {
+      if (error.code !== 11000) throw error
+      return null
+    })
+  }
+  if (!note) {
+    res.status(409)
+    throw new Error("The note was changed or signed by someone else; reload it and try again")
+  }
+
+  await recordAudit(req, {
+    action: "session.note_edit",
+    targetType: "sessions",
+    targetId: session._id,
+    before: existing ? { template: existing.template, fields: Object.fromEntries(existing.fields || []) } : undefined,
+    after: { template, fields: content },
+    metadata: { noteId: note._id, version: version.version },
+  })
+  return note
+}
+
+// @desc    List the clinical note templates
+// @route   GET /api/sessions/note-templates
+// @access  Private
+const getNoteTemplates = asyncHandler(async (req, res) => {
+  res.json(Object.entries(NOTE_TEMPLATES).map(([key, template]) => ({ key, ...template })))
+})
+
+// @desc    Get a session's note with its versions and addenda
+// @route   GET /api/sessions/:id/clinical-notes
+// @access  Private/Admin
+const getSessionNote = asyncHandler(async (req, res) => {
+  const session = await findNoteSession(req, res)
+  const note = await findSessionNote(res, session)
+  res.json(note)
+})
+
+// @desc    Save a new version of a session's note. Body:
+//          { template, fields, baseVersion? }
+// @route   PUT /api/sessions/:id/clinical-notes
+// @access  Private/Admin
+const saveSessionNote = asyncHandler(async (req, res) => {
+  const { template, fields, baseVersion } = req.body
+  const session = await findNoteSession(req, res)
+  const note = await saveNoteVersion(req, res, session, { template, fields, baseVersion })
+  res.json(note)
+})
+
+// @desc    Sign and lock a session's note (treating therapist only)
+// @route   POST /api/sessions/:id/clinical-notes/sign
+// @access  Private/Professional
+const signSessionNote = asyncHandler(async (req, res) => {
+  const session = await findNoteSession(req, res)
+  // A signature is the therapist's own: nobody else can sign, even while
+  // impersonating them
+  if (!isProfessional(req.user) || req.impersonator || !isOwnSession(session, req.user)) {
+    res.status(403)
+    throw new Error("Only the treating therapist can sign session notes")
+  }
+  if (session.status !== "completed") {
+    res.status(422)
+    throw new Error(`Notes can only be signed for completed sessions, not ${session.status} ones`)
+  }
+
+  const note = await findSessionNote(res, session)
+  if (note.status === "signed") {
+    res.status(422)
+    throw new Error("The note is already signed")
+  }
+  const missing = NOTE_TEMPLATES[note.template].sections
+    .filter((section) => section.required && !note.fields?.get(section.key))
+    .map((section) => section.key)
+  if (missing.length > 0) {
+    res.status(400)
+    const error = new Error(`Fill in every section before signing: ${missing.join(", ")}`)
+    error.details = { missing }
+    throw error
+  }
+
+  const signed = await SessionNote.findOneAndUpdate(
+    { _id: note._id, status: "draft", currentVersion: note.currentVersion },
+    {
+      $set: {
+        status: "signed",
+        signedBy: describeActor(req.user),
+        signedAt: new Date(),
+        signedVersion: note.currentVersion,
+      },
+    },
+    { new: true },
+  )
+  if (!signed) {
+    res.status(409)
+    throw new Error("The note changed while you were signing it; review it and sign again")
+  }
+
+  await recordAudit(req, {
+    action: "session.note_sign",
+    targetType: "sessions",
+    targetId: session._id,
+    before: { status: "draft" },
+    after: { status: "signed", signedVersion: signed.signedVersion },
+    metadata: { noteId: signed._id },
+  })
+  res.json(signed)
+})
+
+// @desc    Append an addendum to a signed note. Body: { text }
+// @route   POST /api/sessions/:id/clinical-notes/addenda
+// @access  Private/Admin
+const addSessionNoteAddendum = asyncHandler(async (req, res) => {
+  const { text } = req.body
+  const session = await findNoteSession(req, res)
+  const note = await findSessionNote(res, session)
+  if (note.status !== "signed") {
+    res.status(422)
+    throw new Error("Addenda are for signed notes; edit the note while it is a draft")
+  }
+  if (!text || !String(text).trim()) {
+    res.status(400)
+    throw new Error("Addendum text is required")
+  }
+
+  const addendum = {
+    text: String(text).trim(),
+    author: describeActor(req.impersonator || req.user),
+    addedAt: new Date(),
+  }
+  const updated = await SessionNote.findByIdAndUpdate(note._id, { $push: { addenda: addendum } }, { new: true })
+
+  await recordAudit(req, {
+    action: "session.note_addendum",
+    targetType: "sessions",
+    targetId: session._id,
+    after: addendum,
+    metadata: { noteId: note._id },
+  })
+  res.status(201).json(updated)
+})
+
+export {
+  LATE_NOTE_HOURS,
+  saveNoteVersion,
+  getNoteTemplates,
+  getSessionNote,
+  saveSessionNote,
+  signSessionNote,
+  addSessionNoteAddendum,
+}
@@ -0,0 +1,260 @@
+import asyncHandler from "../middleware/asyncHandler.js"
+import Session from "../models/Session.js"
+import SessionSeries from "../models/SessionSeries.js"
+import { recordAudit } from "../utils/audit.js"
+import { isProfessional, isOwnSession } from "../utils/professionals.js"
+import { DEFAULT_TIMEZONE } from "../utils/availability.js"
+import { MAX_OCCURRENCES, validateRecurrence, expandRecurrence } from "../utils/recurrence.js"
+import { getTherapistAvailability, assertOccurrencesSchedulable } from "../utils/sessionConflicts.js"
+import { applyStatusTransition, recordInitialStatus } from "../utils/sessionLifecycle.js"
+import { syncVideoRoom } from "../utils/videoRooms.js"
+
+const SERIES_SCOPES = ["this", "following", "all"]
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+// @desc    Create a recurring session series and all of its occurrences
+// @route   POST /api/sessions/series
+// @access  Private/Admin
+const createSessionSeries = asyncHandler(async (req, res) => {
+  const { patient, therapist, datetime, duration, mode, notes, recurrence = {} } = req.body
+
+  if (isProfessional(req.user) && !isOwnSession({ therapist }, req.user)) {
+    res.status(403)
+    throw new Error("Professionals can only create their own sessions")
+  }
+
+  const rule = {
+    frequency: recurrence.frequency,
+    count: recurrence.count !== undefined ? Number(recurrence.count) : undefined,
+    until: recurrence.until,
+  }
+  const problems = validateRecurrence(rule)
+  if (problems.length > 0) {
+    res.status(400)
+    const error = new Error(`Invalid recurrence: ${problems.join("; ")}`)
+    error.details = problems
+    throw error
+  }
+
+  // Default to the therapist's own zone so occurrences keep their local time
+  const timeZone =
+    req.body.timeZone || (await getTherapistAvailability(therapist))?.timeZone || DEFAULT_TIMEZONE
+  if (!isValidTimeZone(timeZone)) {
+    res.status(400)
+    throw new Error(`Unknown time zone: ${timeZone}`)
+  }
+
+  const series = new SessionSeries({
+    patient,
+    therapist,
+    startDatetime: datetime,
+    duration,
+    mode,
+    timeZone,
+    recurrence: rule,
+    notes,
+    createdBy: String((req.impersonator || req.user)._id),
+  })
+  await series.validate()
+
+  const occurrences = expandRecurrence({ start: series.startDatetime, ...rule, timeZone })
+  if (rule.count === undefined && occurrences.length >= MAX_OCCURRENCES) {
+    res.status(400)
+    throw new Error(`A series can have at most ${MAX_OCCURRENCES} occurrences, choose an earlier end date`)
+  }
+
+  const candidates = occurrences.map((occurrence, index) => ({
+    patient: series.patient,
+    therapist: series.therapist,
+    datetime: occurrence,
+    duration: series.duration,
+    seriesIndex: index + 1,
+  }))
+  const override = await assertOccurrencesSchedulable(req, res, candidates)
+
+  await series.save()
+  const occurrenceSessions = []
+  for (const candidate of candidates) {
+    const session = new Session({ ...candidate, mode: series.mode, notes, series: series._id })
+    recordInitialStatus(req, session)
+    await syncVideoRoom(session) // Every occurrence gets its own room
+    occurrenceSessions.push(session)
+  }
+  const sessions = await Session.insertMany(occurrenceSessions)
+  await recordAudit(req, {
+    action: "session_series.create",
+    targetType: "session_series",
+    targetId: series._id,
+    after: series.toObject(),
+    metadata: {
+      sessionIds: sessions.map((session) => session._id),
+      ...(override && { conflictOverride: override }),
+    },
+  })
+
+  res.status(201).json({ series, sessions })
+})
+
+// @desc    Get a session series with its occurrences
+// @route   GET /api/sessions/series/:seriesId
+// @access  Private/Admin
+const getSessionSeriesById = asyncHandler(async (req, res) => {
+  const series = await SessionSeries.findById(req.params.seriesId)
+    .populate("patient", "full_name email")
+    .populate("therapist", "full_name email")
+
+  if (!series || (isProfessional(req.user) && !isOwnSession(series, req.user))) {
+    res.status(404)
+    throw new Error("Session series not found")
+  }
+
+  const sessions = await Session.find({ series: series._id }).sort({ datetime: 1 })
+  res.json({ series, sessions })
+})
+
+// Apply a "this and following" or "whole series" edit made through
+// PUT /api/sessions/:id. Only occurrences that are still upcoming and were not
+// edited on their own are changed, the edited one included; a new datetime moves each of them by the same
+// offset as the edited occurrence. Editing "following" from the middle of a
+// series splits it: the earlier occurrences keep the original series.
+const updateSeriesOccurrences = async (req, res, session) => {
+  const { scope, datetime, duration, mode, notes, status, reason } = req.body
+  const series = await SessionSeries.findById(session.series)
+  if (!series) {
+    res.status(404)
+    throw new Error("Session series not found")
+  }
+
+  if (status === "rescheduled") {
+    res.status(400)
+    throw new Error("Occurrences are rescheduled one at a time, or move them with a new datetime")
+  }
+  // Each session's notes are its own versioned clinical note
+  if (notes !== undefined) {
+    res.status(400)
+    throw new Error("Notes are edited one session at a time; send them with scope \"this\"")
+  }
+
+  // The edited occurrence itself only changes if it is still upcoming and
+  // not an exception, like every other one
+  const fromIndex = scope === "following" ? session.seriesIndex : 1
+  const affected = await Session.find({
+    series: series._id,
+    seriesIndex: { $gte: fromIndex },
+    status: "upcoming",
+    seriesException: { $ne: true },
+  }).sort({ seriesIndex: 1 })
+  if (affected.length === 0) {
+    res.status(422)
+    throw new Error("No upcoming occurrences in this part of the series follow the series")
+  }
+
+  const shift = datetime ? new Date(datetime).getTime() - session.datetime.getTime() : 0
+  if (Number.isNaN(shift)) {
+    res.status(400)
+    throw new Error("datetime must be a valid date")
+  }
+
+  const seriesBefore = series.toObject()
+  for (const occurrence of affected) {
+    occurrence.datetime = new Date(occurrence.datetime.getTime() + shift)
+    occurrence.duration = duration || occurrence.duration
+    occurrence.mode = mode || occurrence.mode
+    if (status && status !== occurrence.status) {
+      applyStatusTransition(req, res, occurrence, status, { reason })
+    }
+  }
+
+  const rescheduled = shift !== 0 || (duration && Number(duration) !== session.duration)
+  const override =
+    rescheduled && status !== "cancelled"
+      ? await assertOccurrencesSchedulable(
+          req,
+          res,
+          affected.map((occurrence) => occurrence.toObject()),
+          affected.map((occurrence) => occurrence._id),
+        )
+      : undefined
+  for (const occurrence of affected) {
+    await syncVideoRoom(occurrence, { regenerate: Boolean(rescheduled) })
+  }
+
+  // The series starts with its first occurrence, so it moves when that one does
+  if (shift !== 0 && affected.some((occurrence) => occurrence.seriesIndex === 1)) {
+    series.startDatetime = new Date(series.startDatetime.getTime() + shift)
+  }
+
+  let targetSeries = series
+  const unchanged = [] // Moved to the split-off series without other changes
+  if (scope === "following" && session.seriesIndex > 1) {
+    const { _id, createdAt, updatedAt, __v, ...seriesFields } = seriesBefore
+    targetSeries = new SessionSeries({
+      ...seriesFields,
+      startDatetime: new Date(session.datetime.getTime() + shift),
+      recurrence: {
+        frequency: series.recurrence.frequency,
+        count: series.recurrence.count ? series.recurrence.count - session.seriesIndex + 1 : undefined,
+        until: series.recurrence.until,
+      },
+      splitFrom: series._id,
+      createdBy: String((req.impersonator || req.user)._id),
+    })
+    if (series.recurrence.count) {
+      series.recurrence.count = session.seriesIndex - 1
+    } else {
+      series.recurrence.until = new Date(session.datetime.getTime() - 1)
+    }
+
+    // Every later occurrence moves to the new series, changed or not
+    const moved = await Session.find({ series: series._id, seriesIndex: { $gte: session.seriesIndex } })
+    for (const occurrence of moved) {
+      const edited = affected.find((candidate) => candidate._id.equals(occurrence._id))
+      const target = edited || occurrence
+      target.series = targetSeries._id
+      target.seriesIndex = occurrence.seriesIndex - session.seriesIndex + 1
+      if (!edited) unchanged.push(target)
+    }
+  }
+
+  targetSeries.duration = duration || targetSeries.duration
+  targetSeries.mode = mode || targetSeries.mode
+  if (status === "cancelled") {
+    targetSeries.status = "cancelled"
+  }
+
+  // Validate everything before the first write, so a bad document cannot
+  // leave the series half split
+  const documents = [...new Set([series, targetSeries])].concat(unchanged, affected)
+  await Promise.all(documents.map((document) => document.validate()))
+  for (const document of documents) {
+    await document.save()
+  }
+
+  await recordAudit(req, {
+    action: "session_series.update",
+    targetType: "session_series",
+    targetId: series._id,
+    before: seriesBefore,
+    after: series.toObject(),
+    metadata: {
+      scope,
+      editedSessionId: session._id,
+      sessionIds: affected.map((occurrence) => occurrence._id),
+      shiftMinutes: shift / 60000,
+      ...(targetSeries !== series && { newSeriesId: targetSeries._id }),
+      ...(override && { conflictOverride: override }),
+    },
+  })
+
+  res.json({ series: targetSeries, sessions: affected })
+}
+
+export { SERIES_SCOPES, createSessionSeries, getSessionSeriesById, updateSeriesOccurrences }
@@ -0,0 +1,41 @@
+import asyncHandler from "../middleware/asyncHandler.js"
+import SecuritySetting from "../models/SecuritySetting.js"
+import { recordAudit } from "../utils/audit.js"
+
+// @desc    Get security settings
+// @route   GET /api/settings/security
+// @access  Private/SuperAdmin
+const getSecuritySettings = asyncHandler(async (req, res) => {
+  const settings = await SecuritySetting.getSettings()
+  res.json(settings)
+})
+
+// @desc    Update security settings
+// @route   PUT /api/settings/security
+// @access  Private/SuperAdmin
+const updateSecuritySettings = asyncHandler(async (req, res) => {
+  const { requireMfa } = req.body
+  const settings = await SecuritySetting.getSettings()
+  const before = settings.toObject()
+
+  if (requireMfa !== undefined) {
+    if (typeof requireMfa !== "boolean") {
+      res.status(400)
+      throw new Error("requireMfa must be a boolean")
+    }
+    settings.requireMfa = requireMfa
+  }
+  settings.updatedBy = req.user._id
+
+  const updatedSettings = await settings.save()
+  await recordAudit(req, {
+    action: "settings.update",
+    targetType: "settings",
+    targetId: "security",
+    before,
+    after: updatedSettings.toObject(),
+  })
+  res.json(updatedSettings)
+})
+
+export { getSecuritySettings, updateSecuritySettings }
@@ -1,6 +1,19 @@
 import asyncHandler from '../middleware/asyncHandler.js';
 import { db } from '../config/firebase.js';
 import { FieldValue } from 'firebase-admin/firestore';
+import { recordAudit } from '../utils/audit.js';
+import { startImpersonation } from '../utils/impersonation.js';
+import {
+  findProfessionalById,
+  findTherapistIdForProfessional,
+} from '../utils/professionals.js';
+import { normalizeAvailability } from '../utils/availability.js';
+import { findOverlappingSessions } from '../utils/sessionConflicts.js';
+import {
+  DEFAULT_BUFFER_MINUTES,
+  parseSlotQuery,
+  computeSlots,
+} from '../utils/slots.js';
 
 // Cache for frequently accessed data
 const cache = new Map();
@@ -449,6 +462,13 @@ const createTherapist = asyncHandler(async (req, res) => {
     const docRef = await db.collection('users').add(therapistData);
     const createdTherapist = await docRef.get();
 
+    await recordAudit(req, {
+      action: 'therapist.create',
+      targetType: 'therapists',
+      targetId: docRef.id,
+      after: therapistData,
+    });
+
     // Clear cache
     cache.clear();
 
@@ -501,6 +521,14 @@ const updateTherapist = asyncHandler(async (req, res) => {
 
     const updatedDoc = await therapistRef.get();
 
+    await recordAudit(req, {
+      action: 'therapist.update',
+      targetType: 'therapists',
+      targetId: id,
+      before: therapistDoc.data(),
+      after: updatedDoc.data(),
+    });
+
     // Clear cache
     cache.clear();
 
@@ -555,6 +583,13 @@ const deleteTherapist = asyncHandler(async (req, res) => {
 
     await therapistRef.delete();
 
+    await recordAudit(req, {
+      action: 'therapist.delete',
+      targetType: 'therapists',
+      targetId: id,
+      before: therapistData,
+    });
+
     // Clear cache
     cache.clear();
 
@@ -634,6 +669,16 @@ const assignPatientsToTherapist = asyncHandler(async (req, res) => {
 
     await batch.commit();
 
+    await recordAudit(req, {
+      action: 'therapist.assign_patients',
+      targetType: 'therapists',
+      targetId: id,
+      before: {
+        assignedPatients: currentPatientsSnapshot.docs.map((doc) => doc.id),
+      },
+      after: { assignedPatients: patientIds || [] },
+    });
+
     // Clear cache
     cache.clear();
 
@@ -676,6 +721,14 @@ const updateTherapistAvailability = asyncHandler(async (req, res) => {
       updatedAt: new Date().toISOString(),
     });
 
+    await recordAudit(req, {
+      action: 'therapist.update_availability',
+      targetType: 'therapists',
+      targetId: id,
+      before: { availability: therapistDoc.data().availability || {} },
+      after: { availability },
+    });
+
     // Clear cache
     cache.clear();
 
@@ -720,13 +773,32 @@ const batchUpdateTherapists = asyncHandler(async (req, res) => {
 
     updateData.updatedAt = new Date().toISOString();
 
-    therapistIds.forEach((therapistId) => {
-      const therapistRef = db.collection('users').doc(therapistId);
+    const therapistRefs = therapistIds.map((therapistId) =>
+      db.collection('users').doc(therapistId)
+    );
+
+    // Snapshot the touched fields first so the audit trail has before values
+    const beforeDocs = await db.getAll(...therapistRefs);
+
+    therapistRefs.forEach((therapistRef) => {
       batch.update(therapistRef, updateData);
     });
 
     await batch.commit();
 
+    for (const doc of beforeDocs) {
+      const current = doc.data() || {};
+      await recordAudit(req, {
+        action: 'therapist.batch_update',
+        targetType: 'therapists',
+        targetId: doc.id,
+        before: Object.fromEntries(
+          Object.keys(updateData).map((key) => [key, current[key]])
+        ),
+        after: updateData,
+      });
+    }
+
     // Clear cache
     cache.clear();
 
@@ -789,6 +861,146 @@ const getTherapistSpecializations = asyncHandler(async (req, res) => {
   }
 });
 
+// Professionals whose slots findAvailableSlots looks up at once
+const SLOT_LOOKUP_BATCH = 10;
+
+// Open slots for one professional. Booked sessions belong to the Mongo
+// therapist with the same email; `sessionTherapistId` is the id to book with.
+const findTherapistSlots = async (therapistDoc, range) => {
+  const therapist = therapistDoc.data();
+  const availability = normalizeAvailability(
+    therapist.availability,
+    therapist.timezone || therapist.timeZone
+  );
+  const buffer = Number(therapist.bufferMinutes ?? DEFAULT_BUFFER_MINUTES);
+  const sessionTherapistId = await findTherapistIdForProfessional(therapist);
+
+  const busy = sessionTherapistId
+    ? await findOverlappingSessions({
+        therapist: sessionTherapistId,
+        datetime: new Date(range.from.getTime() - buffer * 60 * 1000),
+        duration: (range.to - range.from) / (60 * 1000) + 2 * buffer,
+      })
+    : [];
+
+  return {
+    therapist: {
+      id: therapistDoc.id,
+      name: therapist.name,
+      email: therapist.email,
+      specialization: therapist.specialization,
+    },
+    sessionTherapistId,
+    timeZone: availability.timeZone,
+    bufferMinutes: buffer,
+    slots: computeSlots({ availability, busy, buffer, ...range }),
+  };
+};
+
+// Get open slots for one therapist
+const getTherapistSlots = asyncHandler(async (req, res) => {
+  const { range, error } = parseSlotQuery(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  const therapistDoc = await findProfessionalById(req.params.id);
+  if (!therapistDoc) {
+    return res.status(404).json({
+      success: false,
+      message: 'Therapist not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...(await findTherapistSlots(therapistDoc, range)),
+      duration: range.duration,
+    },
+  });
+});
+
+// Get open slots across therapists, optionally for one specialization.
+// Only therapists who can be booked (linked to a session therapist) and have
+// at least one free slot are listed, soonest first.
+const findAvailableSlots = asyncHandler(async (req, res) => {
+  const { range, error } = parseSlotQuery(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+  const { specialization = '', isVerified = '' } = req.query;
+  const limit = Math.min(Number.parseInt(req.query.limit) || 20, 50);
+
+  let query = db.collection('users').where('role', '==', 'professional');
+  if (specialization && specialization !== 'all') {
+    query = query.where('specialization', '==', specialization);
+  }
+  if (isVerified !== '' && isVerified !== 'all') {
+    query = query.where('isVerified', '==', isVerified === 'true');
+  }
+
+  // `limit` applies to bookable therapists with free slots, so every match is
+  // checked first. Slots are looked up a batch at a time to bound the load.
+  const snapshot = await query.get();
+  const results = [];
+  for (let i = 0; i < snapshot.docs.length; i += SLOT_LOOKUP_BATCH) {
+    const batch = await Promise.all(
+      snapshot.docs
+        .slice(i, i + SLOT_LOOKUP_BATCH)
+        .map((doc) => findTherapistSlots(doc, range))
+    );
+    results.push(
+      ...batch.filter((result) => result.sessionTherapistId && result.slots.length > 0)
+    );
+  }
+  results.sort((a, b) => a.slots[0].start - b.slots[0].start);
+
+  res.json({
+    success: true,
+    data: {
+      therapists: results.slice(0, limit),
+      total: results.length,
+      duration: range.duration,
+      from: range.from,
+      to: range.to,
+    },
+  });
+});
+
+// Start viewing the API as a therapist (super_admin support tool)
+const impersonateTherapist = asyncHandler(async (req, res) => {
+  const therapistDoc = await findProfessionalById(req.params.id);
+
+  if (!therapistDoc) {
+    return res.status(404).json({
+      success: false,
+      message: 'Therapist not found',
+    });
+  }
+
+  const expiresAt = await startImpersonation(req, res, {
+    targetType: 'professional',
+    target: therapistDoc,
+    reason: req.body?.reason,
+  });
+  const therapist = therapistDoc.data();
+
+  res.json({
+    success: true,
+    message: `Now impersonating ${therapist.name}`,
+    data: {
+      impersonating: {
+        id: therapistDoc.id,
+        name: therapist.name,
+        email: therapist.email,
+        role: 'professional',
+      },
+      expiresAt,
+    },
+  });
+});
+
 export {
   getTherapists,
   getTherapistsSummary,
@@ -800,4 +1012,7 @@ export {
   updateTherapistAvailability,
   batchUpdateTherapists,
   getTherapistSpecializations,
+  impersonateTherapist,
+  getTherapistSlots,
+  findAvailableSlots,
 };
@@ -0,0 +1,403 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import { hasPermission } from '../config/permissions.js';
+import Session from '../models/Session.js';
+import TreatmentPlan, { TREATMENT_PLAN_STATUSES } from '../models/TreatmentPlan.js';
+import { recordAudit } from '../utils/audit.js';
+import { findAccessiblePatient, findSessionPatientId } from '../utils/patients.js';
+import { describeActor } from '../utils/actors.js';
+import {
+  findProfessionalById,
+  findProfessionalByUid,
+  isProfessional,
+  isOwnSession,
+} from '../utils/professionals.js';
+
+const GOAL_FIELDS = ['description', 'measure', 'baseline', 'target', 'targetDate', 'status'];
+
+// Allowed status changes; completed and discontinued plans are final
+const PLAN_TRANSITIONS = {
+  draft: ['active', 'discontinued'],
+  active: ['completed', 'discontinued'],
+  completed: [],
+  discontinued: [],
+};
+
+// { id, name } of the patient's assigned professional, if they have one
+const findAssignedTherapist = async (patient) => {
+  const profileDoc = patient.assigned_therapist
+    ? await findProfessionalById(patient.assigned_therapist)
+    : patient.assignedTherapist && (await findProfessionalByUid(patient.assignedTherapist));
+  if (!profileDoc) return undefined;
+  return { id: profileDoc.id, name: profileDoc.data().name || profileDoc.data().full_name };
+};
+
+// Plan :planId of patient :id; 404 if it belongs to someone else
+const findPatientPlan = async (req, res) => {
+  const patientDoc = await findAccessiblePatient(req, res);
+  const plan = await TreatmentPlan.findById(req.params.planId);
+  if (!plan || plan.patient !== patientDoc.id) {
+    res.status(404);
+    throw new Error('Treatment plan not found');
+  }
+  return { patientDoc, plan };
+};
+
+const requireOpen = (res, plan) => {
+  if (PLAN_TRANSITIONS[plan.status].length === 0) {
+    res.status(422);
+    throw new Error(`A ${plan.status} treatment plan cannot be changed`);
+  }
+};
+
+// Merge `goals` into the plan: entries with an _id update that goal, the rest
+// are added. Goals left out are kept; set their status to discontinue them.
+const applyGoals = (res, plan, goals) => {
+  if (!Array.isArray(goals)) {
+    res.status(400);
+    throw new Error('goals must be an array');
+  }
+  for (const input of goals) {
+    const fields = Object.fromEntries(
+      GOAL_FIELDS.filter((field) => input[field] !== undefined).map((field) => [field, input[field]])
+    );
+    if (!input._id) {
+      plan.goals.push(fields);
+      continue;
+    }
+
+    const goal = plan.goals.id(input._id);
+    if (!goal) {
+      res.status(400);
+      throw new Error(`Unknown goal: ${input._id}`);
+    }
+    if (fields.status === 'achieved' && goal.status !== 'achieved') goal.achievedAt = new Date();
+    if (fields.status && fields.status !== 'achieved') goal.achievedAt = undefined;
+    goal.set(fields);
+  }
+};
+
+// Move the plan to `to`, stamping when it started or ended
+const applyStatus = (res, plan, to, endReason) => {
+  if (to === plan.status) return;
+  if (!TREATMENT_PLAN_STATUSES.includes(to)) {
+    res.status(400);
+    throw new Error(`status must be one of ${TREATMENT_PLAN_STATUSES.join(', ')}`);
+  }
+  if (!PLAN_TRANSITIONS[plan.status].includes(to)) {
+    res.status(422);
+    throw new Error(`A ${plan.status} treatment plan cannot become ${to}`);
+  }
+  if (to === 'discontinued' && !(endReason && String(endReason).trim())) {
+    res.status(400);
+    throw new Error('endReason is required to discontinue a treatment plan');
+  }
+
+  plan.status = to;
+  if (to === 'active') {
+    plan.startDate = new Date();
+  } else {
+    plan.endedAt = new Date();
+    plan.endReason = endReason && String(endReason).trim();
+  }
+};
+
+// Save, reporting validation problems as 400 and a second active plan as 409
+// (the unique index catches two activations racing each other)
+const savePlan = async (res, plan) => {
+  const activating = plan.status === 'active' && (plan.isNew || plan.isModified('status'));
+  if (activating && (await TreatmentPlan.exists({ patient: plan.patient, status: 'active' }))) {
+    res.status(409);
+    throw new Error('The patient already has an active treatment plan');
+  }
+  try {
+    await plan.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(409);
+      throw new Error('The patient already has an active treatment plan');
+    }
+    if (error.name === 'ValidationError') res.status(400);
+    throw error;
+  }
+};
+
+// How far a goal has come, from its baseline (or first measurement) to its
+// target. percentComplete is capped to 0-100; it is null until there is a
+// measurement to compare.
+const summarizeGoal = (goal) => {
+  const progress = [...goal.progress].sort((a, b) => a.sessionDatetime - b.sessionDatetime);
+  const latest = progress[progress.length - 1];
+  const start = goal.baseline ?? progress[0]?.value;
+
+  let percentComplete = null;
+  let targetMet = false;
+  if (latest && start !== undefined) {
+    targetMet = start <= goal.target ? latest.value >= goal.target : latest.value <= goal.target;
+    percentComplete =
+      start === goal.target
+        ? 100
+        : Math.round(
+            Math.min(Math.max((latest.value - start) / (goal.target - start), 0), 1) * 100
+          );
+  }
+
+  return {
+    ...goal.toObject(),
+    progress,
+    latestValue: latest ? latest.value : null,
+    latestAt: latest ? latest.sessionDatetime : null,
+    percentComplete,
+    targetMet,
+  };
+};
+
+// Completed sessions the patient took part in: their own, or groups they
+// attended
+const completedSessionsFilter = (sessionPatientId) => ({
+  status: 'completed',
+  $or: [
+    { patient: sessionPatientId },
+    { participants: { $elemMatch: { patient: sessionPatientId, status: 'attended' } } },
+  ],
+});
+
+// @desc    A patient's treatment plans, newest first (supports `status`)
+// @route   GET /api/patients/:id/treatment-plans
+// @access  Private/Admin
+const getTreatmentPlans = asyncHandler(async (req, res) => {
+  const patientDoc = await findAccessiblePatient(req, res);
+
+  const filter = { patient: patientDoc.id };
+  if (req.query.status) filter.status = req.query.status;
+  const plans = await TreatmentPlan.find(filter).sort({ createdAt: -1 });
+
+  res.json(plans);
+});
+
+// @desc    Create a treatment plan, as a draft or straight away `active`
+// @route   POST /api/patients/:id/treatment-plans
+// @access  Private/Admin
+const createTreatmentPlan = asyncHandler(async (req, res) => {
+  const { status = 'draft', diagnoses, goals = [], interventions, reviewDueAt } = req.body;
+  const patientDoc = await findAccessiblePatient(req, res);
+  if (!['draft', 'active'].includes(status)) {
+    res.status(400);
+    throw new Error('A new treatment plan is draft or active');
+  }
+
+  const actor = describeActor(req.impersonator || req.user);
+  const plan = new TreatmentPlan({
+    patient: patientDoc.id,
+    patientName: patientDoc.data().name,
+    therapist: await findAssignedTherapist(patientDoc.data()),
+    diagnoses,
+    interventions,
+    reviewDueAt,
+    createdBy: actor,
+    updatedBy: actor,
+  });
+  applyGoals(res, plan, goals);
+  applyStatus(res, plan, status);
+  await savePlan(res, plan);
+
+  await recordAudit(req, {
+    action: 'treatment_plan.create',
+    targetType: 'patients',
+    targetId: patientDoc.id,
+    after: plan.toObject(),
+    metadata: { planId: plan._id },
+  });
+  res.status(201).json(plan);
+});
+
+// @desc    Update a plan's diagnoses, goals, interventions, review date or
+//          status (`endReason` is required to discontinue)
+// @route   PUT /api/patients/:id/treatment-plans/:planId
+// @access  Private/Admin
+const updateTreatmentPlan = asyncHandler(async (req, res) => {
+  const { diagnoses, goals, interventions, reviewDueAt, status, endReason } = req.body;
+  const { patientDoc, plan } = await findPatientPlan(req, res);
+  requireOpen(res, plan);
+
+  const before = plan.toObject();
+  if (diagnoses !== undefined) plan.diagnoses = diagnoses;
+  if (interventions !== undefined) plan.interventions = interventions;
+  if (reviewDueAt !== undefined) plan.reviewDueAt = reviewDueAt;
+  if (goals !== undefined) applyGoals(res, plan, goals);
+  if (status !== undefined) applyStatus(res, plan, status, endReason);
+  plan.updatedBy = describeActor(req.impersonator || req.user);
+  await savePlan(res, plan);
+
+  await recordAudit(req, {
+    action: 'treatment_plan.update',
+    targetType: 'patients',
+    targetId: patientDoc.id,
+    before,
+    after: plan.toObject(),
+    metadata: { planId: plan._id },
+  });
+  res.json(plan);
+});
+
+// @desc    Record a plan review and set the next review date
+// @route   POST /api/patients/:id/treatment-plans/:planId/reviews
+// @access  Private/Admin
+const reviewTreatmentPlan = asyncHandler(async (req, res) => {
+  const { note, nextReviewAt } = req.body;
+  const { patientDoc, plan } = await findPatientPlan(req, res);
+  if (plan.status !== 'active') {
+    res.status(422);
+    throw new Error('Only an active treatment plan can be reviewed');
+  }
+  if (!note || !String(note).trim()) {
+    res.status(400);
+    throw new Error('A review note is required');
+  }
+
+  const actor = describeActor(req.impersonator || req.user);
+  plan.reviews.push({ note: String(note).trim(), reviewedBy: actor });
+  plan.reviewDueAt = nextReviewAt || undefined;
+  plan.updatedBy = actor;
+  await savePlan(res, plan);
+
+  await recordAudit(req, {
+    action: 'treatment_plan.review',
+    targetType: 'patients',
+    targetId: patientDoc.id,
+    after: { note: String(note).trim(), reviewDueAt: plan.reviewDueAt },
+    metadata: { planId: plan._id },
+  });
+  res.status(201).json(plan);
+});
+
+// @desc    Record goal measurements taken in a completed session. Body:
+//          { sessionId, goals: [{ goalId, value, note? }] }. Recording the
+//          same session again replaces its earlier values.
+// @route   POST /api/patients/:id/treatment-plans/:planId/progress
+// @access  Private/Admin
+const recordGoalProgress = asyncHandler(async (req, res) => {
+  const { sessionId, goals } = req.body;
+  // The route needs sessions:write so therapists can record progress from
+  // their own sessions; anyone else is changing a patient's plan
+  if (!isProfessional(req.user) && !hasPermission(req.user, 'patients:write')) {
+    res.status(403);
+    throw new Error('Recording progress requires patients:write');
+  }
+  const { patientDoc, plan } = await findPatientPlan(req, res);
+  if (plan.status !== 'active') {
+    res.status(422);
+    throw new Error('Progress can only be recorded on an active treatment plan');
+  }
+  if (!Array.isArray(goals) || goals.length === 0) {
+    res.status(400);
+    throw new Error('goals must list at least one { goalId, value }');
+  }
+
+  const sessionPatientId = await findSessionPatientId(patientDoc);
+  const session = sessionPatientId
+    ? await Session.findOne({ _id: sessionId, ...completedSessionsFilter(sessionPatientId) })
+    : null;
+  // Professionals can only record progress from their own sessions
+  if (!session || (isProfessional(req.user) && !isOwnSession(session, req.user))) {
+    res.status(404);
+    throw new Error('No completed session with that id for this patient');
+  }
+  if (session.datetime < plan.startDate) {
+    res.status(422);
+    throw new Error('The session took place before the treatment plan started');
+  }
+
+  const before = plan.toObject();
+  const recordedBy = describeActor(req.impersonator || req.user);
+  for (const { goalId, value, note } of goals) {
+    const goal = plan.goals.id(goalId);
+    if (!goal || goal.status !== 'active') {
+      res.status(400);
+      throw new Error(`No active goal with id ${goalId}`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      res.status(400);
+      throw new Error(`value for goal ${goalId} must be a number`);
+    }
+    goal.progress = goal.progress.filter((entry) => !entry.session.equals(session._id));
+    goal.progress.push({
+      session: session._id,
+      sessionDatetime: session.datetime,
+      value,
+      note,
+      recordedBy,
+    });
+  }
+  plan.updatedBy = recordedBy;
+  await savePlan(res, plan);
+
+  await recordAudit(req, {
+    action: 'treatment_plan.progress',
+    targetType: 'patients',
+    targetId: patientDoc.id,
+    before,
+    after: plan.toObject(),
+    metadata: { planId: plan._id, sessionId: session._id },
+  });
+  res.status(201).json(plan.goals.map(summarizeGoal));
+});
+
+// @desc    The patient's active plan, with each goal's progress and the
+//          completed sessions since the plan started
+// @route   GET /api/patients/:id/treatment-plan
+// @access  Private/Admin
+const getActiveTreatmentPlan = asyncHandler(async (req, res) => {
+  const patientDoc = await findAccessiblePatient(req, res);
+  const plan = await TreatmentPlan.findOne({ patient: patientDoc.id, status: 'active' });
+  if (!plan) {
+    res.status(404);
+    throw new Error('The patient has no active treatment plan');
+  }
+
+  const sessionPatientId = await findSessionPatientId(patientDoc);
+  const sessions = sessionPatientId
+    ? await Session.find({
+        ...completedSessionsFilter(sessionPatientId),
+        datetime: { $gte: plan.startDate },
+      })
+        .select('type title datetime duration therapist')
+        .populate('therapist', 'full_name')
+        .sort({ datetime: 1 })
+    : [];
+
+  // Each session with the goal values recorded in it
+  const timeline = sessions.map((session) => ({
+    _id: session._id,
+    type: session.type,
+    title: session.title,
+    datetime: session.datetime,
+    duration: session.duration,
+    therapist: session.therapist,
+    measurements: plan.goals.flatMap((goal) =>
+      goal.progress
+        .filter((entry) => entry.session.equals(session._id))
+        .map((entry) => ({ goal: goal._id, value: entry.value, note: entry.note }))
+    ),
+  }));
+
+  res.json({
+    ...plan.toObject(),
+    goals: plan.goals.map(summarizeGoal),
+    sessions: {
+      completed: timeline.length,
+      withProgress: timeline.filter((session) => session.measurements.length > 0).length,
+      lastCompletedAt: timeline.length > 0 ? timeline[timeline.length - 1].datetime : null,
+      timeline,
+    },
+    reviewOverdue: Boolean(plan.reviewDueAt && plan.reviewDueAt < new Date()),
+  });
+});
+
+export {
+  getTreatmentPlans,
+  createTreatmentPlan,
+  updateTreatmentPlan,
+  reviewTreatmentPlan,
+  recordGoalProgress,
+  getActiveTreatmentPlan,
+};
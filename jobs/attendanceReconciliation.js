@@ -0,0 +1,204 @@
+import Session from '../models/Session.js';
+import Therapist from '../models/Therapist.js';
+import { sendMail } from '../utils/mailer.js';
+import { attendanceBacklogEmail } from '../utils/emailTemplates.js';
+import { recordAudit } from '../utils/audit.js';
+import { findProfessionalForTherapist } from '../utils/professionals.js';
+import { DEFAULT_TIMEZONE, formatLocalDateTime } from '../utils/availability.js';
+import { SYSTEM_ACTOR } from '../utils/actors.js';
+import { applyStatusTransition } from '../utils/sessionLifecycle.js';
+
+// Reconciles attendance for sessions nobody marked:
+//   1. `upcoming` sessions that ended ATTENDANCE_PENDING_AFTER_MINUTES ago
+//      become `pending_attendance`;
+//   2. their therapist gets one email listing them;
+//   3. sessions still pending after ATTENDANCE_GRACE_HOURS become `missed`
+//      (for groups, the participants nobody marked).
+// Every change is conditional on the status read, so a therapist marking
+// attendance mid-run (or a second server instance) always wins.
+
+const MINUTE = 60 * 1000;
+const PENDING_AFTER_MINUTES = Number(process.env.ATTENDANCE_PENDING_AFTER_MINUTES ?? 30);
+const GRACE_HOURS = Number(process.env.ATTENDANCE_GRACE_HOURS) || 72;
+const INTERVAL_MS = (Number(process.env.ATTENDANCE_INTERVAL_MINUTES) || 15) * MINUTE;
+const BATCH_SIZE = 500;
+
+// Sessions whose end (datetime + duration) is before `cutoff`
+const endedBefore = (cutoff) => ({
+  $expr: { $lt: [{ $add: ['$datetime', { $multiply: ['$duration', MINUTE] }] }, cutoff] },
+});
+
+// Apply a system transition and save it only if the status is still `from`
+const transition = async (session, to, { reason, set = {}, arrayFilters } = {}) => {
+  const from = session.status;
+  applyStatusTransition(null, null, session, to, { reason, actor: SYSTEM_ACTOR });
+
+  const result = await Session.updateOne(
+    { _id: session._id, status: from },
+    {
+      $set: { status: to, ...set },
+      $inc: { sequence: 1 }, // As the save hook would; calendar feeds pick it up
+      $push: { statusHistory: session.statusHistory[session.statusHistory.length - 1].toObject() },
+    },
+    { arrayFilters }
+  );
+  return result.modifiedCount === 1;
+};
+
+const markPending = async (now) => {
+  const sessions = await Session.find({
+    status: 'upcoming',
+    ...endedBefore(new Date(now.getTime() - PENDING_AFTER_MINUTES * MINUTE)),
+  }).limit(BATCH_SIZE);
+
+  let count = 0;
+  for (const session of sessions) {
+    if (await transition(session, 'pending_attendance', { set: { pendingAttendanceSince: now } })) {
+      count += 1;
+    }
+  }
+  return count;
+};
+
+// One email per therapist with every pending session they were not told about
+const nudgeTherapists = async (now) => {
+  const sessions = await Session.find({
+    status: 'pending_attendance',
+    attendanceNudgedAt: null,
+  })
+    .populate('patient', 'full_name')
+    .sort({ datetime: 1 })
+    .limit(BATCH_SIZE);
+
+  const byTherapist = new Map();
+  for (const session of sessions) {
+    // Claim first so a restart never emails about the same session twice
+    const claimed = await Session.updateOne(
+      { _id: session._id, attendanceNudgedAt: null },
+      { $set: { attendanceNudgedAt: now } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    const key = String(session.therapist);
+    byTherapist.set(key, [...(byTherapist.get(key) || []), session]);
+  }
+
+  for (const [therapistId, pending] of byTherapist) {
+    try {
+      const [therapist, profileDoc] = await Promise.all([
+        Therapist.findById(therapistId).select('full_name email'),
+        findProfessionalForTherapist(therapistId),
+      ]);
+      const profile = profileDoc?.data();
+      if (!therapist || profile?.notificationSettings?.email === false) continue;
+
+      const timeZone = profile?.timezone || profile?.timeZone || DEFAULT_TIMEZONE;
+      await sendMail({
+        to: therapist.email,
+        ...attendanceBacklogEmail({
+          name: therapist.full_name,
+          graceHours: GRACE_HOURS,
+          sessions: pending.map((session) => ({
+            label:
+              session.type === 'group'
+                ? `${session.title || 'Group session'} (group)`
+                : session.patient?.full_name || 'Unknown patient',
+            when: formatLocalDateTime(session.datetime, timeZone),
+          })),
+        }),
+      });
+    } catch (error) {
+      console.error(`Attendance email to therapist ${therapistId} failed: ${error.message}`);
+    }
+  }
+  return byTherapist.size;
+};
+
+const markMissed = async (now) => {
+  const sessions = await Session.find({
+    status: 'pending_attendance',
+    pendingAttendanceSince: { $lt: new Date(now.getTime() - GRACE_HOURS * 60 * MINUTE) },
+  }).limit(BATCH_SIZE);
+
+  let count = 0;
+  for (const session of sessions) {
+    const reason = `Attendance was not recorded within ${GRACE_HOURS} hours`;
+
+    // In a group, only the unmarked participants are missed; the session
+    // still counts as completed if anyone attended
+    const group = session.type === 'group';
+    const to =
+      group && session.participants.some((participant) => participant.status === 'attended')
+        ? 'completed'
+        : 'missed';
+    const options = group
+      ? {
+          reason,
+          set: {
+            attendance_marked: to === 'completed',
+            'participants.$[unmarked].status': 'missed',
+            'participants.$[unmarked].attendanceMarkedAt': now,
+            'participants.$[unmarked].reason': reason,
+          },
+          arrayFilters: [{ 'unmarked.status': 'enrolled' }],
+        }
+      : { reason, set: { attendance_marked: false } };
+
+    if (await transition(session, to, options)) {
+      count += 1;
+      await recordAudit(null, {
+        action: 'session.auto_missed',
+        targetType: 'sessions',
+        targetId: session._id,
+        before: { status: 'pending_attendance' },
+        after: { status: to },
+        metadata: { reason },
+      });
+    }
+  }
+  return count;
+};
+
+// One pass of the job: { pending, therapistsNudged, missed }
+const runAttendanceReconciliation = async (now = new Date()) => {
+  const pending = await markPending(now);
+  const therapistsNudged = await nudgeTherapists(now);
+  const missed = await markMissed(now);
+  return { pending, therapistsNudged, missed };
+};
+
+let timer = null;
+
+// Runs every ATTENDANCE_INTERVAL_MINUTES (default 15), never overlapping itself
+const startAttendanceReconciliation = () => {
+  if (timer) return;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runAttendanceReconciliation();
+    } catch (error) {
+      console.error(`Attendance reconciliation failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  tick();
+};
+
+const stopAttendanceReconciliation = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+export {
+  GRACE_HOURS,
+  runAttendanceReconciliation,
+  startAttendanceReconciliation,
+  stopAttendanceReconciliation,
+};
@@ -0,0 +1,293 @@
+import Session from '../models/Session.js';
+import { sendMail } from '../utils/mailer.js';
+import { sendSms } from '../utils/sms.js';
+import { sessionReminderEmail, sessionReminderSms } from '../utils/emailTemplates.js';
+import { findProfessionalForTherapist } from '../utils/professionals.js';
+import { joinUrl } from '../utils/videoRooms.js';
+import { DEFAULT_TIMEZONE, formatLocalDateTime } from '../utils/availability.js';
+
+// Reminders for upcoming sessions, sent REMINDER_OFFSETS before each session
+// through every channel in REMINDER_CHANNELS.
+//
+// Each offset gets one entry in session.reminders, pushed by an atomic update
+// that only matches when the entry is not there yet. Sending happens after that
+// claim, so a restart (or a second server instance) never sends a reminder
+// twice; a reminder interrupted mid-send stays "sending" and is not retried.
+// Failed deliveries are retried on later runs, up to REMINDER_MAX_ATTEMPTS.
+
+const MINUTE = 60 * 1000;
+const UNITS = { m: 1, h: 60, d: 24 * 60 };
+
+// "24h", "90m", "2d" or a plain number of minutes
+const parseOffset = (value) => {
+  const match = /^(\d+)\s*([mhd]?)$/i.exec(value.trim());
+  return match ? Number(match[1]) * UNITS[(match[2] || 'm').toLowerCase()] : NaN;
+};
+
+const parseList = (value) =>
+  value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Largest first
+const REMINDER_OFFSETS = [
+  ...new Set(
+    parseList(process.env.REMINDER_OFFSETS || '24h,1h')
+      .map(parseOffset)
+      .filter((offset) => Number.isInteger(offset) && offset > 0)
+  ),
+].sort((a, b) => b - a);
+const REMINDER_CHANNELS = parseList(process.env.REMINDER_CHANNELS || 'email');
+const INTERVAL_MS = (Number(process.env.REMINDER_INTERVAL_MINUTES) || 5) * MINUTE;
+const MAX_ATTEMPTS = Number(process.env.REMINDER_MAX_ATTEMPTS) || 3;
+
+// `address` picks the patient's address for the channel (nothing is sent
+// without one); `send` delivers the reminder to it
+const channels = {
+  email: {
+    address: (patient) => patient.email,
+    send: (to, details) => sendMail({ to, ...sessionReminderEmail(details) }),
+  },
+  sms: {
+    address: (patient) => patient.phone,
+    send: (to, details) => sendSms({ to, text: sessionReminderSms(details) }),
+  },
+};
+
+const registerReminderChannel = (name, channel) => {
+  channels[name] = channel;
+};
+
+// The therapist's reminder setting and time zone from their Firestore
+// profile. Therapists without a profile get reminders in the clinic's zone.
+const getTherapistPreferences = async (therapistId, cache) => {
+  const key = String(therapistId);
+  if (!cache.has(key)) {
+    const profile = (await findProfessionalForTherapist(therapistId))?.data();
+    cache.set(key, {
+      enabled: profile?.notificationSettings?.reminders !== false,
+      timeZone: profile?.timezone || profile?.timeZone || DEFAULT_TIMEZONE,
+    });
+  }
+  return cache.get(key);
+};
+
+const findEntry = (session, offset) =>
+  session.reminders.find(
+    (entry) =>
+      entry.offsetMinutes === offset && entry.sessionDatetime.getTime() === session.datetime.getTime()
+  );
+
+const entryFilter = (session, offset, extra = {}) => ({
+  _id: session._id,
+  reminders: {
+    $elemMatch: { offsetMinutes: offset, sessionDatetime: session.datetime, ...extra },
+  },
+});
+
+// The patient of an individual session, or every participant still enrolled
+// in a group session (populated)
+const recipientsOf = (session) =>
+  (session.type === 'group'
+    ? session.participants
+        .filter((participant) => participant.status === 'enrolled')
+        .map((participant) => participant.patient)
+    : [session.patient]
+  ).filter(Boolean);
+
+// Send through every channel, to every recipient, that has not delivered yet
+// and record the outcome
+const deliver = async (session, offset, entry, preferences) => {
+  const previous = entry?.deliveries || [];
+
+  const deliveries = [];
+  for (const patient of recipientsOf(session)) {
+    const details = {
+      name: patient.full_name,
+      therapistName: session.therapist.full_name,
+      when: formatLocalDateTime(session.datetime, preferences.timeZone),
+      duration: session.duration,
+      mode: session.mode,
+      joinUrl: joinUrl(session),
+    };
+
+    for (const name of REMINDER_CHANNELS) {
+      const channel = channels[name];
+      const to = channel?.address(patient);
+      if (channel && !to) continue;
+
+      const earlier = previous.find((delivery) => delivery.channel === name && delivery.to === to);
+      if (earlier?.status === 'sent') {
+        deliveries.push(earlier);
+        continue;
+      }
+
+      const delivery = {
+        channel: name,
+        patient: patient._id,
+        to,
+        attempts: (earlier?.attempts || 0) + 1,
+        lastAttemptAt: new Date(),
+      };
+      try {
+        if (!channel) throw new Error(`Unknown reminder channel: ${name}`);
+        await channel.send(to, details);
+        deliveries.push({ ...delivery, status: 'sent' });
+      } catch (error) {
+        console.error(`Reminder for session ${session._id} via ${name} failed: ${error.message}`);
+        deliveries.push({ ...delivery, status: 'failed', error: error.message });
+      }
+    }
+  }
+
+  let status = deliveries.every((delivery) => delivery.status === 'sent') ? 'sent' : 'failed';
+  if (deliveries.length === 0) status = 'skipped';
+
+  await Session.updateOne(entryFilter(session, offset), {
+    $set: {
+      'reminders.$.status': status,
+      'reminders.$.attempts': (entry?.attempts || 0) + 1,
+      'reminders.$.deliveries': deliveries,
+      ...(status === 'skipped' && { 'reminders.$.reason': 'No recipient has contact details for any channel' }),
+    },
+  });
+  return status;
+};
+
+// Claim and send the reminders that have come due for one session. When
+// several offsets are due at once (a session booked at short notice), only
+// the nearest is sent and the others are recorded as skipped.
+const remindSession = async (session, due, preferences) => {
+  const nearest = due[due.length - 1];
+  const entries = due.map((offset) => {
+    if (!preferences.enabled) {
+      return { offsetMinutes: offset, status: 'skipped', reason: 'Therapist has reminders turned off' };
+    }
+    return offset === nearest
+      ? { offsetMinutes: offset, status: 'sending' }
+      : { offsetMinutes: offset, status: 'skipped', reason: `Superseded by the ${nearest}-minute reminder` };
+  });
+
+  const claimed = await Session.updateOne(
+    {
+      _id: session._id,
+      status: 'upcoming',
+      datetime: session.datetime,
+      reminders: {
+        $not: { $elemMatch: { offsetMinutes: { $in: due }, sessionDatetime: session.datetime } },
+      },
+    },
+    {
+      $push: {
+        reminders: {
+          $each: entries.map((entry) => ({ ...entry, sessionDatetime: session.datetime })),
+        },
+      },
+    }
+  );
+  if (claimed.modifiedCount === 0 || !preferences.enabled) return null;
+
+  return deliver(session, nearest, null, preferences);
+};
+
+// Try failed deliveries again while the session is still ahead
+const retryFailedReminders = async (now, cache) => {
+  const sessions = await Session.find({
+    status: 'upcoming',
+    datetime: { $gt: now },
+    reminders: { $elemMatch: { status: 'failed', attempts: { $lt: MAX_ATTEMPTS } } },
+  })
+    .populate('patient', 'full_name email phone')
+    .populate('participants.patient', 'full_name email phone')
+    .populate('therapist', 'full_name');
+
+  for (const session of sessions) {
+    for (const entry of session.reminders) {
+      if (entry.status !== 'failed' || entry.attempts >= MAX_ATTEMPTS) continue;
+      if (entry.sessionDatetime.getTime() !== session.datetime.getTime()) continue;
+
+      const claimed = await Session.updateOne(
+        entryFilter(session, entry.offsetMinutes, { status: 'failed', attempts: entry.attempts }),
+        { $set: { 'reminders.$.status': 'sending' } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      const preferences = await getTherapistPreferences(session.therapist._id, cache);
+      await deliver(session, entry.offsetMinutes, entry, preferences);
+    }
+  }
+};
+
+// One pass of the scheduler. Returns how many sessions had a reminder sent
+// or skipped on this run.
+const runSessionReminders = async (now = new Date()) => {
+  if (REMINDER_OFFSETS.length === 0) return 0;
+
+  const sessions = await Session.find({
+    status: 'upcoming',
+    datetime: { $gt: now, $lte: new Date(now.getTime() + REMINDER_OFFSETS[0] * MINUTE) },
+  })
+    .populate('patient', 'full_name email phone')
+    .populate('participants.patient', 'full_name email phone')
+    .populate('therapist', 'full_name');
+
+  const cache = new Map();
+  let handled = 0;
+  for (const session of sessions) {
+    // A moved session starts over: entries for its old time no longer match
+    const due = REMINDER_OFFSETS.filter(
+      (offset) => session.datetime - now <= offset * MINUTE && !findEntry(session, offset)
+    );
+    if (due.length === 0 || !session.therapist) continue;
+
+    try {
+      const preferences = await getTherapistPreferences(session.therapist._id, cache);
+      await remindSession(session, due, preferences);
+      handled += 1;
+    } catch (error) {
+      console.error(`Reminders for session ${session._id} failed: ${error.message}`);
+    }
+  }
+
+  await retryFailedReminders(now, cache);
+  return handled;
+};
+
+let timer = null;
+
+// Runs every REMINDER_INTERVAL_MINUTES (default 5). A run that is still going
+// when the next one is due is not overlapped.
+const startSessionReminders = () => {
+  if (timer) return;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runSessionReminders();
+    } catch (error) {
+      console.error(`Session reminder run failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  tick();
+};
+
+const stopSessionReminders = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+export {
+  REMINDER_OFFSETS,
+  registerReminderChannel,
+  runSessionReminders,
+  startSessionReminders,
+  stopSessionReminders,
+};
@@ -1,34 +1,209 @@
 import jwt from "jsonwebtoken"
 import asyncHandler from "./asyncHandler.js"
 import Admin from "../models/Admin.js"
+import RefreshToken from "../models/RefreshToken.js"
+import ApiKey from "../models/ApiKey.js"
+import { hasPermission } from "../config/permissions.js"
+import { verifyMfaToken, verifyPurposeToken } from "../utils/generateToken.js"
+import { auth } from "../config/firebase.js"
+import { findProfessionalByUid, findProfessionalById, buildProfessionalUser } from "../utils/professionals.js"
+import {
+  IMPERSONATION_COOKIE,
+  isBlockedWhileImpersonating,
+  clearImpersonationCookie,
+} from "../utils/impersonation.js"
+import { getClientIp, isIpAllowed } from "../utils/requestInfo.js"
 import dotenv from "dotenv"
 
 dotenv.config()
 
+// The only routes an admin can use until they replace an expired or assigned password
+const PASSWORD_CHANGE_ROUTES = ["/api/auth/change-password", "/api/auth/me", "/api/auth/logout"]
+
+// lastUsedAt is only written when older than this, to spare a write per request
+const API_KEY_USAGE_RESOLUTION_MS = 60 * 1000
+
+// The only account routes reachable while impersonating
+const IMPERSONATION_AUTH_ROUTES = ["/api/auth/me", "/api/auth/impersonation/stop"]
+
+// Admin session: our own access token from the http-only "jwt" cookie
+const authenticateAdmin = async (req, token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET)
+  if (decoded.purpose) {
+    throw new Error("Pending MFA token used as access token")
+  }
+  // Access tokens die with their session (logout, revocation, token reuse)
+  if (decoded.sid && !(await RefreshToken.isFamilyActive(decoded.sid))) {
+    throw new Error("Session has been revoked")
+  }
+  req.user = await Admin.findById(decoded.id).select("-password")
+  req.sessionId = decoded.sid
+  req.authType = "admin"
+}
+
+// Therapist apps: a Firebase ID token sent as "Authorization: Bearer <token>".
+// req.user is a plain object built from the Firestore `users` profile.
+const authenticateProfessional = async (req, res, token) => {
+  const decoded = await auth.verifyIdToken(token, process.env.FIREBASE_CHECK_REVOKED === "true")
+  const profileDoc = await findProfessionalByUid(decoded.uid)
+
+  if (!profileDoc || profileDoc.data().role !== "professional") {
+    res.status(403)
+    throw new Error("Not authorized, account is not a professional")
+  }
+
+  req.user = await buildProfessionalUser(profileDoc, decoded.uid)
+  req.authType = "firebase"
+}
+
+// Integrations: an API key in "X-API-Key" or "Authorization: Bearer mck_...".
+// The key's scopes are its permissions, nothing is inherited from a role.
+const authenticateApiKey = async (req, res, key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(key) })
+  if (!apiKey || !apiKey.isActive()) {
+    throw new Error("API key is invalid, expired or revoked")
+  }
+
+  const ip = getClientIp(req)
+  if (!isIpAllowed(ip, apiKey.ipAllowlist)) {
+    res.status(403)
+    throw new Error("Not authorized, API key is not allowed from this address")
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > API_KEY_USAGE_RESOLUTION_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip })
+  }
+
+  req.user = {
+    _id: apiKey._id,
+    name: `API key: ${apiKey.name}`,
+    role: "api_key",
+    permissions: apiKey.scopes,
+  }
+  req.apiKey = apiKey
+  req.authType = "api_key"
+}
+
+// Swap req.user for the impersonated account. Only a super_admin's live
+// session can carry an impersonation; an expired or foreign token is dropped.
+const applyImpersonation = async (req, res, token) => {
+  const decoded = verifyPurposeToken(token, "impersonation")
+  if (!decoded || req.user.role !== "super_admin" || decoded.imp !== String(req.user._id)) {
+    clearImpersonationCookie(res)
+    res.status(401)
+    throw new Error("Impersonation session expired or invalid, please start again")
+  }
+
+  const target =
+    decoded.targetType === "professional"
+      ? await findProfessionalById(decoded.id).then((doc) => doc && buildProfessionalUser(doc))
+      : await Admin.findById(decoded.id).select("-password")
+  if (!target) {
+    clearImpersonationCookie(res)
+    res.status(401)
+    throw new Error("Impersonated account no longer exists")
+  }
+
+  req.impersonator = req.user
+  req.impersonation = { expiresAt: new Date(decoded.exp * 1000), targetType: decoded.targetType }
+  req.user = target
+  req.authType = "impersonation"
+}
+
+// Impersonation is for looking, not for changing accounts or deleting data
+const assertImpersonationAllowed = (req, res) => {
+  const path = req.baseUrl + req.path
+  if (req.method === "DELETE" || (path.startsWith("/api/auth/") && !IMPERSONATION_AUTH_ROUTES.includes(path))) {
+    res.status(403)
+    throw new Error("Not allowed while impersonating")
+  }
+}
+
+const getBearerToken = (req) => {
+  const header = req.get("authorization") || ""
+  return header.startsWith("Bearer ") ? header.slice(7).trim() : null
+}
+
 const protect = asyncHandler(async (req, res, next) => {
-  let token
+  const cookieToken = req.cookies.jwt
+  const bearerToken = getBearerToken(req)
+  const apiKey = req.get("x-api-key") || (ApiKey.isApiKey(bearerToken) ? bearerToken : null)
 
-  // Check for JWT in http-only cookie
-  if (req.cookies.jwt) {
-    token = req.cookies.jwt
+  if (!cookieToken && !bearerToken && !apiKey) {
+    res.status(401)
+    throw new Error("Not authorized, no token")
   }
 
-  if (token) {
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET)
-      req.user = await Admin.findById(decoded.id).select("-password")
-      next()
-    } catch (error) {
-      console.error(error)
-      res.status(401)
-      throw new Error("Not authorized, token failed")
+  try {
+    if (apiKey) {
+      await authenticateApiKey(req, res, apiKey)
+    } else if (cookieToken) {
+      await authenticateAdmin(req, cookieToken)
+    } else {
+      await authenticateProfessional(req, res, bearerToken)
     }
-  } else {
+  } catch (error) {
+    if (res.statusCode === 403) throw error
+    console.error(error)
     res.status(401)
-    throw new Error("Not authorized, no token")
+    throw new Error("Not authorized, token failed")
+  }
+
+  if (!req.user) {
+    res.status(401)
+    throw new Error("Not authorized, user not found")
+  }
+
+  if (req.authType === "admin" && req.cookies[IMPERSONATION_COOKIE]) {
+    await applyImpersonation(req, res, req.cookies[IMPERSONATION_COOKIE])
+    assertImpersonationAllowed(req, res)
   }
+
+  if (
+    req.authType === "admin" &&
+    req.user.isPasswordChangeRequired() &&
+    !PASSWORD_CHANGE_ROUTES.includes(req.baseUrl + req.path)
+  ) {
+    res.status(403)
+    throw new Error("Password change required")
+  }
+  next()
 })
 
+// Accepts either a normal admin session or the pending "mfa_setup" token returned by
+// login when MFA is enforced and the admin has not enrolled yet
+const protectMfaSetup = asyncHandler(async (req, res, next) => {
+  const mfaToken = req.body?.mfaToken
+  if (!mfaToken) {
+    // A signed-in admin, as on /mfa/disable: API keys and professionals have no MFA here
+    return protect(req, res, (error) => (error ? next(error) : adminSession(req, res, next)))
+  }
+
+  const decoded = verifyMfaToken(mfaToken, "mfa_setup")
+  if (!decoded) {
+    res.status(401)
+    throw new Error("Not authorized, MFA token invalid or expired")
+  }
+  req.user = await Admin.findById(decoded.id).select("-password")
+  if (!req.user) {
+    res.status(401)
+    throw new Error("Not authorized, user not found")
+  }
+  req.pendingMfaSetup = true
+  req.authType = "admin"
+  next()
+})
+
+// For account self-service (password, MFA, sessions) that only exists for
+// admin logins; professionals manage their accounts through Firebase
+const adminSession = (req, res, next) => {
+  if (req.authType !== "admin") {
+    res.status(403)
+    throw new Error("Not authorized, admin account required")
+  }
+  next()
+}
+
 const authorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user || !roles.includes(req.user.role)) {
@@ -39,4 +214,25 @@ const authorize = (...roles) => {
   }
 }
 
-export { protect, authorize }
+// Require every listed permission (see config/permissions.js)
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      res.status(401)
+      throw new Error("Not authorized")
+    }
+    const missing = permissions.filter((permission) => !hasPermission(req.user, permission))
+    if (missing.length > 0) {
+      res.status(403)
+      throw new Error(`Not authorized, missing permission: ${missing.join(", ")}`)
+    }
+    const blocked = req.impersonator ? permissions.filter(isBlockedWhileImpersonating) : []
+    if (blocked.length > 0) {
+      res.status(403)
+      throw new Error(`Not allowed while impersonating: ${blocked.join(", ")}`)
+    }
+    next()
+  }
+}
+
+export { protect, protectMfaSetup, adminSession, authorize, requirePermission }
@@ -15,6 +15,7 @@ const errorHandler = (err, req, res, next) => {
 
   res.status(statusCode).json({
     message,
+    ...(err.details && { details: err.details }),
     stack: process.env.NODE_ENV === "production" ? null : err.stack,
   })
 }
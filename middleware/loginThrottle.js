@@ -0,0 +1,26 @@
+import asyncHandler from "./asyncHandler.js"
+import { getClientIp } from "../utils/requestInfo.js"
+import { getLoginDelay, getIpBlockRemaining } from "../utils/loginAttempts.js"
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Blocks IPs with too many recent failures and slows down repeated attempts.
+// Failures are recorded by the login controllers.
+const loginThrottle = asyncHandler(async (req, res, next) => {
+  const ip = getClientIp(req)
+
+  const blockedFor = getIpBlockRemaining(ip)
+  if (blockedFor > 0) {
+    res.set("Retry-After", String(Math.ceil(blockedFor / 1000)))
+    res.status(429)
+    throw new Error("Too many login attempts, please try again later")
+  }
+
+  const delay = getLoginDelay(ip, req.body?.email)
+  if (delay > 0) {
+    await sleep(delay)
+  }
+  next()
+})
+
+export default loginThrottle
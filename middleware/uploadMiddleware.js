@@ -0,0 +1,25 @@
+import multer from "multer"
+import { FILE_MAX_BYTES, FILE_MAX_MB } from "../utils/files.js"
+
+// Single-file multipart uploads in the `file` field, kept in memory (they are
+// capped at FILE_MAX_MB) so they can be checked and hashed before anything is
+// stored. Requests that are not multipart pass straight through. Put this
+// after `protect` so anonymous requests are never buffered.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: FILE_MAX_BYTES, files: 1 },
+})
+
+const acceptFile = (req, res, next) => {
+  upload.single("file")(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      res.status(error.code === "LIMIT_FILE_SIZE" ? 413 : 400)
+      return next(
+        new Error(error.code === "LIMIT_FILE_SIZE" ? `Files can be at most ${FILE_MAX_MB} MB` : error.message),
+      )
+    }
+    next(error)
+  })
+}
+
+export { acceptFile }
@@ -1,5 +1,15 @@
 import mongoose from "mongoose"
 import bcrypt from "bcryptjs"
+import crypto from "crypto"
+import { verifyTotp } from "../utils/totp.js"
+import { passwordPolicy } from "../utils/passwordPolicy.js"
+
+const RECOVERY_CODE_COUNT = 10
+const MAX_FAILED_LOGINS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(code.replace(/[\s-]/g, "").toLowerCase()).digest("hex")
 
 const adminSchema = mongoose.Schema(
   {
@@ -14,7 +24,26 @@ const adminSchema = mongoose.Schema(
     },
     password: {
       type: String,
-      required: true,
+      // Invited admins choose their own password when accepting the invitation
+      required: function () {
+        return this.status !== "invited"
+      },
+    },
+    status: {
+      type: String,
+      enum: ["invited", "active"],
+      default: "active",
+    },
+    passwordHistory: {
+      type: [String], // Previous password hashes, newest first
+      select: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
+    mustChangePassword: {
+      type: Boolean, // Set when someone else chose the password (e.g. registerAdmin)
+      default: false,
     },
     role: {
       type: String,
@@ -27,6 +56,66 @@ const adminSchema = mongoose.Schema(
         type: String,
       },
     ],
+    mfa: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String, // Set during enrollment until the first code is confirmed
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number, // Last accepted TOTP time step, prevents code replay
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String], // SHA-256 hashes of unused one-time recovery codes
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    invitation: {
+      tokenHash: {
+        type: String,
+        select: false,
+      },
+      expiresAt: {
+        type: Date,
+      },
+      invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Admin",
+      },
+      acceptedAt: {
+        type: Date,
+      },
+    },
+    passwordReset: {
+      tokenHash: {
+        type: String,
+        select: false,
+      },
+      expiresAt: {
+        type: Date,
+      },
+    },
   },
   {
     timestamps: true,
@@ -35,16 +124,101 @@ const adminSchema = mongoose.Schema(
 
 adminSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
-    next()
+    return next()
   }
   const salt = await bcrypt.genSalt(10)
   this.password = await bcrypt.hash(this.password, salt)
+  this.passwordChangedAt = new Date()
 })
 
+// Replace the password, keeping the old hash for reuse checks. Validate the new
+// password with assertPasswordAcceptable first. Needs passwordHistory selected,
+// otherwise the stored history would be overwritten.
+adminSchema.methods.setPassword = function (password, { mustChange = false } = {}) {
+  if (!this.isNew && !this.isSelected("passwordHistory")) {
+    throw new Error("passwordHistory must be selected before changing the password")
+  }
+  if (this.password) {
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])].slice(0, passwordPolicy.historyCount)
+  }
+  this.password = password // Password hashing handled by pre-save hook
+  this.mustChangePassword = mustChange
+}
+
+// True on first login with an assigned password or once the password expired
+adminSchema.methods.isPasswordChangeRequired = function () {
+  if (this.mustChangePassword) return true
+  if (!passwordPolicy.maxAgeDays) return false
+
+  const changedAt = this.passwordChangedAt || this.createdAt
+  return Boolean(changedAt && Date.now() - changedAt.getTime() > passwordPolicy.maxAgeDays * 24 * 60 * 60 * 1000)
+}
+
 adminSchema.methods.matchPassword = async function (enteredPassword) {
+  if (!this.password) return false
   return await bcrypt.compare(enteredPassword, this.password)
 }
 
+adminSchema.methods.isLocked = function () {
+  return Boolean(this.lockedUntil && this.lockedUntil > Date.now())
+}
+
+// Count a failed password or MFA attempt and lock the account once the limit
+// is reached. Uses atomic updates so concurrent attempts are all counted.
+adminSchema.methods.registerFailedLogin = async function () {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true },
+  )
+  if (updated && updated.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $set: { failedLoginAttempts: 0, lockedUntil: new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000) } },
+    )
+  }
+}
+
+adminSchema.methods.resetLoginFailures = function () {
+  if (!this.failedLoginAttempts && !this.lockedUntil) return Promise.resolve()
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockedUntil: 1, lastFailedLoginAt: 1 } },
+  )
+}
+
+// Requires mfa.secret and mfa.lastUsedStep to be selected. Rejects replays of
+// a code that was already accepted.
+adminSchema.methods.verifyMfaCode = function (code) {
+  if (!this.mfa?.secret) return false
+  const step = verifyTotp(this.mfa.secret, code)
+  if (step === null || (this.mfa.lastUsedStep && step <= this.mfa.lastUsedStep)) {
+    return false
+  }
+  this.mfa.lastUsedStep = step
+  return true
+}
+
+// Requires mfa.recoveryCodes to be selected. Each code works once.
+adminSchema.methods.useRecoveryCode = function (code) {
+  const hash = hashRecoveryCode(String(code || ""))
+  const index = (this.mfa?.recoveryCodes || []).indexOf(hash)
+  if (index === -1) return false
+  this.mfa.recoveryCodes.splice(index, 1)
+  return true
+}
+
+// Replaces the stored recovery codes and returns the new plaintext codes.
+// They are only shown to the admin once.
+adminSchema.methods.generateRecoveryCodes = function () {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex")
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`
+  })
+  this.mfa.recoveryCodes = codes.map(hashRecoveryCode)
+  return codes
+}
+
 const Admin = mongoose.model("Admin", adminSchema)
 
 export default Admin
@@ -0,0 +1,82 @@
+import mongoose from "mongoose"
+import crypto from "crypto"
+
+// Named API key for service-to-service callers (reporting scripts, EHR sync).
+// Keys look like "mck_<48 hex chars>"; only a SHA-256 hash is stored, plus the
+// first characters so a key can be recognised in listings.
+const KEY_PREFIX = "mck_"
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8
+
+const apiKeySchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [String], // Permission names from config/permissions.js, granted as-is
+      default: [],
+    },
+    ipAllowlist: {
+      type: [String], // Addresses or CIDR ranges; empty allows any address
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+apiKeySchema.statics.hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex")
+
+apiKeySchema.statics.isApiKey = (value) => typeof value === "string" && value.startsWith(KEY_PREFIX)
+
+// Returns { apiKey, key }; the plain key is only available here, at creation
+apiKeySchema.statics.generate = async function (fields) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("hex")
+  const apiKey = await this.create({
+    ...fields,
+    prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    keyHash: this.hashKey(key),
+  })
+  return { apiKey, key }
+}
+
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date())
+}
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema)
+
+export default ApiKey
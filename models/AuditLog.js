@@ -0,0 +1,95 @@
+import mongoose from "mongoose"
+
+// Append-only audit trail. Every entry stores the hash of the previous entry
+// (by seq) so edits or deletions made directly in the database can be detected
+// with utils/audit.js#verifyAuditChain.
+const auditLogSchema = mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+  actor: {
+    id: { type: String },
+    name: { type: String },
+    email: { type: String },
+    role: { type: String },
+  },
+  // The impersonated account, when the actor made the change while impersonating
+  // ({ id, name, email, role }). Mixed so entries without it store nothing.
+  onBehalfOf: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  action: {
+    type: String, // e.g. "patient.update", "session.delete"
+    required: true,
+    index: true,
+  },
+  target: {
+    collection: { type: String, required: true },
+    id: { type: String },
+  },
+  changes: [
+    {
+      _id: false,
+      path: { type: String },
+      before: { type: mongoose.Schema.Types.Mixed },
+      after: { type: mongoose.Schema.Types.Mixed },
+    },
+  ],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    required: true,
+  },
+  prevHash: {
+    type: String,
+    required: true,
+  },
+  hash: {
+    type: String,
+    required: true,
+  },
+}, {
+  minimize: false, // Keep empty objects so stored entries hash exactly as written
+})
+
+auditLogSchema.index({ "actor.id": 1, createdAt: -1 })
+auditLogSchema.index({ "target.collection": 1, "target.id": 1, createdAt: -1 })
+auditLogSchema.index({ createdAt: -1 })
+
+const rejectMutation = function () {
+  throw new Error("Audit log entries are append-only")
+}
+
+for (const operation of [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+]) {
+  auditLogSchema.pre(operation, rejectMutation)
+}
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Audit log entries are append-only"))
+  }
+  next()
+})
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema)
+
+export default AuditLog
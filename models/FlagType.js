@@ -0,0 +1,71 @@
+import mongoose from "mongoose"
+
+const FLAG_SEVERITIES = ["low", "medium", "high", "critical"]
+
+// Catalog entries created the first time the catalog is read. `label` is what
+// older code and the patient's Firestore `flags` array show.
+const DEFAULT_FLAG_TYPES = [
+  { key: "high-risk", label: "High Risk", defaultSeverity: "high", reviewAfterDays: 7 },
+  { key: "safeguarding", label: "Safeguarding Concern", defaultSeverity: "critical", reviewAfterDays: 3 },
+  { key: "special-attention", label: "Special Attention", defaultSeverity: "medium", reviewAfterDays: 30 },
+  { key: "medication-review", label: "Medication Review", defaultSeverity: "medium", reviewAfterDays: 14 },
+  { key: "non-attendance", label: "Non-Attendance", defaultSeverity: "low", reviewAfterDays: 30 },
+]
+
+// Managed catalog of patient flag types. Types are retired (active: false)
+// rather than deleted, since existing flags keep referring to them.
+const flagTypeSchema = mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      match: /^[a-z0-9-]+$/,
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+    },
+    defaultSeverity: {
+      type: String,
+      enum: FLAG_SEVERITIES,
+      default: "medium",
+    },
+    reviewAfterDays: {
+      type: Number, // Default review-due date of a new flag of this type
+      min: 1,
+      default: 30,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    updatedBy: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// The catalog, seeded with DEFAULT_FLAG_TYPES while it is still empty
+flagTypeSchema.statics.getCatalog = async function ({ includeInactive = false } = {}) {
+  if ((await this.estimatedDocumentCount()) === 0) {
+    await this.bulkWrite(
+      DEFAULT_FLAG_TYPES.map((type) => ({
+        updateOne: { filter: { key: type.key }, update: { $setOnInsert: type }, upsert: true },
+      })),
+    )
+  }
+  return this.find(includeInactive ? {} : { active: true }).sort({ label: 1 })
+}
+
+const FlagType = mongoose.model("FlagType", flagTypeSchema)
+
+export { FLAG_SEVERITIES }
+export default FlagType
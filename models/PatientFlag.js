@@ -0,0 +1,92 @@
+import mongoose from "mongoose"
+import actorSchema from "./actorSchema.js"
+import { FLAG_SEVERITIES } from "./FlagType.js"
+
+// Statuses in which a flag is still open
+const OPEN_FLAG_STATUSES = ["active", "acknowledged"]
+
+// A flag raised on a patient. Flags are never deleted: resolving or removing
+// one closes it, and the record stays for the patient's history.
+//
+//   active -> acknowledged -> resolved
+//   active | acknowledged -> removed (raised in error)
+const patientFlagSchema = mongoose.Schema(
+  {
+    patient: {
+      type: String, // Firestore `users` doc id of the patient
+      required: true,
+      index: true,
+    },
+    patientName: {
+      type: String, // At the time the flag was raised, for the escalation queue
+    },
+    type: {
+      type: String, // FlagType key
+      required: true,
+    },
+    label: {
+      type: String, // FlagType label at the time the flag was raised
+      required: true,
+    },
+    severity: {
+      type: String,
+      enum: FLAG_SEVERITIES,
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+    },
+    source: {
+      kind: { type: String, enum: ["manual", "questionnaire"], default: "manual" },
+      id: { type: String }, // e.g. the questionnaire response
+    },
+    status: {
+      type: String,
+      enum: ["active", "acknowledged", "resolved", "removed"],
+      default: "active",
+    },
+    raisedBy: actorSchema,
+    raisedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reviewDueAt: {
+      type: Date,
+    },
+    acknowledgedBy: actorSchema,
+    acknowledgedAt: {
+      type: Date,
+    },
+    resolvedBy: actorSchema,
+    resolvedAt: {
+      type: Date,
+    },
+    resolutionNote: {
+      type: String,
+    },
+    removedBy: actorSchema,
+    removedAt: {
+      type: Date,
+    },
+    removalReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+patientFlagSchema.index({ status: 1, severity: 1, raisedAt: 1 })
+// At most one open flag of each type per patient, even when two requests raise
+// it at once (e.g. a PHQ-9 submission and a manual flag)
+patientFlagSchema.index(
+  { patient: 1, type: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: OPEN_FLAG_STATUSES } } },
+)
+
+const PatientFlag = mongoose.model("PatientFlag", patientFlagSchema)
+
+export { OPEN_FLAG_STATUSES }
+export default PatientFlag
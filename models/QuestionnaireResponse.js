@@ -0,0 +1,62 @@
+import mongoose from "mongoose"
+import actorSchema from "./actorSchema.js"
+
+// One completed questionnaire (config/questionnaires.js) for a patient. The
+// score is computed when the response is recorded and stored with the
+// instrument version it was answered against.
+const questionnaireResponseSchema = mongoose.Schema(
+  {
+    patient: {
+      type: String, // Firestore `users` doc id of the patient
+      required: true,
+    },
+    instrument: {
+      type: String, // e.g. "phq-9"
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    answers: {
+      type: [Number], // One option value per item, in item order
+      required: true,
+    },
+    totalScore: {
+      type: Number,
+      required: true,
+    },
+    severity: {
+      type: String,
+    },
+    riskFlags: [
+      {
+        _id: false,
+        item: { type: Number },
+        value: { type: Number },
+        flag: { type: String },
+      },
+    ],
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+    },
+    completedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    recordedBy: actorSchema,
+    notes: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+questionnaireResponseSchema.index({ patient: 1, instrument: 1, completedAt: -1 })
+
+const QuestionnaireResponse = mongoose.model("QuestionnaireResponse", questionnaireResponseSchema)
+
+export default QuestionnaireResponse
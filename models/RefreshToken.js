@@ -0,0 +1,79 @@
+import mongoose from "mongoose"
+
+// One document per issued refresh token. Tokens sharing a familyId belong to
+// the same login (a "session"); each refresh rotates to a new token in the family.
+const refreshTokenSchema = mongoose.Schema(
+  {
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Admin",
+      index: true,
+    },
+    familyId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String, // SHA-256 of the refresh JWT, the token itself is never stored
+      required: true,
+      unique: true,
+    },
+    sessionStartedAt: {
+      type: Date,
+      required: true,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    rotatedAt: {
+      type: Date, // Set once the token has been exchanged for a new one
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "revoked", "reuse_detected", "password_changed", "admin_removed"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Expired tokens are useless (the JWT itself has expired), let MongoDB drop them
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+refreshTokenSchema.statics.revokeFamily = function (familyId, reason = "revoked") {
+  return this.updateMany({ familyId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason })
+}
+
+refreshTokenSchema.statics.revokeAllForAdmin = function (adminId, reason = "revoked", { exceptFamilyId } = {}) {
+  const filter = { admin: adminId, revokedAt: null }
+  if (exceptFamilyId) {
+    filter.familyId = { $ne: exceptFamilyId }
+  }
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason })
+}
+
+// True while the login behind familyId has not been revoked
+refreshTokenSchema.statics.isFamilyActive = async function (familyId) {
+  const active = await this.exists({ familyId, revokedAt: null, expiresAt: { $gt: new Date() } })
+  return Boolean(active)
+}
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema)
+
+export default RefreshToken
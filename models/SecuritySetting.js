@@ -0,0 +1,36 @@
+import mongoose from "mongoose"
+
+// Singleton document holding system-wide security settings
+const securitySettingSchema = mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      default: "security",
+    },
+    requireMfa: {
+      type: Boolean, // Every admin must enroll in TOTP before they can sign in
+      default: false,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+securitySettingSchema.statics.getSettings = async function () {
+  return this.findOneAndUpdate(
+    { key: "security" },
+    { $setOnInsert: { key: "security" } },
+    { new: true, upsert: true, setDefaultsOnInsert: true },
+  )
+}
+
+const SecuritySetting = mongoose.model("SecuritySetting", securitySettingSchema)
+
+export default SecuritySetting
@@ -1,12 +1,57 @@
 import mongoose from "mongoose"
+import actorSchema from "./actorSchema.js"
+import { SESSION_STATUSES } from "../utils/sessionLifecycle.js"
 
-const sessionSchema = mongoose.Schema(
+// Per-patient state in a group session. Withdrawn participants are kept for
+// the record but no longer take a place.
+const PARTICIPANT_STATUSES = ["enrolled", "withdrawn", "attended", "missed"]
+
+const participantSchema = mongoose.Schema(
   {
     patient: {
       type: mongoose.Schema.Types.ObjectId,
       required: true,
       ref: "Patient",
     },
+    status: {
+      type: String,
+      enum: PARTICIPANT_STATUSES,
+      default: "enrolled",
+    },
+    enrolledAt: { type: Date, default: Date.now },
+    withdrawnAt: { type: Date },
+    attendanceMarkedAt: { type: Date },
+    reason: { type: String }, // Why they withdrew or missed
+  },
+  { _id: false },
+)
+
+const sessionSchema = mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["individual", "group"],
+      default: "individual",
+    },
+    // Individual sessions only; group sessions list their patients in participants
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: function () {
+        return this.type !== "group"
+      },
+      ref: "Patient",
+    },
+    title: {
+      type: String, // e.g. "Anxiety support group"
+    },
+    capacity: {
+      type: Number,
+      min: 2,
+      required: function () {
+        return this.type === "group"
+      },
+    },
+    participants: [participantSchema],
     therapist: {
       type: mongoose.Schema.Types.ObjectId,
       required: true,
@@ -16,6 +61,20 @@ const sessionSchema = mongoose.Schema(
       type: Date,
       required: true,
     },
+    mode: {
+      type: String,
+      enum: ["in_person", "video", "phone"],
+      default: "in_person",
+    },
+    // Join links for video sessions (utils/videoRooms.js)
+    videoRoom: {
+      provider: { type: String },
+      roomId: { type: String },
+      hostUrl: { type: String }, // For the therapist
+      participantUrl: { type: String }, // For patients
+      expiresAt: { type: Date },
+      createdAt: { type: Date },
+    },
     duration: {
       type: Number, // Duration in minutes
       required: true,
@@ -30,19 +89,131 @@ const sessionSchema = mongoose.Schema(
     ],
     status: {
       type: String,
-      enum: ["upcoming", "completed", "missed", "cancelled", "rescheduled"],
+      enum: SESSION_STATUSES, // Changed only through utils/sessionLifecycle.js
       default: "upcoming",
     },
+    statusHistory: [
+      {
+        _id: false,
+        from: { type: String },
+        to: { type: String, required: true },
+        at: { type: Date, required: true },
+        actor: actorSchema,
+        reason: { type: String },
+      },
+    ],
     attendance_marked: {
       type: Boolean,
       default: false,
     },
+    // Set by the attendance job (jobs/attendanceReconciliation.js)
+    pendingAttendanceSince: {
+      type: Date, // When the session became pending_attendance
+    },
+    attendanceNudgedAt: {
+      type: Date, // When the therapist was asked to mark attendance
+    },
+    // Rescheduling keeps the old session (status "rescheduled") and books a new
+    // one. Every session in a chain shares rescheduleRoot, the first booking.
+    originalDatetime: {
+      type: Date, // When the first session of the chain was booked for
+    },
+    rescheduledFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+    },
+    rescheduledTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+    },
+    rescheduleRoot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      index: true,
+    },
+    rescheduleCount: {
+      type: Number,
+      default: 0,
+    },
+    sequence: {
+      type: Number, // iCalendar SEQUENCE, bumped whenever time or status changes
+      default: 0,
+    },
+    // One entry per reminder offset (see jobs/sessionReminders.js). An entry is
+    // claimed before anything is sent, so a reminder never goes out twice.
+    reminders: [
+      {
+        _id: false,
+        offsetMinutes: { type: Number, required: true },
+        sessionDatetime: { type: Date, required: true }, // The time the reminder was for
+        status: { type: String, enum: ["sending", "sent", "failed", "skipped"], required: true },
+        reason: { type: String }, // Why it was skipped
+        attempts: { type: Number, default: 0 },
+        deliveries: [
+          {
+            _id: false,
+            channel: { type: String, required: true },
+            patient: { type: mongoose.Schema.Types.ObjectId, ref: "Patient" },
+            to: { type: String },
+            status: { type: String, enum: ["sent", "failed"], required: true },
+            attempts: { type: Number, default: 0 },
+            lastAttemptAt: { type: Date },
+            error: { type: String },
+          },
+        ],
+      },
+    ],
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SessionSeries",
+      index: true,
+    },
+    seriesIndex: {
+      type: Number, // 1-based position in the series
+    },
+    seriesException: {
+      type: Boolean, // Edited on its own, so series-wide edits leave it alone
+      default: false,
+    },
   },
   {
     timestamps: true,
   },
 )
 
+sessionSchema.index({ "participants.patient": 1 })
+
+// Participants who still hold a place (everyone but the withdrawn)
+sessionSchema.methods.activeParticipants = function () {
+  return this.participants.filter((participant) => participant.status !== "withdrawn")
+}
+
+sessionSchema.pre("validate", function (next) {
+  if (this.type !== "group") {
+    if (this.participants.length > 0) this.invalidate("participants", "Only group sessions have participants")
+    return next()
+  }
+  if (this.patient) this.invalidate("patient", "Group sessions list their patients in participants")
+
+  const active = this.activeParticipants()
+  if (this.capacity && active.length > this.capacity) {
+    this.invalidate("participants", `A group of capacity ${this.capacity} cannot have ${active.length} participants`)
+  }
+  const ids = active.map((participant) => String(participant.patient))
+  if (new Set(ids).size !== ids.length) {
+    this.invalidate("participants", "A patient can only be enrolled once")
+  }
+  next()
+})
+
+// Calendar apps only apply an update to an event with a higher SEQUENCE
+sessionSchema.pre("save", function (next) {
+  if (!this.isNew && ["datetime", "duration", "status"].some((path) => this.isModified(path))) {
+    this.sequence = (this.sequence || 0) + 1
+  }
+  next()
+})
+
 const Session = mongoose.model("Session", sessionSchema)
 
 export default Session
@@ -0,0 +1,73 @@
+import mongoose from "mongoose"
+import actorSchema from "./actorSchema.js"
+import { NOTE_TEMPLATES } from "../config/noteTemplates.js"
+
+// The clinical note for a session (group sessions share one note). Every edit
+// adds an entry to `versions`; `template` and `fields` mirror the latest one.
+// Once the treating therapist signs it the note is locked, and anything
+// further goes in `addenda`.
+const sessionNoteSchema = mongoose.Schema(
+  {
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      unique: true,
+      ref: "Session",
+    },
+    therapist: {
+      type: mongoose.Schema.Types.ObjectId, // The session's therapist when the note was started
+      ref: "Therapist",
+      index: true,
+    },
+    template: {
+      type: String,
+      enum: Object.keys(NOTE_TEMPLATES),
+      required: true,
+    },
+    fields: {
+      type: Map,
+      of: String, // Section key -> text
+    },
+    currentVersion: {
+      type: Number,
+      default: 1,
+    },
+    versions: [
+      {
+        _id: false,
+        version: { type: Number, required: true },
+        template: { type: String, required: true },
+        fields: { type: Map, of: String },
+        editedBy: actorSchema,
+        editedAt: { type: Date, default: Date.now },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["draft", "signed"],
+      default: "draft",
+    },
+    signedBy: actorSchema,
+    signedAt: {
+      type: Date,
+    },
+    signedVersion: {
+      type: Number,
+    },
+    addenda: [
+      {
+        _id: false,
+        text: { type: String, required: true },
+        author: actorSchema,
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+)
+
+const SessionNote = mongoose.model("SessionNote", sessionNoteSchema)
+
+export default SessionNote
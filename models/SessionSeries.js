@@ -0,0 +1,65 @@
+import mongoose from "mongoose"
+import { FREQUENCIES } from "../utils/recurrence.js"
+
+// A recurring booking (e.g. weekly therapy). Its occurrences are stored as
+// ordinary Session documents pointing back here through `series`, so each one
+// can be cancelled, moved or annotated on its own.
+const sessionSeriesSchema = mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Patient",
+    },
+    therapist: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Therapist",
+    },
+    startDatetime: {
+      type: Date, // First occurrence
+      required: true,
+    },
+    duration: {
+      type: Number, // Duration in minutes
+      required: true,
+    },
+    mode: {
+      type: String, // Copied to every occurrence
+      enum: ["in_person", "video", "phone"],
+      default: "in_person",
+    },
+    timeZone: {
+      type: String, // Occurrences keep their local time of day in this zone
+      required: true,
+    },
+    recurrence: {
+      frequency: { type: String, enum: FREQUENCIES, required: true },
+      count: { type: Number },
+      until: { type: Date },
+    },
+    notes: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["active", "cancelled"],
+      default: "active",
+    },
+    // Set on the series created by a "this and following" edit
+    splitFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SessionSeries",
+    },
+    createdBy: {
+      type: String, // Actor id (admin, professional profile or API key)
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+const SessionSeries = mongoose.model("SessionSeries", sessionSeriesSchema)
+
+export default SessionSeries
@@ -0,0 +1,67 @@
+import mongoose from "mongoose"
+import actorSchema from "./actorSchema.js"
+
+// What an uploaded file is, for filing and filtering
+const FILE_CATEGORIES = [
+  "consent_form",
+  "referral_letter",
+  "assessment",
+  "report",
+  "correspondence",
+  "identification",
+  "other",
+]
+
+// Metadata for a file in object storage (utils/storage.js). Deleting a file
+// removes the stored object but keeps this record, with deletedAt set.
+const storedFileSchema = mongoose.Schema(
+  {
+    owner: {
+      kind: { type: String, enum: ["patient", "session"], required: true },
+      id: { type: String, required: true }, // Firestore patient id or Session _id
+    },
+    category: {
+      type: String,
+      enum: FILE_CATEGORIES,
+      default: "other",
+    },
+    description: {
+      type: String,
+    },
+    originalName: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number, // Bytes
+      required: true,
+    },
+    checksum: {
+      algorithm: { type: String, default: "sha256" },
+      value: { type: String, required: true }, // Hex
+    },
+    storage: {
+      adapter: { type: String, required: true },
+      key: { type: String, required: true },
+    },
+    uploadedBy: actorSchema,
+    deletedAt: {
+      type: Date,
+    },
+    deletedBy: actorSchema,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+storedFileSchema.index({ "owner.kind": 1, "owner.id": 1, createdAt: -1 })
+
+const StoredFile = mongoose.model("StoredFile", storedFileSchema)
+
+export { FILE_CATEGORIES }
+export default StoredFile
@@ -30,6 +30,12 @@ const therapistSchema = mongoose.Schema(
         type: String, // URLs or file paths to documents
       },
     ],
+    // Secret calendar feed URL (see utils/ical.js); only the token's hash is kept
+    calendarFeed: {
+      tokenHash: { type: String, select: false, index: { unique: true, sparse: true } },
+      createdAt: { type: Date },
+      lastAccessedAt: { type: Date },
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,149 @@
+import mongoose from "mongoose"
+import actorSchema from "./actorSchema.js"
+
+const TREATMENT_PLAN_STATUSES = ["draft", "active", "completed", "discontinued"]
+const GOAL_STATUSES = ["active", "achieved", "discontinued"]
+const DIAGNOSIS_SYSTEMS = ["ICD-10", "ICD-11", "DSM-5"]
+
+// One measurement of a goal, taken in a completed session
+const progressSchema = mongoose.Schema(
+  {
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Session",
+    },
+    sessionDatetime: {
+      type: Date, // Copied from the session so progress sorts without a lookup
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+    },
+    note: { type: String },
+    recordedBy: actorSchema,
+    recordedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+)
+
+// A goal is measured on one scale from `baseline` towards `target`; either
+// direction works (a PHQ-9 score going down, sleep hours going up). Goals are
+// never deleted once a plan is in use, only discontinued, so their progress
+// stays on record.
+const goalSchema = mongoose.Schema({
+  description: {
+    type: String, // e.g. "Reduce depressive symptoms"
+    required: true,
+  },
+  measure: {
+    type: String, // What `value` is, e.g. "PHQ-9 total score"
+    required: true,
+  },
+  baseline: { type: Number },
+  target: {
+    type: Number,
+    required: true,
+  },
+  targetDate: { type: Date },
+  status: {
+    type: String,
+    enum: GOAL_STATUSES,
+    default: "active",
+  },
+  achievedAt: { type: Date },
+  progress: [progressSchema],
+})
+
+// Draft plans can be edited freely. Only one plan per patient is active at a
+// time; completed and discontinued plans are kept read-only for the record.
+//
+//   draft -> active -> completed | discontinued
+//   draft -> discontinued
+const treatmentPlanSchema = mongoose.Schema(
+  {
+    patient: {
+      type: String, // Firestore `users` doc id of the patient
+      required: true,
+      index: true,
+    },
+    patientName: {
+      type: String,
+    },
+    // The patient's assigned therapist (Firestore professional), kept in step
+    // by assignTherapistToPatient while the plan is draft or active
+    therapist: {
+      id: { type: String },
+      name: { type: String },
+    },
+    status: {
+      type: String,
+      enum: TREATMENT_PLAN_STATUSES,
+      default: "draft",
+    },
+    diagnoses: [
+      {
+        _id: false,
+        code: { type: String, required: true }, // e.g. "F32.1"
+        system: { type: String, enum: DIAGNOSIS_SYSTEMS, default: "ICD-10" },
+        description: { type: String },
+        primary: { type: Boolean, default: false },
+      },
+    ],
+    goals: [goalSchema],
+    interventions: [
+      {
+        _id: false,
+        name: { type: String, required: true }, // e.g. "Cognitive behavioural therapy"
+        description: { type: String },
+        frequency: { type: String }, // e.g. "Weekly, 50 minutes"
+      },
+    ],
+    startDate: {
+      type: Date, // Set when the plan becomes active
+    },
+    reviewDueAt: {
+      type: Date,
+    },
+    reviews: [
+      {
+        _id: false,
+        reviewedAt: { type: Date, default: Date.now },
+        reviewedBy: actorSchema,
+        note: { type: String, required: true },
+      },
+    ],
+    endedAt: {
+      type: Date,
+    },
+    endReason: {
+      type: String,
+    },
+    createdBy: actorSchema,
+    updatedBy: actorSchema,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+treatmentPlanSchema.index(
+  { patient: 1 },
+  { unique: true, partialFilterExpression: { status: "active" }, name: "one_active_plan_per_patient" },
+)
+
+treatmentPlanSchema.pre("validate", function (next) {
+  if (this.diagnoses.filter((diagnosis) => diagnosis.primary).length > 1) {
+    this.invalidate("diagnoses", "Only one diagnosis can be primary")
+  }
+  if (this.status === "active" && this.goals.length === 0) {
+    this.invalidate("goals", "An active plan needs at least one goal")
+  }
+  next()
+})
+
+const TreatmentPlan = mongoose.model("TreatmentPlan", treatmentPlanSchema)
+
+export { TREATMENT_PLAN_STATUSES, GOAL_STATUSES, DIAGNOSIS_SYSTEMS }
+export default TreatmentPlan
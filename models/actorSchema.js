@@ -0,0 +1,13 @@
+import mongoose from "mongoose"
+
+// Embedded { id, name, role } of whoever made a change (utils/actors.js)
+const actorSchema = mongoose.Schema(
+  {
+    id: { type: String },
+    name: { type: String },
+    role: { type: String },
+  },
+  { _id: false },
+)
+
+export default actorSchema
@@ -1,18 +1,44 @@
 import express from "express"
-import { registerAdmin, getAdmins, getAdminById, updateAdmin, deleteAdmin } from "../controllers/adminController.js"
-import { protect, authorize } from "../middleware/authMiddleware.js"
+import {
+  registerAdmin,
+  inviteAdmin,
+  resendInvitation,
+  getAdmins,
+  getAdminById,
+  updateAdmin,
+  deleteAdmin,
+  resetAdminMfa,
+  unlockAdmin,
+  impersonateAdmin,
+} from "../controllers/adminController.js"
+import { createApiKey, getApiKeys, revokeApiKey } from "../controllers/apiKeyController.js"
+import { protect, authorize, requirePermission } from "../middleware/authMiddleware.js"
 
 const router = express.Router()
 
 router
   .route("/")
-  .post(protect, authorize("super_admin"), registerAdmin) // Only super_admin can register new admins
-  .get(protect, authorize("super_admin", "admin"), getAdmins) // Admins can view other admins
+  .post(protect, requirePermission("admins:manage"), registerAdmin)
+  .get(protect, requirePermission("admins:read"), getAdmins)
+
+router.post("/invite", protect, requirePermission("admins:manage"), inviteAdmin)
+
+// Declared before "/:id" so "api-keys" is not taken for an admin id
+router
+  .route("/api-keys")
+  .post(protect, authorize("super_admin"), createApiKey)
+  .get(protect, authorize("super_admin"), getApiKeys)
+router.delete("/api-keys/:keyId", protect, authorize("super_admin"), revokeApiKey)
 
 router
   .route("/:id")
-  .get(protect, authorize("super_admin", "admin"), getAdminById)
-  .put(protect, authorize("super_admin", "admin"), updateAdmin) // Admins can update other admins (or themselves)
-  .delete(protect, authorize("super_admin"), deleteAdmin) // Only super_admin can delete admins
+  .get(protect, requirePermission("admins:read"), getAdminById)
+  .put(protect, requirePermission("admins:write"), updateAdmin) // Role/permission changes also need admins:manage
+  .delete(protect, requirePermission("admins:manage"), deleteAdmin)
+
+router.post("/:id/resend-invite", protect, requirePermission("admins:manage"), resendInvitation)
+router.put("/:id/mfa/reset", protect, requirePermission("admins:manage"), resetAdminMfa)
+router.put("/:id/unlock", protect, requirePermission("admins:manage"), unlockAdmin)
+router.post("/:id/impersonate", protect, authorize("super_admin"), impersonateAdmin)
 
 export default router
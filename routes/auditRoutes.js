@@ -0,0 +1,11 @@
+import express from "express"
+import { getAuditLogs, verifyAuditLog } from "../controllers/auditController.js"
+import { protect, authorize, requirePermission } from "../middleware/authMiddleware.js"
+
+const router = express.Router()
+
+// The audit trail is for super_admins only, whatever permissions others hold
+router.get("/", protect, authorize("super_admin"), requirePermission("audit:read"), getAuditLogs)
+router.get("/verify", protect, authorize("super_admin"), requirePermission("audit:read"), verifyAuditLog)
+
+export default router
@@ -1,17 +1,48 @@
 import express from 'express';
 import {
   loginAdmin,
+  verifyMfaLogin,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
   logoutAdmin,
   refreshToken,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  acceptInvitation,
+  forgotPassword,
+  resetPassword,
+  changePassword,
   getMe,
+  stopImpersonation,
 } from '../controllers/authController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, protectMfaSetup, adminSession } from '../middleware/authMiddleware.js';
+import loginThrottle from '../middleware/loginThrottle.js';
 
 const router = express.Router();
 
-router.post('/login', loginAdmin);
+router.post('/login', loginThrottle, loginAdmin);
+router.post('/mfa/verify', loginThrottle, verifyMfaLogin); // Second login step, uses the pending MFA token
+router.post('/mfa/setup', protectMfaSetup, setupMfa);
+router.post('/mfa/enable', protectMfaSetup, enableMfa);
+router.post('/mfa/disable', protect, adminSession, disableMfa);
+router.post('/mfa/recovery-codes', protect, adminSession, regenerateRecoveryCodes);
 router.post('/logout', protect, logoutAdmin);
 router.post('/refresh', refreshToken); // Refresh token doesn't need `protect` as it uses the refresh token directly
+router.post('/invitations/accept', loginThrottle, acceptInvitation);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', loginThrottle, resetPassword);
+router.post('/change-password', protect, adminSession, changePassword);
 router.get('/me', protect, getMe); // New route to get current user info
+router.post('/impersonation/stop', protect, stopImpersonation);
+
+// Active login sessions (refresh token families) of the current admin
+router
+  .route('/sessions')
+  .get(protect, adminSession, getSessions)
+  .delete(protect, adminSession, revokeAllSessions);
+router.delete('/sessions/:sessionId', protect, adminSession, revokeSession);
 
 export default router;
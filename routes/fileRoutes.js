@@ -0,0 +1,10 @@
+import express from 'express';
+import { downloadFile } from '../controllers/fileController.js';
+
+const router = express.Router();
+
+// Signed download links from the download-url endpoints under /api/patients
+// and /api/sessions. The token is the only credential, so no `protect`.
+router.get('/:token', downloadFile);
+
+export default router;
@@ -13,7 +13,33 @@ import {
   searchPatients,
   getPatientAnalytics,
 } from '../controllers/patientController.js';
-import { protect, authorize } from '../middleware/authMiddleware.js';
+import {
+  recordQuestionnaire,
+  getPatientQuestionnaires,
+  getQuestionnaireHistory,
+} from '../controllers/questionnaireController.js';
+import {
+  getPatientFlags,
+  acknowledgeFlag,
+  resolveFlag,
+  removeFlag,
+  getEscalationQueue,
+} from '../controllers/patientFlagController.js';
+import {
+  getTreatmentPlans,
+  createTreatmentPlan,
+  updateTreatmentPlan,
+  reviewTreatmentPlan,
+  recordGoalProgress,
+  getActiveTreatmentPlan,
+} from '../controllers/treatmentPlanController.js';
+import {
+  getPatientDocuments,
+  getPatientDocumentUrl,
+  deletePatientDocument,
+} from '../controllers/fileController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { acceptFile } from '../middleware/uploadMiddleware.js';
 
 const router = express.Router();
 
@@ -21,7 +47,7 @@ const router = express.Router();
 router.get(
   '/summary',
   protect,
-  authorize('admin', 'super_admin', 'professional'),
+  requirePermission('patients:read'),
   getPatientsSummary
 );
 
@@ -29,7 +55,7 @@ router.get(
 router.get(
   '/analytics',
   protect,
-  authorize('admin', 'super_admin'),
+  requirePermission('analytics:read'),
   getPatientAnalytics
 );
 
@@ -37,50 +63,138 @@ router.get(
 router.get(
   '/search',
   protect,
-  authorize('admin', 'super_admin', 'professional'),
+  requirePermission('patients:read'),
   searchPatients
 );
 
+// Unacknowledged high-severity flags
+router.get(
+  '/flags/escalations',
+  protect,
+  requirePermission('patients:read'),
+  getEscalationQueue
+);
+
 // Batch operations
 router.put(
   '/batch-update',
   protect,
-  authorize('admin', 'super_admin'),
+  requirePermission('patients:write'),
   batchUpdatePatients
 );
 
 router
   .route('/')
-  .post(protect, authorize('admin', 'super_admin'), createPatient)
-  .get(protect, authorize('admin', 'super_admin', 'professional'), getPatients);
+  .post(protect, requirePermission('patients:write'), createPatient)
+  .get(protect, requirePermission('patients:read'), getPatients);
 
 router
   .route('/:id')
   .get(
     protect,
-    authorize('admin', 'super_admin', 'professional'),
+    requirePermission('patients:read'),
     getPatientById
   )
-  .put(protect, authorize('admin', 'super_admin'), updatePatient)
-  .delete(protect, authorize('admin', 'super_admin'), deletePatient);
+  .put(protect, requirePermission('patients:write'), updatePatient)
+  .delete(protect, requirePermission('patients:delete'), deletePatient);
 
 router.put(
   '/:id/assign-therapist',
   protect,
-  authorize('admin', 'super_admin'),
+  requirePermission('patients:write'),
   assignTherapistToPatient
 );
 router.put(
   '/:id/flag',
   protect,
-  authorize('admin', 'super_admin'),
+  requirePermission('patients:write'),
   flagPatient
 );
+router
+  .route('/:id/documents')
+  .put(protect, requirePermission('patients:write'), acceptFile, uploadPatientDocument)
+  .get(protect, requirePermission('patients:read'), getPatientDocuments);
+router.get(
+  '/:id/documents/:fileId/download-url',
+  protect,
+  requirePermission('patients:read'),
+  getPatientDocumentUrl
+);
+router.delete(
+  '/:id/documents/:fileId',
+  protect,
+  requirePermission('patients:write'),
+  deletePatientDocument
+);
+
+// Structured flags (raised through PUT /:id/flag)
+router.get(
+  '/:id/flags',
+  protect,
+  requirePermission('patients:read'),
+  getPatientFlags
+);
+router.put(
+  '/:id/flags/:flagId/acknowledge',
+  protect,
+  requirePermission('patients:write'),
+  acknowledgeFlag
+);
+router.put(
+  '/:id/flags/:flagId/resolve',
+  protect,
+  requirePermission('patients:write'),
+  resolveFlag
+);
+router.delete(
+  '/:id/flags/:flagId',
+  protect,
+  requirePermission('patients:write'),
+  removeFlag
+);
+
+// Questionnaires (PHQ-9, GAD-7, ...)
+router
+  .route('/:id/questionnaires')
+  .post(protect, requirePermission('patients:write'), recordQuestionnaire)
+  .get(protect, requirePermission('patients:read'), getPatientQuestionnaires);
+router.get(
+  '/:id/questionnaires/history',
+  protect,
+  requirePermission('patients:read'),
+  getQuestionnaireHistory
+);
+
+// Treatment plans and goal progress
+router
+  .route('/:id/treatment-plans')
+  .get(protect, requirePermission('patients:read'), getTreatmentPlans)
+  .post(protect, requirePermission('patients:write'), createTreatmentPlan);
+router.get(
+  '/:id/treatment-plan',
+  protect,
+  requirePermission('patients:read'),
+  getActiveTreatmentPlan
+);
 router.put(
-  '/:id/documents',
+  '/:id/treatment-plans/:planId',
+  protect,
+  requirePermission('patients:write'),
+  updateTreatmentPlan
+);
+router.post(
+  '/:id/treatment-plans/:planId/reviews',
+  protect,
+  requirePermission('patients:write'),
+  reviewTreatmentPlan
+);
+// Progress comes from sessions, so sessions:write lets therapists record it
+// for their own sessions; admins and API keys also need patients:write
+router.post(
+  '/:id/treatment-plans/:planId/progress',
   protect,
-  authorize('admin', 'super_admin'),
-  uploadPatientDocument
+  requirePermission('sessions:write'),
+  recordGoalProgress
 );
 
 export default router;
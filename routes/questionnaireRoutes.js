@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getInstruments,
+  getInstrumentByCode,
+} from '../controllers/questionnaireController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Instrument definitions; responses live under /api/patients/:id/questionnaires
+router.get(
+  '/instruments',
+  protect,
+  requirePermission('patients:read'),
+  getInstruments
+);
+router.get(
+  '/instruments/:code',
+  protect,
+  requirePermission('patients:read'),
+  getInstrumentByCode
+);
+
+export default router;
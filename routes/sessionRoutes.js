@@ -8,29 +8,87 @@ import {
   attachSessionNotesAndDocuments,
   markSessionAttendance,
   updateSessionStatus,
+  getRescheduleCounts,
+  exportSessionsIcs,
+  getAttendanceBacklog,
+  getLateNotes,
+  regenerateVideoRoom,
 } from "../controllers/sessionController.js"
-import { protect, authorize } from "../middleware/authMiddleware.js"
+import {
+  getNoteTemplates,
+  getSessionNote,
+  saveSessionNote,
+  signSessionNote,
+  addSessionNoteAddendum,
+} from "../controllers/sessionNoteController.js"
+import { createCalendarFeed, revokeCalendarFeed, getCalendarFeed } from "../controllers/calendarController.js"
+import { createSessionSeries, getSessionSeriesById } from "../controllers/sessionSeriesController.js"
+import { enrolParticipant, withdrawParticipant } from "../controllers/groupSessionController.js"
+import {
+  uploadSessionAttachment,
+  getSessionAttachments,
+  getSessionAttachmentUrl,
+  deleteSessionAttachment,
+} from "../controllers/fileController.js"
+import { protect, requirePermission } from "../middleware/authMiddleware.js"
+import { acceptFile } from "../middleware/uploadMiddleware.js"
 
 const router = express.Router()
 
 router
   .route("/")
-  .post(protect, authorize("admin", "super_admin"), createSession)
-  .get(protect, authorize("admin", "super_admin", "therapist"), getSessions) // Therapists can view their sessions
+  .post(protect, requirePermission("sessions:write"), createSession)
+  .get(protect, requirePermission("sessions:read"), getSessions) // Therapists can view their sessions
+
+// Calendar export and subscribable feeds. The feed URL's token is its only
+// credential, so that route is not behind `protect`.
+router.get("/export.ics", protect, requirePermission("sessions:read"), exportSessionsIcs)
+router.post("/calendar-feeds", protect, requirePermission("sessions:write"), createCalendarFeed)
+router.delete("/calendar-feeds/:therapistId", protect, requirePermission("sessions:write"), revokeCalendarFeed)
+router.get("/feeds/:token.ics", getCalendarFeed)
+
+router.get("/attendance-backlog", protect, requirePermission("sessions:read"), getAttendanceBacklog)
+router.get("/late-notes", protect, requirePermission("sessions:read"), getLateNotes)
+router.get("/note-templates", protect, requirePermission("sessions:read"), getNoteTemplates)
+router.get("/reschedule-counts", protect, requirePermission("sessions:read"), getRescheduleCounts)
+
+// Recurring series, declared before "/:id"
+router.post("/series", protect, requirePermission("sessions:write"), createSessionSeries)
+router.get("/series/:seriesId", protect, requirePermission("sessions:read"), getSessionSeriesById)
 
 router
   .route("/:id")
-  .get(protect, authorize("admin", "super_admin", "therapist"), getSessionById)
-  .put(protect, authorize("admin", "super_admin", "therapist"), updateSession) // Therapists can update their sessions
-  .delete(protect, authorize("admin", "super_admin"), deleteSession)
+  .get(protect, requirePermission("sessions:read"), getSessionById)
+  .put(protect, requirePermission("sessions:write"), updateSession) // Therapists can update their sessions
+  .delete(protect, requirePermission("sessions:delete"), deleteSession)
 
 router.put(
   "/:id/notes-attachments",
   protect,
-  authorize("admin", "super_admin", "therapist"),
+  requirePermission("sessions:write"),
   attachSessionNotesAndDocuments,
 )
-router.put("/:id/mark-attendance", protect, authorize("admin", "super_admin", "therapist"), markSessionAttendance)
-router.put("/:id/status", protect, authorize("admin", "super_admin", "therapist"), updateSessionStatus)
+router
+  .route("/:id/clinical-notes")
+  .get(protect, requirePermission("sessions:read"), getSessionNote)
+  .put(protect, requirePermission("sessions:write"), saveSessionNote)
+router.post("/:id/clinical-notes/sign", protect, requirePermission("sessions:write"), signSessionNote)
+router.post("/:id/clinical-notes/addenda", protect, requirePermission("sessions:write"), addSessionNoteAddendum)
+router
+  .route("/:id/attachments")
+  .post(protect, requirePermission("sessions:write"), acceptFile, uploadSessionAttachment)
+  .get(protect, requirePermission("sessions:read"), getSessionAttachments)
+router.get(
+  "/:id/attachments/:fileId/download-url",
+  protect,
+  requirePermission("sessions:read"),
+  getSessionAttachmentUrl,
+)
+router.delete("/:id/attachments/:fileId", protect, requirePermission("sessions:write"), deleteSessionAttachment)
+router.put("/:id/mark-attendance", protect, requirePermission("sessions:write"), markSessionAttendance)
+router.post("/:id/participants", protect, requirePermission("sessions:write"), enrolParticipant)
+router.delete("/:id/participants/:patientId", protect, requirePermission("sessions:write"), withdrawParticipant)
+router.put("/:id/status", protect, requirePermission("sessions:write"), updateSessionStatus)
+router.post("/:id/video-room", protect, requirePermission("sessions:write"), regenerateVideoRoom)
 
 export default router
@@ -0,0 +1,20 @@
+import express from "express"
+import { getSecuritySettings, updateSecuritySettings } from "../controllers/settingsController.js"
+import { getFlagTypes, createFlagType, updateFlagType } from "../controllers/patientFlagController.js"
+import { protect, requirePermission } from "../middleware/authMiddleware.js"
+
+const router = express.Router()
+
+router
+  .route("/security")
+  .get(protect, requirePermission("settings:manage"), getSecuritySettings)
+  .put(protect, requirePermission("settings:manage"), updateSecuritySettings)
+
+// Patient flag catalog: readable by anyone who can read patients
+router
+  .route("/flag-types")
+  .get(protect, requirePermission("patients:read"), getFlagTypes)
+  .post(protect, requirePermission("settings:manage"), createFlagType)
+router.put("/flag-types/:key", protect, requirePermission("settings:manage"), updateFlagType)
+
+export default router
@@ -10,8 +10,15 @@ import {
   updateTherapistAvailability,
   batchUpdateTherapists,
   getTherapistSpecializations,
+  impersonateTherapist,
+  getTherapistSlots,
+  findAvailableSlots,
 } from '../controllers/therapistController.js';
-import { protect, authorize } from '../middleware/authMiddleware.js';
+import {
+  protect,
+  authorize,
+  requirePermission,
+} from '../middleware/authMiddleware.js';
 import { cacheMiddleware } from '../middleware/cacheMiddleware.js';
 
 const router = express.Router();
@@ -21,17 +28,17 @@ router
   .route('/')
   .get(
     protect,
-    authorize('admin', 'super_admin'),
+    requirePermission('therapists:read'),
     cacheMiddleware(300), // 5 minutes cache
     getTherapists
   )
-  .post(protect, authorize('admin', 'super_admin'), createTherapist);
+  .post(protect, requirePermission('therapists:write'), createTherapist);
 
 // Summary route (cached for longer)
 router.get(
   '/summary',
   protect,
-  authorize('admin', 'super_admin'),
+  requirePermission('therapists:read'),
   cacheMiddleware(600), // 10 minutes cache
   getTherapistsSummary
 );
@@ -40,16 +47,24 @@ router.get(
 router.get(
   '/specializations',
   protect,
-  authorize('admin', 'super_admin'),
+  requirePermission('therapists:read'),
   cacheMiddleware(1800), // 30 minutes cache
   getTherapistSpecializations
 );
 
+// Open slots across therapists (not cached, bookings change constantly)
+router.get(
+  '/slots',
+  protect,
+  requirePermission('therapists:read', 'sessions:read'),
+  findAvailableSlots
+);
+
 // Batch operations
 router.put(
   '/batch-update',
   protect,
-  authorize('admin', 'super_admin'),
+  requirePermission('therapists:write'),
   batchUpdateTherapists
 );
 
@@ -58,26 +73,40 @@ router
   .route('/:id')
   .get(
     protect,
-    authorize('admin', 'super_admin'),
+    requirePermission('therapists:read'),
     cacheMiddleware(300),
     getTherapistById
   )
-  .put(protect, authorize('admin', 'super_admin'), updateTherapist)
-  .delete(protect, authorize('admin', 'super_admin'), deleteTherapist);
+  .put(protect, requirePermission('therapists:write'), updateTherapist)
+  .delete(protect, requirePermission('therapists:delete'), deleteTherapist);
+
+router.get(
+  '/:id/slots',
+  protect,
+  requirePermission('therapists:read', 'sessions:read'),
+  getTherapistSlots
+);
 
 // Special action routes
 router.put(
   '/:id/assign-patients',
   protect,
-  authorize('admin', 'super_admin'),
+  requirePermission('therapists:write'),
   assignPatientsToTherapist
 );
 
 router.put(
   '/:id/availability',
   protect,
-  authorize('admin', 'super_admin'),
+  requirePermission('therapists:write'),
   updateTherapistAvailability
 );
 
+router.post(
+  '/:id/impersonate',
+  protect,
+  authorize('super_admin'),
+  impersonateTherapist
+);
+
 export default router;
@@ -17,6 +17,7 @@ const seedAdmins = async () => {
       password: 'superadmin123', // Will be hashed by pre-save hook
       role: 'super_admin',
       permissions: ['manage_all'],
+      mustChangePassword: true, // Seeded passwords are well known
     });
 
     // Create Regular Admin
@@ -25,7 +26,15 @@ const seedAdmins = async () => {
       email: 'admin@example.com',
       password: 'admin123', // Will be hashed by pre-save hook
       role: 'admin',
-      permissions: ['manage_patients', 'manage_therapists', 'manage_sessions'],
+      permissions: [
+        'manage_patients',
+        'manage_therapists',
+        'manage_sessions',
+        'analytics:read',
+        'admins:read',
+        'admins:write',
+      ],
+      mustChangePassword: true,
     });
 
     // Save both
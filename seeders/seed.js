@@ -30,6 +30,7 @@ const seedData = async () => {
         password: superAdminPassword,
         role: 'super_admin',
         permissions: ['manage_all'],
+        mustChangePassword: true,
       },
       {
         name: 'Regular Admin',
@@ -40,7 +41,11 @@ const seedData = async () => {
           'manage_patients',
           'manage_therapists',
           'manage_sessions',
+          'analytics:read',
+          'admins:read',
+          'admins:write',
         ],
+        mustChangePassword: true,
       },
     ]);
 
@@ -4,6 +4,8 @@ import cookieParser from 'cookie-parser';
 import cors from 'cors';
 import connectDB from './config/db.js';
 import { notFound, errorHandler } from './middleware/errorMiddleware.js';
+import { startSessionReminders } from './jobs/sessionReminders.js';
+import { startAttendanceReconciliation } from './jobs/attendanceReconciliation.js';
 
 // Import Routes
 import authRoutes from './routes/authRoutes.js';
@@ -11,6 +13,10 @@ import adminRoutes from './routes/adminRoutes.js';
 import patientRoutes from './routes/patientRoutes.js';
 import therapistRoutes from './routes/therapistRoutes.js';
 import sessionRoutes from './routes/sessionRoutes.js';
+import settingsRoutes from './routes/settingsRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import questionnaireRoutes from './routes/questionnaireRoutes.js';
+import fileRoutes from './routes/fileRoutes.js';
 
 dotenv.config();
 
@@ -19,12 +25,18 @@ connectDB();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a load balancer / reverse proxy, take the client IP from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? 1 : process.env.TRUST_PROXY);
+}
+
 // CORS configuration
 const corsOptions = {
   origin: [process.env.CLIENT_URL, 'http://localhost:5173'], // Replace with your frontend URL
   credentials: true, // Allow cookies to be sent
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  exposedHeaders: ['X-Calendar-Truncated'], // Lets the frontend see a capped ICS export
 };
 app.use(cors(corsOptions));
 
@@ -41,6 +53,10 @@ app.use('/api/admins', adminRoutes);
 app.use('/api/patients', patientRoutes);
 app.use('/api/therapists', therapistRoutes);
 app.use('/api/sessions', sessionRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/questionnaires', questionnaireRoutes);
+app.use('/api/files', fileRoutes);
 
 // Health check route
 app.get('/', (req, res) => {
@@ -54,3 +70,11 @@ app.use(errorHandler);
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
+
+// Background jobs; each can be turned off with its *_ENABLED=false variable
+if (process.env.REMINDERS_ENABLED !== 'false') {
+  startSessionReminders();
+}
+if (process.env.ATTENDANCE_JOB_ENABLED !== 'false') {
+  startAttendanceReconciliation();
+}
@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseTime,
+  formatTime,
+  normalizeAvailability,
+  hasAvailability,
+  getZonedParts,
+  zonedTimeToUtc,
+  isWithinAvailability,
+  describeAvailability,
+} from '../utils/availability.js';
+
+const NAIROBI = 'Africa/Nairobi'; // UTC+3 all year
+const LONDON = 'Europe/London'; // Clocks go forward on 29 March 2026
+
+describe('parseTime and formatTime', () => {
+  it('parses clock times and minute counts', () => {
+    assert.equal(parseTime('09:00'), 540);
+    assert.equal(parseTime('9:30'), 570);
+    assert.equal(parseTime('17:00:00'), 1020);
+    assert.equal(parseTime(' 24:00 '), 1440);
+    assert.equal(parseTime(90), 90);
+  });
+
+  it('rejects anything else', () => {
+    for (const value of ['25:00', '9', 'noon', '', null, undefined, -5, 2000]) {
+      assert.equal(parseTime(value), null, String(value));
+    }
+  });
+
+  it('formats minutes as HH:MM', () => {
+    assert.equal(formatTime(540), '09:00');
+    assert.equal(formatTime(1005), '16:45');
+  });
+});
+
+describe('normalizeAvailability', () => {
+  it('reads every stored shape into minute windows', () => {
+    const { days } = normalizeAvailability({
+      Mon: [{ start: '09:00', end: '12:00' }],
+      tuesday: { startTime: '10:00', endTime: '16:00' },
+      wednesday: { available: true, slots: ['08:00-10:00', '14:00-15:00'] },
+      thursday: { enabled: false, start: '09:00', end: '17:00' },
+      FRIDAY: ['09:00-11:00'],
+    });
+    assert.deepEqual(days.monday, [{ start: 540, end: 720 }]);
+    assert.deepEqual(days.tuesday, [{ start: 600, end: 960 }]);
+    assert.deepEqual(days.wednesday, [
+      { start: 480, end: 600 },
+      { start: 840, end: 900 },
+    ]);
+    assert.deepEqual(days.thursday, []);
+    assert.deepEqual(days.friday, [{ start: 540, end: 660 }]);
+    assert.deepEqual(days.sunday, []);
+  });
+
+  it('reads the list shape', () => {
+    const { days } = normalizeAvailability([
+      { day: 'saturday', start: '10:00', end: '13:00' },
+      { day: 'nonsense', start: '10:00', end: '13:00' },
+    ]);
+    assert.deepEqual(days.saturday, [{ start: 600, end: 780 }]);
+  });
+
+  it('merges overlapping and touching windows and drops empty ones', () => {
+    const { days } = normalizeAvailability({
+      monday: ['13:00-15:00', '09:00-12:00', '11:00-13:00', '16:00-16:00', '18:00-17:00'],
+    });
+    assert.deepEqual(days.monday, [{ start: 540, end: 900 }]);
+  });
+
+  it('takes the time zone from the argument, then the map, then the default', () => {
+    assert.equal(normalizeAvailability({ timezone: LONDON }, NAIROBI).timeZone, NAIROBI);
+    assert.equal(normalizeAvailability({ timezone: LONDON }).timeZone, LONDON);
+    assert.equal(typeof normalizeAvailability(undefined).timeZone, 'string');
+  });
+
+  it('knows when a therapist never filled in their hours', () => {
+    assert.equal(hasAvailability(normalizeAvailability({})), false);
+    assert.equal(hasAvailability(normalizeAvailability({ monday: ['09:00-10:00'] })), true);
+  });
+});
+
+describe('time zones', () => {
+  it('gives the local weekday, date and minutes of an instant', () => {
+    assert.deepEqual(getZonedParts(new Date('2026-10-18T22:30:00Z'), NAIROBI), {
+      weekday: 'monday',
+      date: '2026-10-19',
+      minutes: 90,
+    });
+  });
+
+  it('converts local wall-clock times to UTC', () => {
+    assert.equal(zonedTimeToUtc('2026-10-19', 540, NAIROBI).toISOString(), '2026-10-19T06:00:00.000Z');
+  });
+
+  it('follows daylight saving changes', () => {
+    assert.equal(zonedTimeToUtc('2026-03-28', 540, LONDON).toISOString(), '2026-03-28T09:00:00.000Z');
+    assert.equal(zonedTimeToUtc('2026-03-29', 540, LONDON).toISOString(), '2026-03-29T08:00:00.000Z');
+  });
+});
+
+describe('isWithinAvailability', () => {
+  const availability = normalizeAvailability({ monday: ['09:00-12:00', '13:00-17:00'] }, NAIROBI);
+  // Monday 19 October 2026, 09:00 in Nairobi
+  const mondayNine = new Date('2026-10-19T06:00:00Z');
+  const at = (minutesAfterNine) => new Date(mondayNine.getTime() + minutesAfterNine * 60 * 1000);
+
+  it('accepts sessions inside one window', () => {
+    assert.equal(isWithinAvailability(availability, mondayNine, 60), true);
+    assert.equal(isWithinAvailability(availability, at(120), 60), true); // 11:00-12:00
+  });
+
+  it('rejects sessions that run over a window or across the lunch gap', () => {
+    assert.equal(isWithinAvailability(availability, at(150), 60), false); // 11:30-12:30
+    assert.equal(isWithinAvailability(availability, at(-30), 60), false); // 08:30-09:30
+  });
+
+  it('rejects days without hours', () => {
+    assert.equal(isWithinAvailability(availability, at(24 * 60), 60), false); // Tuesday
+  });
+
+  it('treats therapists without hours as always available', () => {
+    assert.equal(isWithinAvailability(normalizeAvailability({}), mondayNine, 600), true);
+  });
+
+  it('describes the windows for error details', () => {
+    assert.deepEqual(describeAvailability(availability), {
+      monday: ['09:00-12:00', '13:00-17:00'],
+    });
+  });
+});
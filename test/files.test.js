@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FILE_MAX_BYTES, FILE_MAX_MB, checkUploadedFile, sha256 } from '../utils/files.js';
+
+const PDF = Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1');
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+const DOC = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0x00]);
+const DOCX = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00]);
+const EXE = Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03, 0x00]); // "MZ" header
+
+const upload = (mimetype, buffer, size = buffer.length) => ({ mimetype, buffer, size });
+
+describe('checkUploadedFile', () => {
+  it('accepts content that matches the declared type', () => {
+    assert.equal(checkUploadedFile(upload('application/pdf', PDF)), null);
+    assert.equal(checkUploadedFile(upload('image/png', PNG)), null);
+    assert.equal(checkUploadedFile(upload('image/jpeg', JPEG)), null);
+    assert.equal(checkUploadedFile(upload('application/msword', DOC)), null);
+    assert.equal(
+      checkUploadedFile(
+        upload('application/vnd.openxmlformats-officedocument.wordprocessingml.document', DOCX),
+      ),
+      null,
+    );
+    assert.equal(checkUploadedFile(upload('text/plain', Buffer.from('Session summary\n'))), null);
+  });
+
+  it('rejects a renamed executable whatever type it claims', () => {
+    for (const mimetype of ['application/pdf', 'image/png', 'image/jpeg', 'application/msword']) {
+      assert.equal(checkUploadedFile(upload(mimetype, EXE)), `The file content is not ${mimetype}`);
+    }
+    assert.equal(
+      checkUploadedFile(upload('text/plain', EXE)),
+      'The file content is not text/plain',
+    );
+  });
+
+  it('rejects content of another allowed type', () => {
+    assert.equal(
+      checkUploadedFile(upload('application/pdf', PNG)),
+      'The file content is not application/pdf',
+    );
+  });
+
+  it('rejects content shorter than the signature', () => {
+    assert.equal(
+      checkUploadedFile(upload('image/png', PNG.subarray(0, 4))),
+      'The file content is not image/png',
+    );
+  });
+
+  it('rejects types outside the allow-list', () => {
+    assert.equal(
+      checkUploadedFile(upload('application/x-msdownload', EXE)),
+      'Files of type application/x-msdownload are not accepted',
+    );
+  });
+
+  it('rejects missing, empty and oversized files', () => {
+    assert.equal(checkUploadedFile(undefined), 'No file uploaded (use the multipart field "file")');
+    assert.equal(checkUploadedFile(upload('application/pdf', Buffer.alloc(0))), 'The file is empty');
+    assert.equal(
+      checkUploadedFile(upload('application/pdf', PDF, FILE_MAX_BYTES + 1)),
+      `Files can be at most ${FILE_MAX_MB} MB`,
+    );
+    assert.equal(checkUploadedFile(upload('application/pdf', PDF, FILE_MAX_BYTES)), null);
+  });
+});
+
+describe('sha256', () => {
+  it('returns the hex digest of the content', () => {
+    assert.equal(
+      sha256(Buffer.from('abc')),
+      'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+    );
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  initialsOf,
+  sessionUid,
+  buildCalendar,
+} from '../utils/ical.js';
+
+// Unfold continuation lines (RFC 5545 3.1) and split into content lines
+const unfold = (calendar) => calendar.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+
+const eventLines = (calendar) => {
+  const lines = unfold(calendar);
+  return lines.slice(lines.indexOf('BEGIN:VEVENT'), lines.indexOf('END:VEVENT') + 1);
+};
+
+const baseSession = {
+  _id: 'abc123',
+  datetime: new Date('2026-10-19T06:30:00Z'),
+  duration: 50,
+  status: 'upcoming',
+  mode: 'in-person',
+  patient: { full_name: 'Amina Wanjiru Otieno' },
+  therapist: { full_name: 'Dr. Kamau, PhD' },
+};
+
+describe('escapeText', () => {
+  it('escapes backslashes, semicolons, commas and newlines', () => {
+    assert.equal(escapeText('a\\b;c,d\ne\r\nf'), 'a\\\\b\\;c\\,d\\ne\\nf');
+  });
+
+  it('turns missing values into empty text', () => {
+    assert.equal(escapeText(undefined), '');
+    assert.equal(escapeText(null), '');
+  });
+});
+
+describe('foldLine', () => {
+  it('leaves lines of up to 75 octets alone', () => {
+    const line = 'X'.repeat(75);
+    assert.equal(foldLine(line), line);
+  });
+
+  it('folds longer lines at 75 octets with CRLF and a space', () => {
+    const folded = foldLine(`SUMMARY:${'x'.repeat(200)}`);
+    const parts = folded.split('\r\n');
+    assert.ok(parts.length > 1);
+    assert.equal(Buffer.byteLength(parts[0]), 75);
+    for (const part of parts.slice(1)) {
+      assert.ok(part.startsWith(' '));
+      assert.ok(Buffer.byteLength(part) <= 75);
+    }
+    assert.equal(folded.replace(/\r\n /g, ''), `SUMMARY:${'x'.repeat(200)}`);
+  });
+
+  it('never splits a multi-byte character', () => {
+    const line = `SUMMARY:${'é'.repeat(100)}`;
+    const parts = foldLine(line).split('\r\n');
+    for (const part of parts) {
+      assert.ok(Buffer.byteLength(part) <= 75);
+      assert.ok(!part.includes('�'));
+    }
+    assert.equal(foldLine(line).replace(/\r\n /g, ''), line);
+  });
+});
+
+describe('formatting helpers', () => {
+  it('writes UTC date-times', () => {
+    assert.equal(formatDateTime(new Date('2026-10-19T06:30:15.123Z')), '20261019T063015Z');
+  });
+
+  it('reduces patient names to initials', () => {
+    assert.equal(initialsOf('Amina Wanjiru Otieno'), 'A.W.O.');
+    assert.equal(initialsOf('  amina  '), 'A.');
+    assert.equal(initialsOf(''), 'Patient');
+    assert.equal(initialsOf(undefined), 'Patient');
+  });
+
+  it('keeps one UID across a reschedule chain', () => {
+    assert.equal(sessionUid({ _id: 'new', rescheduleRoot: 'first' }), sessionUid({ _id: 'first' }));
+    assert.notEqual(sessionUid({ _id: 'a' }), sessionUid({ _id: 'b' }));
+  });
+});
+
+describe('buildCalendar', () => {
+  it('wraps events in a CRLF-terminated VCALENDAR', () => {
+    const calendar = buildCalendar([baseSession], { name: 'Team; main' });
+    assert.ok(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(unfold(calendar).includes('X-WR-CALNAME:Team\\; main'));
+  });
+
+  it('writes the session times, initials and escaped therapist name', () => {
+    const lines = eventLines(buildCalendar([baseSession]));
+    assert.ok(lines.includes('DTSTART:20261019T063000Z'));
+    assert.ok(lines.includes('DTEND:20261019T072000Z'));
+    assert.ok(lines.includes('SUMMARY:Therapy session - A.W.O.'));
+    assert.ok(lines.includes('DESCRIPTION:Therapist: Dr. Kamau\\, PhD'));
+    assert.ok(!lines.some((line) => line.includes('Amina')));
+  });
+
+  it('carries the session SEQUENCE, defaulting to 0', () => {
+    assert.ok(eventLines(buildCalendar([baseSession])).includes('SEQUENCE:0'));
+    assert.ok(eventLines(buildCalendar([{ ...baseSession, sequence: 3 }])).includes('SEQUENCE:3'));
+  });
+
+  it('marks cancelled sessions CANCELLED and everything else CONFIRMED', () => {
+    assert.ok(
+      eventLines(buildCalendar([{ ...baseSession, status: 'cancelled' }])).includes('STATUS:CANCELLED')
+    );
+    for (const status of ['upcoming', 'completed', 'missed']) {
+      assert.ok(eventLines(buildCalendar([{ ...baseSession, status }])).includes('STATUS:CONFIRMED'));
+    }
+  });
+
+  it('uses the host link as location for live video rooms only', () => {
+    const videoRoom = {
+      roomId: 'room',
+      hostUrl: 'https://meet.example/room#host',
+      participantUrl: 'https://meet.example/room',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    };
+    const live = eventLines(buildCalendar([{ ...baseSession, mode: 'video', videoRoom }]));
+    assert.ok(live.includes('LOCATION:https://meet.example/room#host'));
+    assert.ok(live.includes('URL:https://meet.example/room#host'));
+
+    const expired = eventLines(
+      buildCalendar([{ ...baseSession, mode: 'video', videoRoom: { ...videoRoom, expiresAt: new Date(0) } }])
+    );
+    assert.ok(!expired.some((line) => line.startsWith('LOCATION:') || line.startsWith('URL:')));
+
+    assert.ok(eventLines(buildCalendar([{ ...baseSession, mode: 'phone' }])).includes('LOCATION:Phone call'));
+  });
+
+  it('titles group sessions instead of naming a patient', () => {
+    const group = { ...baseSession, type: 'group', title: 'Anxiety group', patient: undefined };
+    assert.ok(eventLines(buildCalendar([group])).includes('SUMMARY:Group session - Anxiety group'));
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import {
+  passwordPolicy,
+  validatePassword,
+  isPasswordReused,
+  assertPasswordAcceptable,
+} from '../utils/passwordPolicy.js';
+
+// These expect the default policy (no PASSWORD_* variables set)
+const STRONG = 'Tangerine-Orbit-42';
+
+const fakeRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+});
+
+describe('validatePassword', () => {
+  it('accepts a long mixed password', () => {
+    assert.deepEqual(validatePassword(STRONG), []);
+  });
+
+  it('requires a password', () => {
+    assert.deepEqual(validatePassword(''), ['Password is required']);
+    assert.deepEqual(validatePassword(undefined), ['Password is required']);
+  });
+
+  it('lists every rule a password breaks', () => {
+    const problems = validatePassword('short');
+    assert.equal(problems.length, 4);
+    assert.match(problems[0], new RegExp(`at least ${passwordPolicy.minLength} characters`));
+    assert.ok(problems.includes('Password must contain an uppercase letter'));
+    assert.ok(problems.includes('Password must contain a number'));
+    assert.ok(problems.includes('Password must contain a symbol'));
+  });
+
+  it('rejects common passwords, also with digits and symbols around them', () => {
+    for (const password of ['Password123!!', '!!2024Welcome!', 'Qwerty#123456']) {
+      assert.ok(
+        validatePassword(password).includes('Password is too common, choose something less predictable'),
+        password
+      );
+    }
+  });
+
+  it('rejects passwords containing the email name or the name', () => {
+    assert.ok(
+      validatePassword('Xx-wanjiku-2024', { email: 'wanjiku@example.com' }).includes(
+        'Password must not contain your email address'
+      )
+    );
+    assert.ok(
+      validatePassword('Kamau!Orbit-2024', { name: 'Peter Kamau' }).includes(
+        'Password must not contain your name'
+      )
+    );
+  });
+
+  it('ignores name parts shorter than three letters', () => {
+    assert.deepEqual(validatePassword(STRONG, { name: 'Al Ng' }), []);
+  });
+});
+
+describe('isPasswordReused', () => {
+  const hash = (password) => bcrypt.hashSync(password, 4);
+
+  it('matches the current and recent passwords', async () => {
+    const admin = { password: hash('Current-Pass-1'), passwordHistory: [hash('Older-Pass-1')] };
+    assert.equal(await isPasswordReused(admin, 'Current-Pass-1'), true);
+    assert.equal(await isPasswordReused(admin, 'Older-Pass-1'), true);
+    assert.equal(await isPasswordReused(admin, STRONG), false);
+  });
+
+  it(`only looks back ${passwordPolicy.historyCount} passwords`, async () => {
+    const history = Array.from({ length: passwordPolicy.historyCount }, (_, i) => hash(`Old-Pass-${i}`));
+    const admin = { password: hash('Current-Pass-1'), passwordHistory: history };
+    assert.equal(await isPasswordReused(admin, `Old-Pass-${passwordPolicy.historyCount - 2}`), true);
+    assert.equal(await isPasswordReused(admin, `Old-Pass-${passwordPolicy.historyCount - 1}`), false);
+  });
+});
+
+describe('assertPasswordAcceptable', () => {
+  it('throws a 400 with the problems as details', async () => {
+    const res = fakeRes();
+    await assert.rejects(
+      assertPasswordAcceptable(res, { email: 'a@example.com', name: 'Ann' }, 'weak'),
+      (error) => {
+        assert.match(error.message, /^Password does not meet the password policy/);
+        assert.ok(Array.isArray(error.details) && error.details.length > 0);
+        return true;
+      }
+    );
+    assert.equal(res.statusCode, 400);
+  });
+
+  it('passes a strong, unused password', async () => {
+    const res = fakeRes();
+    await assertPasswordAcceptable(res, { email: 'a@example.com', name: 'Ann' }, STRONG);
+    assert.equal(res.statusCode, 200);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isValidGrant,
+  getEffectivePermissions,
+  hasPermission,
+} from '../config/permissions.js';
+
+describe('isValidGrant', () => {
+  it('accepts catalog permissions, wildcards and legacy aliases', () => {
+    for (const grant of ['patients:read', 'sessions:*', '*', 'manage_patients']) {
+      assert.equal(isValidGrant(grant), true, grant);
+    }
+  });
+
+  it('rejects unknown permissions and resources', () => {
+    for (const grant of ['patients:fly', 'billing:*', 'manage_billing', '']) {
+      assert.equal(isValidGrant(grant), false, grant);
+    }
+  });
+});
+
+describe('getEffectivePermissions', () => {
+  it('gives super_admin everything, whatever is stored', () => {
+    assert.deepEqual(
+      getEffectivePermissions({ role: 'super_admin', permissions: ['patients:read'] }),
+      ['*']
+    );
+  });
+
+  it('uses the role defaults when an account has no permissions of its own', () => {
+    assert.deepEqual(getEffectivePermissions({ role: 'professional' }), [
+      'patients:read',
+      'sessions:read',
+      'sessions:write',
+    ]);
+  });
+
+  it('lets explicit permissions replace the role defaults', () => {
+    assert.deepEqual(
+      getEffectivePermissions({ role: 'admin', permissions: ['sessions:read'] }),
+      ['sessions:read']
+    );
+  });
+
+  it('expands legacy aliases', () => {
+    assert.deepEqual(
+      getEffectivePermissions({ role: 'admin', permissions: ['manage_patients', 'manage_sessions'] }),
+      ['patients:*', 'sessions:*']
+    );
+    assert.deepEqual(getEffectivePermissions({ role: 'admin', permissions: ['manage_all'] }), ['*']);
+  });
+
+  it('gives API keys only their scopes', () => {
+    assert.deepEqual(getEffectivePermissions({ role: 'api_key', permissions: [] }), []);
+    assert.deepEqual(
+      getEffectivePermissions({ role: 'api_key', permissions: ['patients:read'] }),
+      ['patients:read']
+    );
+  });
+
+  it('gives nobody nothing', () => {
+    assert.deepEqual(getEffectivePermissions(null), []);
+    assert.deepEqual(getEffectivePermissions({ role: 'unknown' }), []);
+  });
+});
+
+describe('hasPermission', () => {
+  it('matches exact grants', () => {
+    const user = { role: 'admin', permissions: ['sessions:read'] };
+    assert.equal(hasPermission(user, 'sessions:read'), true);
+    assert.equal(hasPermission(user, 'sessions:write'), false);
+  });
+
+  it('matches resource wildcards only within their resource', () => {
+    const user = { role: 'admin', permissions: ['patients:*'] };
+    assert.equal(hasPermission(user, 'patients:delete'), true);
+    assert.equal(hasPermission(user, 'sessions:read'), false);
+  });
+
+  it('matches the global wildcard', () => {
+    assert.equal(hasPermission({ role: 'super_admin' }, 'audit:read'), true);
+    assert.equal(hasPermission({ role: 'admin', permissions: ['*'] }, 'settings:manage'), true);
+  });
+
+  it('keeps the admin defaults away from admin management and settings', () => {
+    const admin = { role: 'admin' };
+    assert.equal(hasPermission(admin, 'admins:write'), true);
+    assert.equal(hasPermission(admin, 'admins:manage'), false);
+    assert.equal(hasPermission(admin, 'settings:manage'), false);
+  });
+
+  it('honours legacy aliases', () => {
+    const user = { role: 'admin', permissions: ['manage_therapists'] };
+    assert.equal(hasPermission(user, 'therapists:delete'), true);
+    assert.equal(hasPermission(user, 'patients:read'), false);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getInstrument,
+  listInstruments,
+  validateAnswers,
+  scoreAnswers,
+} from '../utils/questionnaires.js';
+
+const phq9 = getInstrument('phq-9');
+const gad7 = getInstrument('gad-7');
+
+// `total` spread over the first items (at most 3 each), item 9 left at 0
+const phqAnswers = (total, item9 = 0) => {
+  const answers = Array(9).fill(0);
+  let left = total - item9;
+  for (let i = 0; i < 8 && left > 0; i += 1) {
+    answers[i] = Math.min(3, left);
+    left -= answers[i];
+  }
+  answers[8] = item9;
+  return answers;
+};
+
+describe('getInstrument', () => {
+  it('returns the latest version by default, or the one asked for', () => {
+    assert.equal(phq9.code, 'phq-9');
+    assert.equal(phq9.version, 1);
+    assert.equal(phq9.items.length, 9);
+    assert.equal(getInstrument('gad-7', '1').version, 1);
+  });
+
+  it('returns null for unknown instruments and versions', () => {
+    assert.equal(getInstrument('bdi-ii'), null);
+    assert.equal(getInstrument('phq-9', 99), null);
+  });
+
+  it('lists every instrument', () => {
+    assert.deepEqual(listInstruments().map((instrument) => instrument.code).sort(), ['gad-7', 'phq-9']);
+  });
+});
+
+describe('validateAnswers', () => {
+  it('accepts one scale value per item', () => {
+    assert.deepEqual(validateAnswers(gad7, [0, 1, 2, 3, 0, 1, 2]), []);
+  });
+
+  it('checks the shape, the count and every value', () => {
+    assert.deepEqual(validateAnswers(gad7, 'all of them'), [
+      'answers must be an array with one value per item',
+    ]);
+    assert.deepEqual(validateAnswers(gad7, [0, 1]), ['gad-7 has 7 items, got 2 answers']);
+    assert.deepEqual(validateAnswers(gad7, [0, 1, 4, 3, 0, '1', 2]), [
+      'Item 3 must be one of 0, 1, 2, 3',
+      'Item 6 must be one of 0, 1, 2, 3',
+    ]);
+  });
+});
+
+describe('scoreAnswers', () => {
+  it('bands PHQ-9 totals at the published cut-offs', () => {
+    const cases = [
+      [0, 'minimal'],
+      [4, 'minimal'],
+      [5, 'mild'],
+      [9, 'mild'],
+      [10, 'moderate'],
+      [14, 'moderate'],
+      [15, 'moderately_severe'],
+      [19, 'moderately_severe'],
+      [20, 'severe'],
+      [24, 'severe'],
+    ];
+    for (const [total, severity] of cases) {
+      const score = scoreAnswers(phq9, phqAnswers(total));
+      assert.equal(score.totalScore, total);
+      assert.equal(score.severity, severity, `PHQ-9 ${total}`);
+    }
+    assert.equal(scoreAnswers(phq9, Array(9).fill(3)).severity, 'severe');
+  });
+
+  it('bands GAD-7 totals at the published cut-offs', () => {
+    const cases = [
+      [[0, 0, 0, 0, 0, 0, 0], 'minimal'],
+      [[1, 1, 1, 1, 0, 0, 0], 'minimal'],
+      [[1, 1, 1, 1, 1, 0, 0], 'mild'],
+      [[3, 3, 3, 0, 0, 0, 0], 'mild'],
+      [[3, 3, 3, 1, 0, 0, 0], 'moderate'],
+      [[3, 3, 3, 3, 2, 0, 0], 'moderate'],
+      [[3, 3, 3, 3, 3, 0, 0], 'severe'],
+      [[3, 3, 3, 3, 3, 3, 3], 'severe'],
+    ];
+    for (const [answers, severity] of cases) {
+      assert.equal(scoreAnswers(gad7, answers).severity, severity, answers.join(','));
+    }
+  });
+
+  it('flags any PHQ-9 item 9 answer above "Not at all" as high risk', () => {
+    assert.deepEqual(scoreAnswers(phq9, phqAnswers(3)).riskFlags, []);
+    for (const value of [1, 2, 3]) {
+      assert.deepEqual(scoreAnswers(phq9, phqAnswers(value, value)).riskFlags, [
+        { item: 9, value, flag: 'high-risk' },
+      ]);
+    }
+  });
+
+  it('raises no risk flags for GAD-7', () => {
+    assert.deepEqual(scoreAnswers(gad7, [3, 3, 3, 3, 3, 3, 3]).riskFlags, []);
+  });
+});
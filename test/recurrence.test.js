@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_OCCURRENCES, validateRecurrence, expandRecurrence } from '../utils/recurrence.js';
+
+const iso = (dates) => dates.map((date) => date.toISOString());
+
+describe('validateRecurrence', () => {
+  it('accepts a count or an end date', () => {
+    assert.deepEqual(validateRecurrence({ frequency: 'weekly', count: 10 }), []);
+    assert.deepEqual(validateRecurrence({ frequency: 'monthly', until: '2027-01-01' }), []);
+  });
+
+  it('lists every problem', () => {
+    assert.deepEqual(validateRecurrence({ frequency: 'daily' }), [
+      'frequency must be one of weekly, biweekly, monthly',
+      'Either count or until is required',
+    ]);
+    assert.deepEqual(validateRecurrence({ frequency: 'weekly', count: 0, until: 'soon' }), [
+      `count must be between 1 and ${MAX_OCCURRENCES}`,
+      'until must be a valid date',
+    ]);
+  });
+
+  it(`caps count at ${MAX_OCCURRENCES}`, () => {
+    assert.equal(validateRecurrence({ frequency: 'weekly', count: MAX_OCCURRENCES }).length, 0);
+    assert.equal(validateRecurrence({ frequency: 'weekly', count: MAX_OCCURRENCES + 1 }).length, 1);
+    assert.equal(validateRecurrence({ frequency: 'weekly', count: 2.5 }).length, 1);
+  });
+});
+
+describe('expandRecurrence', () => {
+  it('repeats weekly and biweekly from the first session', () => {
+    const start = new Date('2026-10-19T07:00:00Z'); // Monday 10:00 in Nairobi
+    assert.deepEqual(
+      iso(expandRecurrence({ start, frequency: 'weekly', count: 3, timeZone: 'Africa/Nairobi' })),
+      ['2026-10-19T07:00:00.000Z', '2026-10-26T07:00:00.000Z', '2026-11-02T07:00:00.000Z']
+    );
+    assert.deepEqual(
+      iso(expandRecurrence({ start, frequency: 'biweekly', count: 2, timeZone: 'Africa/Nairobi' })),
+      ['2026-10-19T07:00:00.000Z', '2026-11-02T07:00:00.000Z']
+    );
+  });
+
+  it('keeps the local time across a daylight saving change', () => {
+    // Friday 10:00 in London, two days before the clocks go back on 25 October
+    const start = new Date('2026-10-23T09:00:00Z');
+    assert.deepEqual(
+      iso(expandRecurrence({ start, frequency: 'weekly', count: 2, timeZone: 'Europe/London' })),
+      ['2026-10-23T09:00:00.000Z', '2026-10-30T10:00:00.000Z']
+    );
+  });
+
+  it('skips months without that day', () => {
+    const start = new Date('2027-01-31T07:00:00Z');
+    assert.deepEqual(
+      iso(expandRecurrence({ start, frequency: 'monthly', count: 3, timeZone: 'Africa/Nairobi' })),
+      ['2027-01-31T07:00:00.000Z', '2027-03-31T07:00:00.000Z', '2027-05-31T07:00:00.000Z']
+    );
+  });
+
+  it('stops after until, which is inclusive', () => {
+    const start = new Date('2026-10-19T07:00:00Z');
+    const occurrences = expandRecurrence({
+      start,
+      frequency: 'weekly',
+      until: '2026-11-02T07:00:00Z',
+      timeZone: 'Africa/Nairobi',
+    });
+    assert.equal(occurrences.length, 3);
+  });
+
+  it('stops at whichever of count and until comes first', () => {
+    const start = new Date('2026-10-19T07:00:00Z');
+    const occurrences = expandRecurrence({
+      start,
+      frequency: 'weekly',
+      count: 2,
+      until: '2027-01-01',
+      timeZone: 'Africa/Nairobi',
+    });
+    assert.equal(occurrences.length, 2);
+  });
+
+  it(`never returns more than ${MAX_OCCURRENCES} occurrences`, () => {
+    const occurrences = expandRecurrence({
+      start: new Date('2026-10-19T07:00:00Z'),
+      frequency: 'weekly',
+      until: '2099-01-01',
+      timeZone: 'Africa/Nairobi',
+    });
+    assert.equal(occurrences.length, MAX_OCCURRENCES);
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SYSTEM_ACTOR } from '../utils/actors.js';
+import {
+  SESSION_STATUSES,
+  allowedTransitions,
+  applyStatusTransition,
+  recordInitialStatus,
+} from '../utils/sessionLifecycle.js';
+
+const HOUR = 60 * 60 * 1000;
+const admin = { _id: 'a1', name: 'Ann Admin', role: 'admin' };
+const professional = { _id: 'p1', name: 'Tom Therapist', role: 'professional' };
+const superAdmin = { _id: 's1', name: 'Sue Super', role: 'super_admin' };
+
+const fakeRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+});
+
+// A plain stand-in for a Session document
+const makeSession = (status, startOffset = -HOUR) => ({
+  status,
+  datetime: new Date(Date.now() + startOffset),
+  statusHistory: [],
+});
+
+const transition = (session, to, { user = admin, impersonator, reason, actor } = {}) => {
+  const res = fakeRes();
+  try {
+    return { changed: applyStatusTransition({ user, impersonator }, res, session, to, { reason, actor }), res };
+  } catch (error) {
+    return { error, res };
+  }
+};
+
+describe('transition table', () => {
+  it('lists the allowed moves from each status', () => {
+    assert.deepEqual(allowedTransitions('upcoming').sort(), [
+      'cancelled',
+      'completed',
+      'missed',
+      'pending_attendance',
+      'rescheduled',
+    ]);
+    assert.deepEqual(allowedTransitions('pending_attendance').sort(), [
+      'cancelled',
+      'completed',
+      'missed',
+      'rescheduled',
+    ]);
+    assert.deepEqual(allowedTransitions('completed'), ['missed']);
+    assert.deepEqual(allowedTransitions('missed'), ['completed']);
+    assert.deepEqual(allowedTransitions('unknown'), []);
+  });
+
+  it('makes cancelled and rescheduled final', () => {
+    for (const status of ['cancelled', 'rescheduled']) {
+      assert.deepEqual(allowedTransitions(status), []);
+      for (const to of SESSION_STATUSES.filter((s) => s !== status)) {
+        const { error, res } = transition(makeSession(status), to, { reason: 'because' });
+        assert.ok(error, `${status} -> ${to}`);
+        assert.equal(res.statusCode, 422);
+      }
+    }
+  });
+});
+
+describe('applyStatusTransition', () => {
+  it('changes the status and records who, when and why', () => {
+    const session = makeSession('upcoming', HOUR);
+    const { changed } = transition(session, 'cancelled', { reason: '  Patient unwell ' });
+    assert.equal(changed, true);
+    assert.equal(session.status, 'cancelled');
+    assert.equal(session.statusHistory.length, 1);
+    const [entry] = session.statusHistory;
+    assert.equal(entry.from, 'upcoming');
+    assert.equal(entry.to, 'cancelled');
+    assert.equal(entry.reason, 'Patient unwell');
+    assert.equal(entry.actor.id, 'a1');
+    assert.equal(entry.actor.name, 'Ann Admin');
+    assert.equal(entry.actor.role, 'admin');
+    assert.ok(entry.at instanceof Date);
+  });
+
+  it('is a no-op when the status does not change', () => {
+    const session = makeSession('upcoming');
+    assert.equal(transition(session, 'upcoming').changed, false);
+    assert.equal(session.statusHistory.length, 0);
+  });
+
+  it('rejects unknown statuses and illegal moves with the allowed list', () => {
+    const { error, res } = transition(makeSession('upcoming'), 'archived');
+    assert.equal(res.statusCode, 422);
+    assert.equal(error.details.from, 'upcoming');
+    assert.ok(error.details.allowed.includes('completed'));
+  });
+
+  it('requires a reason to cancel or reschedule', () => {
+    for (const to of ['cancelled', 'rescheduled']) {
+      for (const reason of [undefined, '', '   ']) {
+        const { error, res } = transition(makeSession('upcoming', HOUR), to, { reason });
+        assert.match(error.message, /reason is required/);
+        assert.equal(res.statusCode, 422);
+      }
+    }
+  });
+
+  it('rejects a reason that is not a string with a 400', () => {
+    for (const reason of [5, { text: 'x' }, ['x']]) {
+      const { error, res } = transition(makeSession('upcoming', HOUR), 'cancelled', { reason });
+      assert.equal(error.message, 'reason must be a string');
+      assert.equal(res.statusCode, 400);
+    }
+  });
+
+  it('only marks attendance once the session has started', () => {
+    const early = transition(makeSession('upcoming', HOUR), 'completed');
+    assert.match(early.error.message, /before it starts/);
+    assert.equal(transition(makeSession('upcoming', -HOUR), 'completed').changed, true);
+  });
+
+  it('leaves pending_attendance to the attendance job', () => {
+    assert.equal(transition(makeSession('upcoming'), 'pending_attendance').res.statusCode, 422);
+    const session = makeSession('upcoming');
+    const { changed } = transition(session, 'pending_attendance', { actor: SYSTEM_ACTOR });
+    assert.equal(changed, true);
+    assert.equal(session.statusHistory[0].actor.id, 'system');
+  });
+
+  it('limits attendance corrections to admins, with a reason', () => {
+    assert.equal(
+      transition(makeSession('completed'), 'missed', { user: professional, reason: 'No-show' }).res.statusCode,
+      422
+    );
+    assert.equal(transition(makeSession('completed'), 'missed').res.statusCode, 422);
+    assert.equal(transition(makeSession('missed'), 'completed', { reason: 'Late arrival' }).changed, true);
+  });
+
+  it('checks roles against the impersonated account but records the impersonator', () => {
+    const blocked = transition(makeSession('completed'), 'missed', {
+      user: professional,
+      impersonator: superAdmin,
+      reason: 'No-show',
+    });
+    assert.equal(blocked.res.statusCode, 422);
+
+    const session = makeSession('upcoming', HOUR);
+    transition(session, 'cancelled', { user: professional, impersonator: superAdmin, reason: 'Ill' });
+    assert.equal(session.statusHistory[0].actor.id, 's1');
+  });
+});
+
+describe('recordInitialStatus', () => {
+  it('starts the history with the status the session was created with', () => {
+    const session = makeSession('upcoming', HOUR);
+    recordInitialStatus({ user: admin }, session);
+    assert.equal(session.statusHistory[0].from, null);
+    assert.equal(session.statusHistory[0].to, 'upcoming');
+    assert.equal(session.statusHistory[0].actor.id, 'a1');
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeAvailability } from '../utils/availability.js';
+import { MAX_RANGE_DAYS, parseSlotQuery, computeSlots } from '../utils/slots.js';
+
+const NAIROBI = 'Africa/Nairobi'; // UTC+3
+const now = new Date('2026-10-19T05:00:00Z'); // Monday 08:00 in Nairobi
+
+describe('parseSlotQuery', () => {
+  it('defaults to the next seven days', () => {
+    const { range } = parseSlotQuery({}, now);
+    assert.equal(range.from.getTime(), now.getTime());
+    assert.equal(range.to - range.from, 7 * 24 * 60 * 60 * 1000);
+    assert.ok(Number.isInteger(range.duration) && Number.isInteger(range.step));
+  });
+
+  it('never starts in the past', () => {
+    const { range } = parseSlotQuery({ from: '2026-10-10', to: '2026-10-20' }, now);
+    assert.equal(range.from.getTime(), now.getTime());
+  });
+
+  it('reports bad input for a 400', () => {
+    assert.deepEqual(parseSlotQuery({ from: 'soon' }, now), { error: 'from and to must be valid dates' });
+    assert.deepEqual(parseSlotQuery({ from: '2026-10-20', to: '2026-10-19' }, now), {
+      error: 'to must be after from',
+    });
+    assert.deepEqual(parseSlotQuery({ from: '2026-10-20', to: '2027-10-20' }, now), {
+      error: `The range can span at most ${MAX_RANGE_DAYS} days`,
+    });
+    assert.match(parseSlotQuery({ duration: '2' }, now).error, /^duration/);
+    assert.match(parseSlotQuery({ duration: '45.5' }, now).error, /^duration/);
+    assert.match(parseSlotQuery({ step: '1' }, now).error, /^step/);
+  });
+});
+
+describe('computeSlots', () => {
+  const availability = normalizeAvailability({ monday: ['09:00-11:00'] }, NAIROBI);
+  const range = {
+    from: now,
+    to: new Date('2026-10-20T05:00:00Z'),
+    duration: 50,
+    step: 30,
+  };
+  const localStarts = (slots) => slots.map((slot) => slot.localStart);
+
+  it('lays slots on the step grid inside each window', () => {
+    const slots = computeSlots({ availability, ...range, buffer: 0 });
+    assert.deepEqual(localStarts(slots), ['09:00', '09:30', '10:00']);
+    assert.equal(slots[0].start.toISOString(), '2026-10-19T06:00:00.000Z');
+    assert.equal(slots[0].end.toISOString(), '2026-10-19T06:50:00.000Z');
+    assert.equal(slots[0].localDate, '2026-10-19');
+    assert.equal(slots[2].localEnd, '10:50');
+  });
+
+  it('drops slots that clash with a booked session', () => {
+    const busy = [{ datetime: '2026-10-19T06:30:00Z', duration: 30 }]; // 09:30-10:00
+    assert.deepEqual(localStarts(computeSlots({ availability, busy, ...range, buffer: 0 })), ['10:00']);
+    const shortRange = { ...range, duration: 30 };
+    assert.deepEqual(
+      localStarts(computeSlots({ availability, busy, ...shortRange, buffer: 0 })),
+      ['09:00', '10:00', '10:30']
+    );
+  });
+
+  it('keeps the buffer free around booked sessions', () => {
+    const busy = [{ datetime: '2026-10-19T06:30:00Z', duration: 30 }]; // 09:30-10:00
+    const shortRange = { ...range, duration: 30 };
+    assert.deepEqual(
+      localStarts(computeSlots({ availability, busy, ...shortRange, buffer: 10 })),
+      ['10:30']
+    );
+  });
+
+  it('only returns slots inside the range', () => {
+    const slots = computeSlots({
+      availability,
+      ...range,
+      from: new Date('2026-10-19T06:15:00Z'), // 09:15
+      buffer: 0,
+    });
+    assert.deepEqual(localStarts(slots), ['09:30', '10:00']);
+  });
+
+  it('has no slots without availability', () => {
+    assert.deepEqual(computeSlots({ availability: normalizeAvailability({}, NAIROBI), ...range }), []);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+} from '../utils/totp.js';
+
+// RFC 6238 appendix B, SHA-1: the ASCII seed "12345678901234567890" in base32.
+// The RFC lists 8-digit codes; ours are their last 6 digits.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130'],
+];
+
+const stepAt = (seconds) => Math.floor(seconds / 30);
+
+describe('generateTotp', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    it(`matches the RFC 6238 vector at T=${seconds}`, () => {
+      assert.equal(generateTotp(RFC_SECRET, stepAt(seconds)), code);
+    });
+  }
+
+  it('accepts lower-case and padded secrets', () => {
+    assert.equal(generateTotp(`${RFC_SECRET.toLowerCase()}====`, stepAt(59)), '287082');
+  });
+
+  it('rejects secrets that are not base32', () => {
+    assert.throws(() => generateTotp('not-base32!', 1), /Invalid base32 secret/);
+  });
+});
+
+describe('verifyTotp', () => {
+  const time = 1111111111 * 1000;
+
+  it('returns the matched step for the current code', () => {
+    assert.equal(verifyTotp(RFC_SECRET, '050471', { time }), stepAt(1111111111));
+  });
+
+  it('ignores spaces in the code', () => {
+    assert.equal(verifyTotp(RFC_SECRET, '050 471', { time }), stepAt(1111111111));
+  });
+
+  it('allows one step of drift either side by default', () => {
+    const step = stepAt(1111111111);
+    const previous = generateTotp(RFC_SECRET, step - 1);
+    const next = generateTotp(RFC_SECRET, step + 1);
+    assert.equal(verifyTotp(RFC_SECRET, previous, { time }), step - 1);
+    assert.equal(verifyTotp(RFC_SECRET, next, { time }), step + 1);
+    assert.equal(verifyTotp(RFC_SECRET, previous, { time, window: 0 }), null);
+  });
+
+  it('rejects codes outside the window', () => {
+    const stale = generateTotp(RFC_SECRET, stepAt(1111111111) - 2);
+    assert.equal(verifyTotp(RFC_SECRET, stale, { time }), null);
+  });
+
+  it('rejects malformed codes', () => {
+    for (const code of ['', '12345', '1234567', 'abcdef', null, undefined]) {
+      assert.equal(verifyTotp(RFC_SECRET, code, { time }), null);
+    }
+  });
+});
+
+describe('generateTotpSecret', () => {
+  it('makes a 160-bit base32 secret that generates codes', () => {
+    const secret = generateTotpSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.match(generateTotp(secret, 1), /^\d{6}$/);
+    assert.notEqual(generateTotpSecret(), secret);
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('encodes the label and the authenticator parameters', () => {
+    const uri = new URL(
+      buildOtpauthUri({ secret: RFC_SECRET, accountName: 'ann@example.com', issuer: 'MentaCare' })
+    );
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.host, 'totp');
+    assert.equal(decodeURIComponent(uri.pathname), '/MentaCare:ann@example.com');
+    assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+    assert.equal(uri.searchParams.get('issuer'), 'MentaCare');
+    assert.equal(uri.searchParams.get('digits'), '6');
+    assert.equal(uri.searchParams.get('period'), '30');
+  });
+});
@@ -0,0 +1,19 @@
+// Who made a change, as stored on records (statusHistory, notes, flags,
+// files, plans) and in the audit log. Callers pass
+// `req.impersonator || req.user`, so changes made while impersonating name the
+// super_admin.
+
+// Actor for changes made by scheduled jobs rather than a person
+const SYSTEM_ACTOR = { _id: 'system', name: 'system', role: 'system' };
+
+const describeActor = (user) => {
+  const actor = user || SYSTEM_ACTOR;
+  return {
+    id: String(actor._id ?? actor.id ?? ''),
+    name: actor.name,
+    email: actor.email,
+    role: actor.role,
+  };
+};
+
+export { SYSTEM_ACTOR, describeActor };
@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import AuditLog from '../models/AuditLog.js';
+import { describeActor } from './actors.js';
+import { getClientIp } from './requestInfo.js';
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_DIFF_DEPTH = 3;
+const SENSITIVE_KEY = /password|secret|token|recoverycodes/i;
+
+// JSON with sorted keys, so the same entry always hashes the same way
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// Plain JSON copy: ObjectIds, Dates and Firestore values become strings
+const toPlain = (value) =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+const maskSecrets = (node) => {
+  if (Array.isArray(node)) return node.map(maskSecrets);
+  if (node && typeof node === 'object') {
+    return Object.fromEntries(
+      Object.entries(node).map(([key, child]) => [
+        key,
+        SENSITIVE_KEY.test(key) ? '[REDACTED]' : maskSecrets(child),
+      ])
+    );
+  }
+  return node;
+};
+
+// Secrets are diffed (so a password change is still recorded) but never stored
+const maskChange = (change) =>
+  change.path.split('.').some((segment) => SENSITIVE_KEY.test(segment))
+    ? {
+        path: change.path,
+        before: change.before === null ? null : '[REDACTED]',
+        after: change.after === null ? null : '[REDACTED]',
+      }
+    : { ...change, before: maskSecrets(change.before), after: maskSecrets(change.after) };
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Field-level differences between two snapshots: [{ path, before, after }]
+const diffObjects = (before, after, prefix = '', depth = 0) => {
+  const comparableObjects =
+    (isPlainObject(before) || before == null) &&
+    (isPlainObject(after) || after == null) &&
+    (isPlainObject(before) || isPlainObject(after));
+
+  if (depth < MAX_DIFF_DEPTH && comparableObjects) {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...keys]
+      .filter((key) => !['updatedAt', 'updated_at', '__v'].includes(key))
+      .flatMap((key) =>
+        diffObjects(
+          before?.[key],
+          after?.[key],
+          prefix ? `${prefix}.${key}` : key,
+          depth + 1
+        )
+      );
+  }
+
+  if (stableStringify(before) === stableStringify(after)) return [];
+  return [{ path: prefix || '(root)', before: before ?? null, after: after ?? null }];
+};
+
+// Hashes the entry as it will read back from MongoDB: the JSON round trip drops
+// undefined fields, which are not stored either
+const hashEntry = (entry) => {
+  const content = JSON.parse(
+    JSON.stringify({
+      seq: entry.seq,
+      actor: entry.actor,
+      onBehalfOf: entry.onBehalfOf,
+      action: entry.action,
+      target: entry.target,
+      changes: entry.changes,
+      metadata: entry.metadata,
+      ip: entry.ip,
+      userAgent: entry.userAgent,
+      createdAt: new Date(entry.createdAt).toISOString(),
+    })
+  );
+  return crypto
+    .createHash('sha256')
+    .update(entry.prevHash + stableStringify(content))
+    .digest('hex');
+};
+
+// Appends are serialised in-process; the unique seq index catches races with
+// other server instances, in which case the append is retried
+let appendQueue = Promise.resolve();
+
+const appendEntry = async (fields, attempt = 0) => {
+  const last = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash').lean();
+  const entry = {
+    ...fields,
+    seq: (last?.seq || 0) + 1,
+    prevHash: last?.hash || GENESIS_HASH,
+  };
+  entry.hash = hashEntry(entry);
+
+  try {
+    return await AuditLog.create(entry);
+  } catch (error) {
+    if (error.code === 11000 && attempt < 5) {
+      return appendEntry(fields, attempt + 1);
+    }
+    throw error;
+  }
+};
+
+// Record one mutation. `before`/`after` are snapshots of the target and are
+// stored as a field-level diff. Pass `actor` when there is no req.user (e.g.
+// public password reset). While impersonating, the impersonator is the actor
+// and the impersonated account is stored as `onBehalfOf`. Never throws: a failed audit write is logged and
+// must not turn a completed change into an error response.
+const recordAudit = (
+  req,
+  { action, targetType, targetId, before, after, metadata, actor }
+) => {
+  const fields = {
+    actor: describeActor(actor || req?.impersonator || req?.user),
+    onBehalfOf: !actor && req?.impersonator ? describeActor(req.user) : undefined,
+    action,
+    target: { collection: targetType, id: targetId ? String(targetId) : undefined },
+    changes: diffObjects(toPlain(before), toPlain(after)).map(maskChange),
+    metadata: maskSecrets(toPlain(metadata)),
+    ip: req ? getClientIp(req) : undefined,
+    userAgent: req?.get?.('user-agent'),
+    createdAt: new Date(),
+  };
+
+  appendQueue = appendQueue
+    .then(() => appendEntry(fields))
+    .catch((error) => {
+      console.error(`Failed to write audit entry for ${action}:`, error);
+    });
+  return appendQueue;
+};
+
+// Recompute the chain in seq order. Returns the first broken entry, if any.
+const verifyAuditChain = async () => {
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+  let checked = 0;
+
+  const cursor = AuditLog.find().sort({ seq: 1 }).lean().cursor();
+  for await (const entry of cursor) {
+    if (entry.seq !== expectedSeq) {
+      return { valid: false, checked, brokenAt: expectedSeq, reason: 'Missing entry' };
+    }
+    if (entry.prevHash !== prevHash) {
+      return { valid: false, checked, brokenAt: entry.seq, reason: 'Previous hash mismatch' };
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      return { valid: false, checked, brokenAt: entry.seq, reason: 'Entry has been modified' };
+    }
+    prevHash = entry.hash;
+    expectedSeq += 1;
+    checked += 1;
+  }
+
+  return { valid: true, checked };
+};
+
+export { recordAudit, verifyAuditChain };
@@ -0,0 +1,173 @@
+// Therapist working hours. The `availability` map on a therapist's Firestore
+// profile has been written by several app versions, so it is normalised here
+// into { timeZone, days: { monday: [{ start, end }], ... } } with times as
+// minutes since local midnight. Accepted day values:
+//   { monday: [{ start: '09:00', end: '12:00' }, ...] }
+//   { monday: { start: '09:00', end: '17:00' } } or { startTime, endTime }
+//   { monday: { available: true, slots: [...] } } ({ enabled } works too)
+//   { monday: ['09:00-12:00', '13:00-17:00'] }
+//   [{ day: 'monday', start: '09:00', end: '17:00' }, ...]
+// Day keys are case-insensitive and may be abbreviated ("Mon").
+
+const DEFAULT_TIMEZONE = process.env.CLINIC_TIMEZONE || 'Africa/Nairobi';
+
+const WEEKDAYS = [
+  'sunday',
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+];
+
+const toWeekday = (key) =>
+  WEEKDAYS.find((day) => day.startsWith(String(key).trim().toLowerCase().slice(0, 3))) ||
+  null;
+
+// "09:00", "9:30", "17:00:00" or a number of minutes -> minutes since midnight
+const parseTime = (value) => {
+  if (typeof value === 'number' && value >= 0 && value <= 24 * 60) return value;
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+};
+
+const parseWindow = (window) => {
+  if (typeof window === 'string') {
+    const [start, end] = window.split('-');
+    return parseWindow({ start, end });
+  }
+  if (!window || typeof window !== 'object') return null;
+  const start = parseTime(window.start ?? window.startTime ?? window.from);
+  const end = parseTime(window.end ?? window.endTime ?? window.to);
+  return start !== null && end !== null && end > start ? { start, end } : null;
+};
+
+const parseDay = (value) => {
+  if (Array.isArray(value)) return value.map(parseWindow).filter(Boolean);
+  if (!value || typeof value !== 'object') return [];
+  if (value.available === false || value.enabled === false) return [];
+  if (Array.isArray(value.slots)) return parseDay(value.slots);
+  const window = parseWindow(value);
+  return window ? [window] : [];
+};
+
+// Sort and merge overlapping or touching windows
+const mergeWindows = (windows) =>
+  [...windows]
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, window) => {
+      const last = merged[merged.length - 1];
+      if (last && window.start <= last.end) {
+        last.end = Math.max(last.end, window.end);
+      } else {
+        merged.push({ ...window });
+      }
+      return merged;
+    }, []);
+
+const normalizeAvailability = (availability, timeZone) => {
+  const days = Object.fromEntries(WEEKDAYS.map((day) => [day, []]));
+
+  const entries = Array.isArray(availability)
+    ? availability.map((entry) => [entry?.day, entry])
+    : Object.entries(availability || {});
+
+  for (const [key, value] of entries) {
+    const weekday = key ? toWeekday(key) : null;
+    if (weekday) days[weekday].push(...parseDay(value));
+  }
+  for (const day of WEEKDAYS) {
+    days[day] = mergeWindows(days[day]);
+  }
+
+  return {
+    timeZone: timeZone || availability?.timezone || availability?.timeZone || DEFAULT_TIMEZONE,
+    days,
+  };
+};
+
+// Therapists who never filled in their hours are treated as always available
+const hasAvailability = (normalized) =>
+  WEEKDAYS.some((day) => normalized.days[day].length > 0);
+
+// Weekday, calendar date and minutes since midnight of `date` in `timeZone`
+const getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'long',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(new Date(date))
+      .map(({ type, value }) => [type, value])
+  );
+  return {
+    weekday: parts.weekday.toLowerCase(),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+// UTC instant of a local wall-clock time: `date` is "YYYY-MM-DD", `minutes`
+// since local midnight. Resolves the zone offset twice so DST edges settle.
+const zonedTimeToUtc = (date, minutes, timeZone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const offsetAt = (instant) => {
+    const parts = getZonedParts(instant, timeZone);
+    const [y, m, d] = parts.date.split('-').map(Number);
+    return Date.UTC(y, m - 1, d, 0, parts.minutes) - Math.floor(instant / 60000) * 60000;
+  };
+  let utc = wallClock - offsetAt(wallClock);
+  utc = wallClock - offsetAt(utc);
+  return new Date(utc);
+};
+
+// True if [start, start + duration) lies inside one availability window of
+// the local day. Sessions may not run past local midnight.
+const isWithinAvailability = (normalized, start, durationMinutes) => {
+  if (!hasAvailability(normalized)) return true;
+  const { weekday, minutes } = getZonedParts(start, normalized.timeZone);
+  const end = minutes + durationMinutes;
+  return normalized.days[weekday].some(
+    (window) => window.start <= minutes && end <= window.end
+  );
+};
+
+const formatTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Readable windows for error details: { monday: ['09:00-17:00'], ... }
+const describeAvailability = (normalized) =>
+  Object.fromEntries(
+    WEEKDAYS.filter((day) => normalized.days[day].length > 0).map((day) => [
+      day,
+      normalized.days[day].map((w) => `${formatTime(w.start)}-${formatTime(w.end)}`),
+    ])
+  );
+
+// "Monday, 19 October 2026 at 09:30" in the given zone, for messages
+const formatLocalDateTime = (date, timeZone = DEFAULT_TIMEZONE) =>
+  new Intl.DateTimeFormat('en-GB', { dateStyle: 'full', timeStyle: 'short', timeZone }).format(date);
+
+export {
+  DEFAULT_TIMEZONE,
+  WEEKDAYS,
+  parseTime,
+  formatTime,
+  normalizeAvailability,
+  hasAvailability,
+  getZonedParts,
+  zonedTimeToUtc,
+  isWithinAvailability,
+  describeAvailability,
+  formatLocalDateTime,
+};
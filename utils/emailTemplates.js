@@ -0,0 +1,83 @@
+// Plain-text bodies for transactional emails sent through utils/mailer.js
+
+const clientUrl = (pathname, params) => {
+  const base = process.env.CLIENT_URL || 'http://localhost:5173';
+  return `${base.replace(/\/$/, '')}${pathname}?${new URLSearchParams(params)}`;
+};
+
+const adminInvitationEmail = ({ name, invitedBy, token, expiresAt }) => ({
+  subject: 'You have been invited to the MentaCare admin dashboard',
+  text: [
+    `Hi ${name},`,
+    '',
+    `${invitedBy} has invited you to the MentaCare admin dashboard.`,
+    'Set your password to activate your account:',
+    '',
+    clientUrl('/accept-invite', { token }),
+    '',
+    `This link can be used once and expires on ${expiresAt.toUTCString()}.`,
+  ].join('\n'),
+});
+
+const passwordResetEmail = ({ name, token, expiresAt }) => ({
+  subject: 'Reset your MentaCare password',
+  text: [
+    `Hi ${name},`,
+    '',
+    'We received a request to reset your MentaCare admin password.',
+    'Choose a new password here:',
+    '',
+    clientUrl('/reset-password', { token }),
+    '',
+    `This link can be used once and expires on ${expiresAt.toUTCString()}.`,
+    'If you did not ask for this, you can ignore this email.',
+  ].join('\n'),
+});
+
+// `when` is the session time already formatted in the therapist's time zone
+// How to attend, by session mode; `joinUrl` is the video link, if any
+const attendanceNote = ({ mode, joinUrl }) => {
+  if (mode === 'video') return joinUrl ? `Join the video call: ${joinUrl}` : 'This is a video session.';
+  if (mode === 'phone') return 'Your therapist will call you.';
+  return null;
+};
+
+const sessionReminderEmail = ({ name, therapistName, when, duration, mode, joinUrl }) => ({
+  subject: `Reminder: your MentaCare session on ${when}`,
+  text: [
+    `Hi ${name},`,
+    '',
+    `This is a reminder of your ${duration}-minute session with ${therapistName} on ${when}.`,
+    attendanceNote({ mode, joinUrl }),
+    'If you can no longer attend, please let your therapist know as soon as possible.',
+  ]
+    .filter((line) => line !== null)
+    .join('\n'),
+});
+
+const sessionReminderSms = ({ therapistName, when, mode, joinUrl }) =>
+  [`MentaCare reminder: your session with ${therapistName} is on ${when}.`, attendanceNote({ mode, joinUrl })]
+    .filter(Boolean)
+    .join(' ');
+
+// `sessions` are [{ label, when }]: the patient or group, and the formatted time
+const attendanceBacklogEmail = ({ name, sessions, graceHours }) => ({
+  subject: `Please mark attendance for ${sessions.length} MentaCare session${sessions.length === 1 ? '' : 's'}`,
+  text: [
+    `Hi ${name},`,
+    '',
+    'Attendance has not been recorded for these sessions:',
+    '',
+    ...sessions.map((session) => `- ${session.when}: ${session.label}`),
+    '',
+    `Sessions still unmarked ${graceHours} hours after this email are recorded as missed.`,
+  ].join('\n'),
+});
+
+export {
+  adminInvitationEmail,
+  passwordResetEmail,
+  sessionReminderEmail,
+  sessionReminderSms,
+  attendanceBacklogEmail,
+};
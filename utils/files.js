@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+
+// Upload rules shared by patient documents and session attachments. Only the
+// types below are accepted, and the first bytes of the file have to agree
+// with the type the client declared, so a renamed executable is not stored as
+// a "PDF".
+
+const FILE_MAX_MB = Number(process.env.FILE_MAX_MB) || 10;
+const FILE_MAX_BYTES = FILE_MAX_MB * 1024 * 1024;
+// How long download links stay valid
+const FILE_URL_EXPIRES_SECONDS = Number(process.env.FILE_URL_EXPIRES_SECONDS) || 300;
+
+const startsWith = (bytes) => (buffer) =>
+  buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte);
+
+const isPdf = startsWith([0x25, 0x50, 0x44, 0x46, 0x2d]); // %PDF-
+const isZip = startsWith([0x50, 0x4b, 0x03, 0x04]); // .docx/.xlsx are zip files
+const isOle = startsWith([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]); // .doc
+const isText = (buffer) => !buffer.includes(0x00);
+
+// MIME type -> content check
+const ALLOWED_TYPES = {
+  'application/pdf': isPdf,
+  'image/jpeg': startsWith([0xff, 0xd8, 0xff]),
+  'image/png': startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  'application/msword': isOle,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': isZip,
+  'text/plain': isText,
+};
+
+// Problem with an uploaded (multer) file, or null when it can be stored
+const checkUploadedFile = (file) => {
+  if (!file) return 'No file uploaded (use the multipart field "file")';
+  if (file.size === 0) return 'The file is empty';
+  if (file.size > FILE_MAX_BYTES) return `Files can be at most ${FILE_MAX_MB} MB`;
+
+  const matches = ALLOWED_TYPES[file.mimetype];
+  if (!matches) return `Files of type ${file.mimetype} are not accepted`;
+  if (!matches(file.buffer)) return `The file content is not ${file.mimetype}`;
+  return null;
+};
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+export {
+  FILE_MAX_MB,
+  FILE_MAX_BYTES,
+  FILE_URL_EXPIRES_SECONDS,
+  ALLOWED_TYPES,
+  checkUploadedFile,
+  sha256,
+};
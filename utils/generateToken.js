@@ -1,18 +1,83 @@
 import jwt from "jsonwebtoken"
+import crypto from "crypto"
 import dotenv from "dotenv"
+import { FILE_URL_EXPIRES_SECONDS } from "./files.js"
 
 dotenv.config()
 
-const generateToken = (id, role) => {
-  return jwt.sign({ id, role }, process.env.JWT_SECRET, {
+// `sid` is the refresh token family (login session) the access token belongs to
+const generateToken = (id, role, sid) => {
+  return jwt.sign({ id, role, sid }, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRES_IN,
   })
 }
 
-const generateRefreshToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_REFRESH_SECRET, {
+// `jti` keeps every rotated token unique, even when issued in the same second
+const generateRefreshToken = (id, familyId) => {
+  return jwt.sign({ id, fid: familyId, jti: crypto.randomUUID() }, process.env.JWT_REFRESH_SECRET, {
     expiresIn: process.env.JWT_REFRESH_EXPIRES_IN,
   })
 }
 
-export { generateToken, generateRefreshToken }
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+// Short-lived token proving the password step of a login succeeded.
+// `purpose` is "mfa" (a TOTP code is still needed) or "mfa_setup" (the admin
+// must enroll first because MFA is enforced). `protect` never accepts these.
+const generateMfaToken = (id, purpose = "mfa") => {
+  return jwt.sign({ id, purpose }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_MFA_EXPIRES_IN || "5m",
+  })
+}
+
+// Single-use invitation link token. The admin stores a hash of it and clears
+// that hash once the invitation is accepted.
+const generateInviteToken = (id) => {
+  return jwt.sign({ id, purpose: "invite", jti: crypto.randomUUID() }, process.env.JWT_SECRET, {
+    expiresIn: process.env.INVITE_EXPIRES_IN || "72h",
+  })
+}
+
+// "View as" token for a super_admin impersonating another admin or a
+// professional (`targetType`). It is only honoured alongside the
+// impersonator's own session, see middleware/authMiddleware.js.
+const generateImpersonationToken = (targetId, targetType, impersonatorId) => {
+  return jwt.sign(
+    { id: targetId, targetType, imp: impersonatorId, purpose: "impersonation" },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.IMPERSONATION_EXPIRES_IN || "15m" },
+  )
+}
+
+// Short-lived link to download one stored file (see controllers/fileController.js).
+// The link is the only credential, so it should not outlive a page view.
+const generateDownloadToken = (fileId) => {
+  return jwt.sign({ id: fileId, purpose: "download" }, process.env.JWT_SECRET, {
+    expiresIn: FILE_URL_EXPIRES_SECONDS,
+  })
+}
+
+// Returns the decoded payload, or null if the token is invalid, expired or
+// was issued for a different purpose
+const verifyPurposeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    return decoded.purpose === purpose ? decoded : null
+  } catch (error) {
+    return null
+  }
+}
+
+const verifyMfaToken = (token, purpose = "mfa") => verifyPurposeToken(token, purpose)
+
+export {
+  generateToken,
+  generateRefreshToken,
+  generateMfaToken,
+  verifyMfaToken,
+  generateInviteToken,
+  generateImpersonationToken,
+  generateDownloadToken,
+  verifyPurposeToken,
+  hashToken,
+}
@@ -0,0 +1,102 @@
+import { joinUrl } from './videoRooms.js';
+
+// Minimal RFC 5545 (iCalendar) writer for session exports and calendar feeds.
+// Events carry no patient details beyond initials, since feeds are fetched by
+// calendar apps over a URL that only a secret token protects.
+
+const PRODUCT_ID = '-//MentaCare//Sessions//EN';
+const UID_DOMAIN = process.env.ICS_UID_DOMAIN || 'mentacare';
+
+// TEXT values escape backslashes, semicolons, commas and newlines (3.3.11)
+const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded with CRLF + space (3.1)
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// 20261019T063000Z
+const formatDateTime = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const initialsOf = (name) =>
+  String(name || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((part) => `${part[0].toUpperCase()}.`)
+    .join('') || 'Patient';
+
+// Every booking in a reschedule chain shares the UID of the first one, so
+// calendar apps move the event instead of adding another
+const sessionUid = (session) =>
+  `session-${session.rescheduleRoot || session._id}@${UID_DOMAIN}`;
+
+// Where the session happens: the host join link for video sessions (calendars
+// are the therapist's), nothing for in-person ones
+const locationOf = (session) => {
+  if (session.mode === 'phone') return 'Phone call';
+  return joinUrl(session, 'host');
+};
+
+// `session` may have `patient` and `therapist` populated with full_name
+const sessionToEvent = (session, { now = new Date() } = {}) => {
+  const location = locationOf(session);
+  const start = new Date(session.datetime);
+  const end = new Date(start.getTime() + session.duration * 60 * 1000);
+  const summary =
+    session.type === 'group'
+      ? `Group session - ${session.title || `${session.participants?.length || 0} participants`}`
+      : `Therapy session - ${initialsOf(session.patient?.full_name)}`;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${sessionUid(session)}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SEQUENCE:${session.sequence || 0}`,
+    `SUMMARY:${escapeText(summary)}`,
+    session.therapist?.full_name && `DESCRIPTION:${escapeText(`Therapist: ${session.therapist.full_name}`)}`,
+    location && `LOCATION:${escapeText(location)}`,
+    session.mode === 'video' && location && `URL:${location}`,
+    `STATUS:${session.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    session.updatedAt && `LAST-MODIFIED:${formatDateTime(session.updatedAt)}`,
+    'END:VEVENT',
+  ].filter(Boolean);
+};
+
+const buildCalendar = (sessions, { name = 'MentaCare sessions' } = {}) => {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...sessions.flatMap((session) => sessionToEvent(session, { now })),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+export { escapeText, foldLine, formatDateTime, initialsOf, sessionUid, buildCalendar };
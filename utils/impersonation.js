@@ -0,0 +1,65 @@
+import jwt from 'jsonwebtoken';
+import { generateImpersonationToken } from './generateToken.js';
+import { recordAudit } from './audit.js';
+
+// Support "view as": a super_admin gets a short-lived impersonation cookie next
+// to their own session cookie. While it is present, `protect` resolves
+// req.user to the impersonated account and keeps the super_admin in
+// req.impersonator. Stopping (or expiry) simply drops the cookie.
+
+const IMPERSONATION_COOKIE = 'impersonation';
+
+// Never granted while impersonating, whatever the impersonated account holds
+const IMPERSONATION_BLOCKED_PERMISSIONS = [
+  'admins:write',
+  'admins:manage',
+  'settings:manage',
+  'audit:read',
+];
+
+const isBlockedWhileImpersonating = (permission) =>
+  permission === '*' ||
+  permission.endsWith(':delete') ||
+  IMPERSONATION_BLOCKED_PERMISSIONS.includes(permission);
+
+const impersonationCookieOptions = (maxAge) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV !== 'development',
+  sameSite: 'none',
+  maxAge,
+});
+
+const clearImpersonationCookie = (res) => {
+  res.cookie(IMPERSONATION_COOKIE, '', {
+    httpOnly: true,
+    expires: new Date(0),
+  });
+};
+
+// `targetType` is "admin" or "professional"; `target` is the account being
+// impersonated (an Admin document or a Firestore profile snapshot)
+const startImpersonation = async (req, res, { targetType, target, reason }) => {
+  const token = generateImpersonationToken(target.id, targetType, String(req.user._id));
+  const expiresAt = new Date(jwt.decode(token).exp * 1000);
+
+  res.cookie(
+    IMPERSONATION_COOKIE,
+    token,
+    impersonationCookieOptions(expiresAt.getTime() - Date.now())
+  );
+  await recordAudit(req, {
+    action: 'impersonation.start',
+    targetType: targetType === 'admin' ? 'admins' : 'therapists',
+    targetId: target.id,
+    metadata: { expiresAt, reason },
+  });
+
+  return expiresAt;
+};
+
+export {
+  IMPERSONATION_COOKIE,
+  isBlockedWhileImpersonating,
+  clearImpersonationCookie,
+  startImpersonation,
+};
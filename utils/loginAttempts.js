@@ -0,0 +1,68 @@
+// In-memory failed-login tracking for progressive delays and per-IP blocking.
+// Per-account lockout is persisted on the Admin document instead (lockedUntil),
+// so it survives restarts and applies across server instances.
+
+const failures = new Map();
+
+const IP_MAX_ATTEMPTS = Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+const WINDOW_MS = (Number(process.env.LOGIN_IP_WINDOW_MINUTES) || 15) * 60 * 1000;
+const DELAY_BASE_MS = Number(process.env.LOGIN_DELAY_BASE_MS) || 250;
+const DELAY_MAX_MS = Number(process.env.LOGIN_DELAY_MAX_MS) || 5000;
+
+const getEntry = (key) => {
+  const entry = failures.get(key);
+  if (entry && Date.now() - entry.firstFailureAt > WINDOW_MS) {
+    failures.delete(key);
+    return null;
+  }
+  return entry || null;
+};
+
+const countFailures = (key) => getEntry(key)?.count || 0;
+
+const recordFailure = (key) => {
+  const entry = getEntry(key) || { count: 0, firstFailureAt: Date.now() };
+  entry.count += 1;
+  failures.set(key, entry);
+};
+
+const ipKey = (ip) => `ip:${ip}`;
+const emailKey = (email) => `email:${String(email || '').toLowerCase()}`;
+
+// Delay grows with the failures already seen for this IP or email, whichever
+// is higher. Emails are tracked whether or not an account exists, so the
+// timing is the same for unknown and known addresses.
+const getLoginDelay = (ip, email) => {
+  const count = Math.max(
+    countFailures(ipKey(ip)),
+    email ? countFailures(emailKey(email)) : 0
+  );
+  if (count === 0) return 0;
+  return Math.min(DELAY_BASE_MS * 2 ** (count - 1), DELAY_MAX_MS);
+};
+
+// Milliseconds until the IP may try again, or 0 if it is not blocked
+const getIpBlockRemaining = (ip) => {
+  const entry = getEntry(ipKey(ip));
+  if (!entry || entry.count < IP_MAX_ATTEMPTS) return 0;
+  return Math.max(entry.firstFailureAt + WINDOW_MS - Date.now(), 0);
+};
+
+const recordLoginFailure = (ip, email) => {
+  recordFailure(ipKey(ip));
+  if (email) recordFailure(emailKey(email));
+};
+
+const clearLoginFailures = (ip, email) => {
+  failures.delete(ipKey(ip));
+  if (email) failures.delete(emailKey(email));
+};
+
+// Drop expired entries so the map cannot grow without bound
+setInterval(() => {
+  for (const key of failures.keys()) {
+    getEntry(key);
+  }
+}, WINDOW_MS).unref();
+
+export { getLoginDelay, getIpBlockRemaining, recordLoginFailure, clearLoginFailures };
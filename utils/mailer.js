@@ -0,0 +1,51 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Pluggable outgoing mail. Pick a transport with MAIL_TRANSPORT; `console`
+// (the default, refused in production) and `file` are built in for
+// development, and deployments can add their own (SMTP, an email API, ...)
+// with registerMailTransport().
+
+const transports = {
+  console: async (message) => {
+    console.log(
+      `📧 Mail to ${message.to}: ${message.subject}\n${message.text}\n`
+    );
+  },
+  file: async (message) => {
+    const filePath = process.env.MAIL_FILE_PATH || 'logs/mail.log';
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(
+      filePath,
+      `${JSON.stringify({ ...message, sentAt: new Date().toISOString() })}\n`
+    );
+  },
+};
+
+// `send` receives { from, to, subject, text, html } and returns a promise
+const registerMailTransport = (name, send) => {
+  transports[name] = send;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  // Reset links, invitations and patient addresses must not end up in the
+  // production logs
+  if (name === 'console' && process.env.NODE_ENV === 'production') {
+    throw new Error('No mail transport configured: set MAIL_TRANSPORT in production');
+  }
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || 'MentaCare <no-reply@mentacare.local>',
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+export { sendMail, registerMailTransport };
@@ -0,0 +1,117 @@
+import fs from 'fs';
+import bcrypt from 'bcryptjs';
+
+// Password rules for admin accounts. Every rule can be tuned through env vars;
+// the blocklist of common/breached passwords ships in config/common-passwords.txt.
+
+const envFlag = (name, fallback) =>
+  process.env[name] === undefined ? fallback : process.env[name] === 'true';
+
+const policy = {
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 12,
+  requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireNumber: envFlag('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', true),
+  // How many previous passwords may not be reused (0 disables the check)
+  historyCount: Number(process.env.PASSWORD_HISTORY_COUNT ?? 5),
+  // Days before a password must be changed (0 disables expiry)
+  maxAgeDays: Number(process.env.PASSWORD_MAX_AGE_DAYS ?? 90),
+};
+
+const blocklist = new Set(
+  fs
+    .readFileSync(new URL('../config/common-passwords.txt', import.meta.url), 'utf8')
+    .split('\n')
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith('#'))
+);
+
+// "Password123!" is as weak as "password": also check the word without the
+// digits and symbols people usually tack onto either end
+const isBlocklisted = (password) => {
+  const lower = password.toLowerCase();
+  return [
+    lower,
+    lower.replace(/[^a-z]+$/, ''),
+    lower.replace(/^[^a-z]+|[^a-z]+$/g, ''),
+  ].some((candidate) => candidate && blocklist.has(candidate));
+};
+
+// Returns a list of human-readable problems; empty when the password is acceptable
+const validatePassword = (password, { email, name } = {}) => {
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  const problems = [];
+  if (password.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    problems.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    problems.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(password)) {
+    problems.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    problems.push('Password must contain a symbol');
+  }
+  if (isBlocklisted(password)) {
+    problems.push('Password is too common, choose something less predictable');
+  }
+
+  const lower = password.toLowerCase();
+  const emailName = email ? String(email).split('@')[0].toLowerCase() : '';
+  if (emailName.length >= 3 && lower.includes(emailName)) {
+    problems.push('Password must not contain your email address');
+  }
+  const nameParts = name ? String(name).toLowerCase().split(/\s+/) : [];
+  if (nameParts.some((part) => part.length >= 3 && lower.includes(part))) {
+    problems.push('Password must not contain your name');
+  }
+
+  return problems;
+};
+
+// True if `password` matches the admin's current password or one of the
+// last `historyCount` ones. Needs `password` and `passwordHistory` selected.
+const isPasswordReused = async (admin, password) => {
+  if (policy.historyCount <= 0) return false;
+
+  const hashes = [admin.password, ...(admin.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, policy.historyCount);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+// Throws a 400 listing every problem with the new password
+const assertPasswordAcceptable = async (res, admin, password) => {
+  const problems = validatePassword(password, {
+    email: admin.email,
+    name: admin.name,
+  });
+  if (problems.length === 0 && (await isPasswordReused(admin, password))) {
+    problems.push(
+      `Password must not match any of your last ${policy.historyCount} passwords`
+    );
+  }
+
+  if (problems.length > 0) {
+    res.status(400);
+    const error = new Error(
+      `Password does not meet the password policy: ${problems.join('; ')}`
+    );
+    error.details = problems;
+    throw error;
+  }
+};
+
+export { policy as passwordPolicy, validatePassword, isPasswordReused, assertPasswordAcceptable };
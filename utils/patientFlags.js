@@ -0,0 +1,128 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import FlagType, { FLAG_SEVERITIES } from '../models/FlagType.js';
+import PatientFlag, { OPEN_FLAG_STATUSES } from '../models/PatientFlag.js';
+import { describeActor } from './actors.js';
+import { recordAudit } from './audit.js';
+
+// Structured patient flags (models/PatientFlag.js). The labels of a patient's
+// open flags are mirrored into the Firestore patient's `flags` array, which
+// list views, filters and older clients still read.
+
+// Unacknowledged flags at these severities go to the escalation queue
+const ESCALATION_SEVERITIES = ['high', 'critical'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Active catalog entry for `key`, also accepting its label ("High Risk") so
+// the old free-text flag requests keep working; 400 when there is none
+const resolveFlagType = async (res, key) => {
+  const catalog = await FlagType.getCatalog();
+  const wanted = String(key || '').toLowerCase();
+  const type = catalog.find(
+    (entry) => entry.key === wanted || entry.label.toLowerCase() === wanted
+  );
+  if (!type) {
+    res.status(400);
+    const error = new Error(`Unknown flag type: ${key}`);
+    error.details = { allowed: catalog.map((entry) => entry.key) };
+    throw error;
+  }
+  return type;
+};
+
+// Raise a flag on the patient in `patientDoc` (Firestore). Severity and review
+// date default from the flag type. Returns { flag }, or { existing } when the
+// patient already has an open flag of that type.
+const raisePatientFlag = async (
+  req,
+  res,
+  patientDoc,
+  { type: typeKey, severity, reason, reviewDueAt, source }
+) => {
+  const type = await resolveFlagType(res, typeKey);
+  if (severity !== undefined && !FLAG_SEVERITIES.includes(severity)) {
+    res.status(400);
+    throw new Error(`severity must be one of ${FLAG_SEVERITIES.join(', ')}`);
+  }
+  if (!reason || !String(reason).trim()) {
+    res.status(400);
+    throw new Error('A reason is required to flag a patient');
+  }
+  if (reviewDueAt && Number.isNaN(new Date(reviewDueAt).getTime())) {
+    res.status(400);
+    throw new Error('reviewDueAt must be a valid date');
+  }
+
+  const existing = await PatientFlag.findOne({
+    patient: patientDoc.id,
+    type: type.key,
+    status: { $in: OPEN_FLAG_STATUSES },
+  });
+  if (existing) return { existing };
+
+  const raisedAt = new Date();
+  let flag;
+  try {
+    flag = await PatientFlag.create({
+      patient: patientDoc.id,
+      patientName: patientDoc.data().name,
+      type: type.key,
+      label: type.label,
+      severity: severity || type.defaultSeverity,
+      reason: String(reason).trim(),
+      source,
+      raisedBy: describeActor(req.impersonator || req.user),
+      raisedAt,
+      reviewDueAt: reviewDueAt
+        ? new Date(reviewDueAt)
+        : new Date(raisedAt.getTime() + type.reviewAfterDays * DAY),
+    });
+  } catch (error) {
+    // Another request raised the same flag since the check above
+    if (error.code !== 11000) throw error;
+    const raced = await PatientFlag.findOne({
+      patient: patientDoc.id,
+      type: type.key,
+      status: { $in: OPEN_FLAG_STATUSES },
+    });
+    if (!raced) throw error;
+    return { existing: raced };
+  }
+
+  await patientDoc.ref.update({
+    flags: FieldValue.arrayUnion(type.label),
+    updatedAt: new Date().toISOString(),
+  });
+  await recordAudit(req, {
+    action: 'patient.flag',
+    targetType: 'patients',
+    targetId: patientDoc.id,
+    after: flag.toObject(),
+    metadata: { flagId: flag._id, source: flag.source },
+  });
+  return { flag };
+};
+
+// Take a closed flag's label off the Firestore patient, unless another open
+// flag still carries it
+const unmirrorFlag = async (patientRef, flag) => {
+  const stillOpen = await PatientFlag.exists({
+    patient: flag.patient,
+    label: flag.label,
+    status: { $in: OPEN_FLAG_STATUSES },
+  });
+  if (stillOpen) return;
+
+  await patientRef.update({
+    flags: FieldValue.arrayRemove(flag.label),
+    updatedAt: new Date().toISOString(),
+  });
+};
+
+export {
+  OPEN_FLAG_STATUSES,
+  ESCALATION_SEVERITIES,
+  resolveFlagType,
+  raisePatientFlag,
+  unmirrorFlag,
+};
@@ -0,0 +1,31 @@
+import { db } from '../config/firebase.js';
+import Patient from '../models/Patient.js';
+import { isProfessional, isPatientAssignedTo } from './professionals.js';
+
+// Firestore patient doc for req.params.id. Missing docs, non-patients and
+// patients outside a professional's caseload all get the same 404.
+const findAccessiblePatient = async (req, res, id = req.params.id) => {
+  const patientDoc = await db.collection('users').doc(id).get();
+  const patient = patientDoc.exists ? patientDoc.data() : null;
+
+  if (
+    !patient ||
+    patient.role !== 'patient' ||
+    (isProfessional(req.user) && !isPatientAssignedTo(patient, req.user))
+  ) {
+    res.status(404);
+    throw new Error('Patient not found');
+  }
+  return patientDoc;
+};
+
+// Mongo Patient _id behind a Firestore patient, or null if they have no
+// sessions record. Like therapists, the two are matched by email.
+const findSessionPatientId = async (patientDoc) => {
+  const email = patientDoc.data().email;
+  if (!email) return null;
+  const patient = await Patient.findOne({ email }).select('_id');
+  return patient?._id || null;
+};
+
+export { findAccessiblePatient, findSessionPatientId };
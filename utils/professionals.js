@@ -0,0 +1,98 @@
+import { Filter } from 'firebase-admin/firestore';
+import { db } from '../config/firebase.js';
+import Therapist from '../models/Therapist.js';
+
+// Bridges between a professional's Firestore profile (`users` collection,
+// role "professional") and the Mongo Therapist record that sessions reference.
+// The two are matched by email.
+
+const findProfessionalByUid = async (uid) => {
+  const byId = await db.collection('users').doc(uid).get();
+  if (byId.exists) return byId;
+
+  const byUid = await db
+    .collection('users')
+    .where('uid', '==', uid)
+    .limit(1)
+    .get();
+  return byUid.empty ? null : byUid.docs[0];
+};
+
+const findProfessionalById = async (id) => {
+  const doc = await db.collection('users').doc(id).get();
+  return doc.exists && doc.data().role === 'professional' ? doc : null;
+};
+
+// Mongo Therapist _id for a professional, or null if they have no sessions record
+const findTherapistIdForProfessional = async (professional) => {
+  if (!professional?.email) return null;
+  const therapist = await Therapist.findOne({ email: professional.email }).select('_id');
+  return therapist?._id || null;
+};
+
+// The req.user shape for a professional, from their Firestore profile. _id is
+// the profile's doc id, which is what patients' assigned_therapist refers to.
+const buildProfessionalUser = async (profileDoc, uid) => {
+  const profile = profileDoc.data();
+  const user = {
+    _id: profileDoc.id,
+    uid: uid || profile.uid || profileDoc.id,
+    name: profile.name || profile.full_name,
+    email: profile.email,
+    role: 'professional',
+    permissions: [],
+  };
+  user.therapistId = await findTherapistIdForProfessional(user);
+  return user;
+};
+
+// Firestore profile of the professional behind a Mongo Therapist, if any
+const findProfessionalForTherapist = async (therapistId) => {
+  const therapist = await Therapist.findById(therapistId).select('email');
+  if (!therapist) return null;
+
+  const snapshot = await db
+    .collection('users')
+    .where('email', '==', therapist.email)
+    .where('role', '==', 'professional')
+    .limit(1)
+    .get();
+  return snapshot.empty ? null : snapshot.docs[0];
+};
+
+const isProfessional = (user) => user?.role === 'professional';
+
+// Patients are linked to professionals either by Firestore doc id
+// (`assigned_therapist`, set by the admin dashboard) or by auth uid
+// (`assignedTherapist`, set by the apps)
+const isPatientAssignedTo = (patient, user) =>
+  Boolean(
+    patient &&
+      ((patient.assigned_therapist && patient.assigned_therapist === user._id) ||
+        (patient.assignedTherapist && patient.assignedTherapist === user.uid))
+  );
+
+const assignedPatientsFilter = (user) =>
+  Filter.or(
+    Filter.where('assigned_therapist', '==', user._id),
+    Filter.where('assignedTherapist', '==', user.uid)
+  );
+
+// `session.therapist` may be an ObjectId or a populated Therapist
+const isOwnSession = (session, user) => {
+  if (!user.therapistId || !session?.therapist) return false;
+  const therapistId = session.therapist._id || session.therapist;
+  return String(therapistId) === String(user.therapistId);
+};
+
+export {
+  findProfessionalByUid,
+  findProfessionalById,
+  buildProfessionalUser,
+  findTherapistIdForProfessional,
+  findProfessionalForTherapist,
+  isProfessional,
+  isPatientAssignedTo,
+  assignedPatientsFilter,
+  isOwnSession,
+};
@@ -0,0 +1,52 @@
+import { INSTRUMENTS } from '../config/questionnaires.js';
+
+// Lookup and scoring for the instruments in config/questionnaires.js
+
+const latestVersion = (code) =>
+  Math.max(...Object.keys(INSTRUMENTS[code] || {}).map(Number));
+
+// The definition of `code` at `version` (latest when omitted), or null
+const getInstrument = (code, version) => {
+  const versions = INSTRUMENTS[code];
+  if (!versions) return null;
+
+  const resolved = version !== undefined ? Number(version) : latestVersion(code);
+  const definition = versions[resolved];
+  return definition ? { code, version: resolved, ...definition } : null;
+};
+
+// Every instrument at its latest version
+const listInstruments = () =>
+  Object.keys(INSTRUMENTS).map((code) => getInstrument(code));
+
+// Problems with `answers` (one option value per item, in item order); empty
+// when they can be scored
+const validateAnswers = (instrument, answers) => {
+  if (!Array.isArray(answers)) {
+    return ['answers must be an array with one value per item'];
+  }
+  const problems = [];
+  if (answers.length !== instrument.items.length) {
+    problems.push(`${instrument.code} has ${instrument.items.length} items, got ${answers.length} answers`);
+  }
+  const allowed = instrument.options.map((option) => option.value);
+  answers.forEach((value, index) => {
+    if (!allowed.includes(value)) {
+      problems.push(`Item ${index + 1} must be one of ${allowed.join(', ')}`);
+    }
+  });
+  return problems;
+};
+
+// { totalScore, severity, riskFlags: [{ item, value, flag }] } for valid answers
+const scoreAnswers = (instrument, answers) => {
+  const totalScore = answers.reduce((sum, value) => sum + value, 0);
+  const band = instrument.bands.find((range) => totalScore >= range.min && totalScore <= range.max);
+  const riskFlags = instrument.riskItems
+    .filter((rule) => answers[rule.item - 1] >= rule.minValue)
+    .map((rule) => ({ item: rule.item, value: answers[rule.item - 1], flag: rule.flag }));
+
+  return { totalScore, severity: band?.severity || null, riskFlags };
+};
+
+export { getInstrument, listInstruments, validateAnswers, scoreAnswers };
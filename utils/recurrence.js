@@ -0,0 +1,67 @@
+import { DEFAULT_TIMEZONE, getZonedParts, zonedTimeToUtc } from './availability.js';
+
+// RRULE-style expansion for session series. Occurrences keep the local
+// wall-clock time of the first session in the series' time zone, so a 10:00
+// weekly session stays at 10:00 across DST changes.
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+const MAX_OCCURRENCES = Number(process.env.SERIES_MAX_OCCURRENCES) || 104;
+
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+// Same day of month, n months later; null if that month is too short (the
+// 31st has no occurrence in a 30-day month, as in RFC 5545)
+const addMonths = (date, months) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const shifted = new Date(Date.UTC(year, month - 1 + months, day));
+  return shifted.getUTCDate() === day ? shifted.toISOString().slice(0, 10) : null;
+};
+
+// Problems with a recurrence definition; empty when it can be expanded
+const validateRecurrence = ({ frequency, count, until } = {}) => {
+  const problems = [];
+  if (!FREQUENCIES.includes(frequency)) {
+    problems.push(`frequency must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  if (count === undefined && until === undefined) {
+    problems.push('Either count or until is required');
+  }
+  if (count !== undefined && (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)) {
+    problems.push(`count must be between 1 and ${MAX_OCCURRENCES}`);
+  }
+  if (until !== undefined && Number.isNaN(new Date(until).getTime())) {
+    problems.push('until must be a valid date');
+  }
+  return problems;
+};
+
+// Start instants of every occurrence, first one included. Stops at `count`
+// occurrences or after `until` (inclusive), whichever comes first, and never
+// returns more than MAX_OCCURRENCES.
+const expandRecurrence = ({ start, frequency, count, until, timeZone = DEFAULT_TIMEZONE }) => {
+  const first = getZonedParts(start, timeZone);
+  const limit = Math.min(count ?? MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const untilTime = until ? new Date(until).getTime() : Infinity;
+  const occurrences = [];
+
+  // Monthly rules can skip short months, so bound the loop by steps, not results
+  for (let step = 0; occurrences.length < limit && step < MAX_OCCURRENCES * 2; step += 1) {
+    const date =
+      frequency === 'monthly'
+        ? addMonths(first.date, step)
+        : addDays(first.date, step * (frequency === 'biweekly' ? 14 : 7));
+    if (!date) continue;
+
+    const occurrence = step === 0 ? new Date(start) : zonedTimeToUtc(date, first.minutes, timeZone);
+    if (occurrence.getTime() > untilTime) break;
+    occurrences.push(occurrence);
+  }
+
+  return occurrences;
+};
+
+export { FREQUENCIES, MAX_OCCURRENCES, validateRecurrence, expandRecurrence };
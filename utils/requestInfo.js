@@ -0,0 +1,65 @@
+import net from "net"
+
+// Helpers for describing where a request came from (session registry, audit)
+
+// Honours X-Forwarded-For only when TRUST_PROXY is set (see server.js)
+const getClientIp = (req) => req.ip || req.socket?.remoteAddress || null
+
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Chrome", /Chrome\//],
+  ["Firefox", /Firefox\//],
+  ["Safari", /Safari\//],
+]
+
+const OPERATING_SYSTEMS = [
+  ["Android", /Android/],
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["Linux", /Linux/],
+]
+
+// Human-readable "Chrome on Windows" style label for a User-Agent header
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return "Unknown device"
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0]
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0]
+
+  if (browser && os) return `${browser} on ${os}`
+  return browser || os || userAgent.slice(0, 60)
+}
+
+// IPv4 clients of a dual-stack server show up as "::ffff:1.2.3.4"
+const normalizeIp = (ip) => (ip && ip.startsWith("::ffff:") && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip)
+
+// An allowlist rule is a single address ("203.0.113.7") or a CIDR range ("10.0.0.0/8")
+const parseIpRule = (rule) => {
+  const [address, bits, extra] = String(rule).trim().split("/")
+  const family = net.isIP(address)
+  if (!family || extra !== undefined) return null
+
+  const maxBits = family === 4 ? 32 : 128
+  const prefix = bits === undefined ? maxBits : Number(bits)
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxBits) return null
+  return { address, prefix, type: family === 4 ? "ipv4" : "ipv6" }
+}
+
+const isValidIpRule = (rule) => parseIpRule(rule) !== null
+
+// True if `ip` matches any rule; an empty allowlist allows every address
+const isIpAllowed = (ip, allowlist = []) => {
+  if (allowlist.length === 0) return true
+  const address = normalizeIp(ip)
+  if (!net.isIP(address)) return false
+  const type = net.isIP(address) === 6 ? "ipv6" : "ipv4"
+
+  const blockList = new net.BlockList()
+  for (const rule of allowlist.map(parseIpRule).filter(Boolean)) {
+    blockList.addSubnet(rule.address, rule.prefix, rule.type)
+  }
+  return blockList.check(address, type)
+}
+
+export { getClientIp, describeUserAgent, isValidIpRule, isIpAllowed }
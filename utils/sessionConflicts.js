@@ -0,0 +1,193 @@
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import {
+  normalizeAvailability,
+  isWithinAvailability,
+  describeAvailability,
+} from './availability.js';
+import { findProfessionalForTherapist } from './professionals.js';
+
+// Cancelled sessions free their slot, and so do rescheduled ones (the booking
+// moved to rescheduledTo); every other status still occupies it
+const BLOCKING_STATUS_FILTER = { status: { $nin: ['cancelled', 'rescheduled'] } };
+
+const toObjectId = (id) =>
+  mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(String(id)) : null;
+
+// Every patient a session occupies: its patient, or a group's active participants
+const sessionPatientIds = ({ patient, participants = [] }) =>
+  [
+    patient,
+    ...participants
+      .filter((participant) => participant.status !== 'withdrawn')
+      .map((participant) => participant.patient),
+  ]
+    .filter(Boolean)
+    .map((id) => String(id._id ?? id));
+
+// Existing sessions of the same therapist or any of the same patients
+// overlapping [datetime, datetime + duration). `excludeIds` skips the
+// session(s) being edited.
+const findOverlappingSessions = async ({
+  therapist,
+  patient,
+  participants,
+  datetime,
+  duration,
+  excludeIds = [],
+}) => {
+  const start = new Date(datetime);
+  const end = new Date(start.getTime() + duration * 60 * 1000);
+  const patientIds = sessionPatientIds({ patient, participants });
+  const patientObjectIds = patientIds.map(toObjectId).filter(Boolean);
+  const clauses = [
+    therapist && { therapist: toObjectId(therapist) },
+    patientIds.length > 0 && { patient: { $in: patientObjectIds } },
+    patientIds.length > 0 && {
+      participants: {
+        $elemMatch: { patient: { $in: patientObjectIds }, status: { $ne: 'withdrawn' } },
+      },
+    },
+  ].filter(Boolean);
+
+  if (clauses.length === 0) return [];
+
+  const sessions = await Session.find({
+    ...BLOCKING_STATUS_FILTER,
+    _id: { $nin: excludeIds.map(toObjectId).filter(Boolean) },
+    $or: clauses,
+    datetime: { $lt: end },
+    $expr: {
+      $gt: [{ $add: ['$datetime', { $multiply: ['$duration', 60 * 1000] }] }, start],
+    },
+  })
+    .select('type patient participants therapist datetime duration status')
+    .lean();
+
+  return sessions.map((session) => {
+    const clashingPatients = sessionPatientIds(session).filter((id) => patientIds.includes(id));
+    return {
+      _id: session._id,
+      type: session.type,
+      datetime: session.datetime,
+      duration: session.duration,
+      status: session.status,
+      clashesWith: [
+        therapist && String(session.therapist) === String(therapist) && 'therapist',
+        clashingPatients.length > 0 && 'patient',
+      ].filter(Boolean),
+      ...(clashingPatients.length > 0 && { patients: clashingPatients }),
+    };
+  });
+};
+
+// Availability of the Mongo therapist, read from the matching Firestore profile.
+// Null when the therapist has no profile to read hours from.
+const getTherapistAvailability = async (therapistId) => {
+  const profileDoc = await findProfessionalForTherapist(therapistId);
+  if (!profileDoc) return null;
+  const profile = profileDoc.data();
+  return normalizeAvailability(profile.availability, profile.timezone || profile.timeZone);
+};
+
+// Every reason the proposed booking cannot go ahead:
+// { overlaps: [...], outsideAvailability: null | { timeZone, availability } }
+// Pass `availability` (possibly null) to reuse one lookup across many candidates.
+const checkSessionConflicts = async (candidate, { excludeIds = [], availability } = {}) => {
+  const [overlaps, therapistAvailability] = await Promise.all([
+    findOverlappingSessions({ ...candidate, excludeIds }),
+    availability !== undefined ? availability : getTherapistAvailability(candidate.therapist),
+  ]);
+
+  const outsideAvailability =
+    therapistAvailability &&
+    !isWithinAvailability(therapistAvailability, candidate.datetime, candidate.duration)
+      ? {
+          timeZone: therapistAvailability.timeZone,
+          availability: describeAvailability(therapistAvailability),
+        }
+      : null;
+
+  return {
+    overlaps,
+    outsideAvailability,
+    hasConflicts: overlaps.length > 0 || Boolean(outsideAvailability),
+  };
+};
+
+// A super_admin may send `force: true` to book despite conflicts. Returns the
+// override to record in the audit entry, or throws 403 for anyone else.
+const resolveOverride = (req, res, conflicts) => {
+  if (req.body.force !== true) return null;
+  if (req.user.role !== 'super_admin') {
+    res.status(403);
+    throw new Error('Only super_admins can force a conflicting booking');
+  }
+  return { forced: true, ...conflicts };
+};
+
+// Reject a booking that overlaps the therapist's or patient's other sessions or
+// falls outside the therapist's availability (409, conflicts in `details`).
+// Returns the super_admin override, if one was used.
+const assertSchedulable = async (req, res, candidate, excludeIds = []) => {
+  const { overlaps, outsideAvailability, hasConflicts } = await checkSessionConflicts(
+    candidate,
+    { excludeIds }
+  );
+  if (!hasConflicts) return undefined;
+
+  const override = resolveOverride(req, res, { overlaps, outsideAvailability });
+  if (override) return override;
+
+  res.status(409);
+  const error = new Error(
+    overlaps.length > 0
+      ? 'Session overlaps existing sessions for this therapist or patient'
+      : "Session is outside the therapist's availability"
+  );
+  error.details = { conflicts: overlaps, outsideAvailability };
+  throw error;
+};
+
+// Same check for several occurrences of a series at once. `details.occurrences`
+// lists every occurrence that conflicts, by its 1-based position.
+const assertOccurrencesSchedulable = async (req, res, candidates, excludeIds = []) => {
+  if (candidates.length === 0) return undefined;
+  const availability = await getTherapistAvailability(candidates[0].therapist);
+
+  const occurrences = [];
+  for (const [index, candidate] of candidates.entries()) {
+    const { overlaps, outsideAvailability, hasConflicts } = await checkSessionConflicts(
+      candidate,
+      { excludeIds, availability }
+    );
+    if (hasConflicts) {
+      occurrences.push({
+        occurrence: candidate.seriesIndex ?? index + 1,
+        datetime: candidate.datetime,
+        conflicts: overlaps,
+        outsideAvailability,
+      });
+    }
+  }
+  if (occurrences.length === 0) return undefined;
+
+  const override = resolveOverride(req, res, { occurrences });
+  if (override) return override;
+
+  res.status(409);
+  const error = new Error(
+    `${occurrences.length} of ${candidates.length} occurrences conflict with existing sessions or availability`
+  );
+  error.details = { occurrences };
+  throw error;
+};
+
+export {
+  sessionPatientIds,
+  findOverlappingSessions,
+  getTherapistAvailability,
+  checkSessionConflicts,
+  assertSchedulable,
+  assertOccurrencesSchedulable,
+};
@@ -0,0 +1,114 @@
+import { describeActor } from './actors.js';
+
+// Session status state machine. Every status change goes through
+// applyStatusTransition, which enforces the allowed transitions below and
+// appends the change to session.statusHistory.
+//
+// `roles` limits who may make a transition (anyone with the route's permission
+// when omitted); `requiresReason` makes a `reason` mandatory; `afterStart`
+// only allows it once the session's start time has passed.
+
+const ADMIN_ROLES = ['super_admin', 'admin'];
+
+const ACTIVE_TRANSITIONS = {
+  completed: { afterStart: true },
+  missed: { afterStart: true },
+  cancelled: { requiresReason: true },
+  rescheduled: { requiresReason: true },
+};
+
+const SESSION_TRANSITIONS = {
+  upcoming: {
+    ...ACTIVE_TRANSITIONS,
+    // Set by the attendance job once a session is over and still unmarked
+    pending_attendance: { roles: ['system'], afterStart: true },
+  },
+  // Waiting for the therapist to mark attendance; the job marks it missed
+  // once the grace period runs out
+  pending_attendance: ACTIVE_TRANSITIONS,
+  // Rescheduling books a new session (rescheduledTo) and retires this one
+  rescheduled: {},
+  // Attendance corrections are admin-only and must be explained
+  completed: {
+    missed: { roles: ADMIN_ROLES, requiresReason: true },
+  },
+  missed: {
+    completed: { roles: ADMIN_ROLES, requiresReason: true },
+  },
+  cancelled: {},
+};
+
+const SESSION_STATUSES = Object.keys(SESSION_TRANSITIONS);
+
+const allowedTransitions = (status) => Object.keys(SESSION_TRANSITIONS[status] || {});
+
+// Throws 422 listing the allowed transitions
+const rejectTransition = (res, message, from) => {
+  res.status(422);
+  const error = new Error(message);
+  error.details = { from, allowed: allowedTransitions(from) };
+  throw error;
+};
+
+// Move `session` to status `to` on behalf of req.user (`actor` overrides it,
+// e.g. for scheduled jobs). Role limits apply to the account being used, so an
+// impersonating super_admin gets no more than that account; the history still
+// names the impersonator. Does not save the session. Returns false (a no-op)
+// when the status does not change.
+const applyStatusTransition = (req, res, session, to, { reason, actor } = {}) => {
+  const from = session.status;
+  if (to === from) return false;
+
+  if (reason != null && typeof reason !== 'string') {
+    res.status(400);
+    throw new Error('reason must be a string');
+  }
+
+  if (!SESSION_STATUSES.includes(to)) {
+    rejectTransition(res, `Unknown session status: ${to}`, from);
+  }
+  const rule = SESSION_TRANSITIONS[from]?.[to];
+  if (!rule) {
+    rejectTransition(res, `A ${from} session cannot become ${to}`, from);
+  }
+
+  const by = actor || req?.impersonator || req?.user;
+  const role = (actor || req?.user)?.role;
+  if (rule.roles && !rule.roles.includes(role)) {
+    rejectTransition(res, `Only ${rule.roles.join(' or ')} can change a ${from} session to ${to}`, from);
+  }
+  if (rule.requiresReason && !(typeof reason === 'string' && reason.trim())) {
+    rejectTransition(res, `A reason is required to mark a session ${to}`, from);
+  }
+  if (rule.afterStart && new Date(session.datetime) > new Date()) {
+    rejectTransition(res, `A session cannot be marked ${to} before it starts`, from);
+  }
+
+  session.status = to;
+  session.statusHistory.push({
+    from,
+    to,
+    at: new Date(),
+    actor: describeActor(by),
+    reason: reason?.trim() || undefined,
+  });
+  return true;
+};
+
+// History entry for a newly created session
+const recordInitialStatus = (req, session, { actor } = {}) => {
+  session.statusHistory.push({
+    from: null,
+    to: session.status,
+    at: new Date(),
+    actor: describeActor(actor || req?.impersonator || req?.user),
+  });
+};
+
+export {
+  SESSION_STATUSES,
+  SESSION_TRANSITIONS,
+  allowedTransitions,
+  applyStatusTransition,
+  recordInitialStatus,
+};
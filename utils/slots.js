@@ -0,0 +1,102 @@
+import {
+  WEEKDAYS,
+  formatTime,
+  getZonedParts,
+  zonedTimeToUtc,
+} from './availability.js';
+
+// Bookable slot computation for the slot finder. Slots are laid out on a
+// fixed grid inside each availability window (every `step` minutes from the
+// window start), then dropped if they clash with a booked session or its buffer.
+
+const DEFAULT_SLOT_DURATION = Number(process.env.SLOT_DEFAULT_DURATION_MINUTES) || 50;
+const DEFAULT_SLOT_STEP = Number(process.env.SLOT_STEP_MINUTES) || 30;
+const DEFAULT_BUFFER_MINUTES = Number(process.env.SESSION_BUFFER_MINUTES ?? 10);
+const MAX_RANGE_DAYS = Number(process.env.SLOT_MAX_RANGE_DAYS) || 31;
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+const dayOfWeek = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+};
+
+// Parse and bound the slot query (`from`, `to`, `duration`, `step`).
+// Returns { range } or { error } with a message for a 400 response.
+const parseSlotQuery = (query, now = new Date()) => {
+  const from = query.from ? new Date(query.from) : now;
+  const to = query.to ? new Date(query.to) : new Date(from.getTime() + 7 * DAY);
+  const duration = query.duration ? Number(query.duration) : DEFAULT_SLOT_DURATION;
+  const step = query.step ? Number(query.step) : DEFAULT_SLOT_STEP;
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (to <= from) {
+    return { error: 'to must be after from' };
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY) {
+    return { error: `The range can span at most ${MAX_RANGE_DAYS} days` };
+  }
+  if (!Number.isInteger(duration) || duration < 5 || duration > 8 * 60) {
+    return { error: 'duration must be a whole number of minutes between 5 and 480' };
+  }
+  if (!Number.isInteger(step) || step < 5 || step > 24 * 60) {
+    return { error: 'step must be a whole number of minutes, at least 5' };
+  }
+
+  // Nothing in the past is bookable
+  return { range: { from: from < now ? now : from, to, duration, step } };
+};
+
+// `availability` is normalised (utils/availability.js); `busy` holds the
+// therapist's booked sessions as { datetime, duration }. A slot may not start
+// within `buffer` minutes after a session ends or end within `buffer` minutes
+// before one starts.
+const computeSlots = ({ availability, busy = [], from, to, duration, step, buffer = DEFAULT_BUFFER_MINUTES }) => {
+  const { timeZone } = availability;
+  const booked = busy.map((session) => {
+    const start = new Date(session.datetime).getTime();
+    return { start: start - buffer * MINUTE, end: start + (session.duration + buffer) * MINUTE };
+  });
+
+  const slots = [];
+  const lastDate = getZonedParts(to, timeZone).date;
+  for (let date = getZonedParts(from, timeZone).date; date <= lastDate; date = addDays(date, 1)) {
+    for (const window of availability.days[dayOfWeek(date)]) {
+      for (let minutes = window.start; minutes + duration <= window.end; minutes += step) {
+        const start = zonedTimeToUtc(date, minutes, timeZone);
+        const end = new Date(start.getTime() + duration * MINUTE);
+        if (start < from || end > to) continue;
+
+        const clashes = booked.some(
+          (session) => start.getTime() < session.end && end.getTime() > session.start
+        );
+        if (!clashes) {
+          slots.push({
+            start,
+            end,
+            localDate: date,
+            localStart: formatTime(minutes),
+            localEnd: formatTime(minutes + duration),
+          });
+        }
+      }
+    }
+  }
+
+  return slots;
+};
+
+export {
+  DEFAULT_BUFFER_MINUTES,
+  MAX_RANGE_DAYS,
+  parseSlotQuery,
+  computeSlots,
+};
@@ -0,0 +1,42 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Pluggable outgoing SMS, mirroring utils/mailer.js. Pick a transport with
+// SMS_TRANSPORT; `console` (the default, refused in production) and `file`
+// are built in for development, and deployments register their provider's
+// adapter with registerSmsTransport().
+
+const transports = {
+  console: async (message) => {
+    console.log(`📱 SMS to ${message.to}: ${message.text}\n`);
+  },
+  file: async (message) => {
+    const filePath = process.env.SMS_FILE_PATH || 'logs/sms.log';
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(
+      filePath,
+      `${JSON.stringify({ ...message, sentAt: new Date().toISOString() })}\n`
+    );
+  },
+};
+
+// `send` receives { from, to, text } and returns a promise
+const registerSmsTransport = (name, send) => {
+  transports[name] = send;
+};
+
+const sendSms = async ({ to, text }) => {
+  const name = process.env.SMS_TRANSPORT || 'console';
+  // Phone numbers and join links must not end up in the production logs
+  if (name === 'console' && process.env.NODE_ENV === 'production') {
+    throw new Error('No SMS transport configured: set SMS_TRANSPORT in production');
+  }
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown SMS transport: ${name}`);
+  }
+
+  await transport({ from: process.env.SMS_FROM || 'MentaCare', to, text });
+};
+
+export { sendSms, registerSmsTransport };
@@ -0,0 +1,129 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+
+// Pluggable object storage for uploaded files. Pick an adapter with
+// STORAGE_ADAPTER: `local` (default) keeps files on disk under
+// STORAGE_LOCAL_DIR, `s3` stores them in any S3-compatible bucket (AWS, or
+// MinIO through S3_ENDPOINT). Deployments can add their own with
+// registerStorageAdapter().
+//
+// An adapter has put(key, buffer, { contentType, checksum }), read(key) (a
+// readable stream) and remove(key). Adapters that can hand out their own
+// short-lived URLs also have signedUrl(key, { expiresIn, filename,
+// contentType }); files in the others are served by the API itself.
+
+const localAdapter = () => {
+  const root = path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer, { flag: 'wx' }); // Never overwrite
+    },
+    read: async (key) => {
+      const filePath = resolveKey(key);
+      await fs.access(filePath); // Fail before any bytes are sent
+      return createReadStream(filePath);
+    },
+    remove: (key) => fs.rm(resolveKey(key), { force: true }),
+  };
+};
+
+const s3Adapter = async () => {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage adapter');
+  }
+  // Loaded on first use so local-only deployments never pay for the SDK
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } =
+    await import('@aws-sdk/client-s3');
+  const { getSignedUrl } = await import('@aws-sdk/s3-request-presigner');
+
+  const endpoint = process.env.S3_ENDPOINT; // e.g. http://localhost:9000 for MinIO
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: endpoint || undefined,
+    // MinIO and most other S3-compatible servers need path-style URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : Boolean(endpoint),
+    // Without keys the SDK's default chain applies (env, profile, instance role)
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+  });
+
+  return {
+    put: (key, buffer, { contentType, checksum }) =>
+      client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+          // The bucket rejects the upload if the bytes do not match
+          ChecksumSHA256: Buffer.from(checksum, 'hex').toString('base64'),
+        })
+      ),
+    read: async (key) => (await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }))).Body,
+    remove: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })),
+    signedUrl: (key, { expiresIn, filename, contentType }) =>
+      getSignedUrl(
+        client,
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          ResponseContentType: contentType,
+          ResponseContentDisposition: contentDisposition(filename),
+        }),
+        { expiresIn }
+      ),
+  };
+};
+
+const factories = {
+  local: localAdapter,
+  s3: s3Adapter,
+};
+const adapters = new Map();
+
+// `create` returns the adapter (or a promise of it); it is called once, on
+// first use
+const registerStorageAdapter = (name, create) => {
+  factories[name] = create;
+  adapters.delete(name);
+};
+
+// Files keep the name of the adapter they were stored with, so changing
+// STORAGE_ADAPTER does not strand existing files
+const getStorageAdapter = async (name = process.env.STORAGE_ADAPTER || 'local') => {
+  if (!factories[name]) {
+    throw new Error(`Unknown storage adapter: ${name}`);
+  }
+  if (!adapters.has(name)) {
+    const created = Promise.resolve().then(() => factories[name]());
+    adapters.set(name, created);
+    created.catch(() => adapters.delete(name)); // Retry after a config fix
+  }
+  return { name, adapter: await adapters.get(name) };
+};
+
+// attachment; filename="plain ascii"; filename*=UTF-8''percent-encoded
+const contentDisposition = (filename) => {
+  const fallback = String(filename).replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+export { registerStorageAdapter, getStorageAdapter, contentDisposition };
@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Pluggable video rooms for sessions with mode "video". Pick a provider with
+// VIDEO_PROVIDER; `jitsi` is built in and needs no external API. Deployments
+// add their own with registerVideoProvider().
+//
+// A provider's createRoom({ sessionId, start, end, expiresAt }) returns
+// { roomId, hostUrl, participantUrl } (or a promise of it). The host link is for
+// the therapist, the participant link for patients.
+
+const MINUTE = 60 * 1000;
+const EARLY_JOIN_MINUTES = Number(process.env.VIDEO_EARLY_JOIN_MINUTES) || 15;
+const LINK_GRACE_MINUTES = Number(process.env.VIDEO_LINK_GRACE_MINUTES) || 60;
+
+// Room names are random, so a link cannot be guessed from the session. With
+// JITSI_APP_SECRET set (a self-hosted Jitsi with token auth), each link carries
+// a JWT that makes the host a moderator and stops working at expiresAt.
+// Without it, the links only differ in the display name they suggest.
+const jitsi = {
+  createRoom: ({ start, expiresAt }) => {
+    const baseUrl = (process.env.JITSI_BASE_URL || 'https://meet.jit.si').replace(/\/$/, '');
+    const roomId = `mentacare-${crypto.randomBytes(12).toString('hex')}`;
+    const secret = process.env.JITSI_APP_SECRET;
+
+    const link = (name, moderator) => {
+      if (!secret) {
+        return `${baseUrl}/${roomId}#userInfo.displayName=${encodeURIComponent(`"${name}"`)}`;
+      }
+      const token = jwt.sign(
+        {
+          aud: 'jitsi',
+          iss: process.env.JITSI_APP_ID || 'mentacare',
+          sub: new URL(baseUrl).hostname,
+          room: roomId,
+          nbf: Math.floor((start.getTime() - EARLY_JOIN_MINUTES * MINUTE) / 1000),
+          exp: Math.floor(expiresAt.getTime() / 1000),
+          context: { user: { name, moderator } },
+        },
+        secret
+      );
+      return `${baseUrl}/${roomId}?jwt=${token}`;
+    };
+
+    return {
+      roomId,
+      hostUrl: link('Therapist', true),
+      participantUrl: link('Patient', false),
+    };
+  },
+};
+
+const providers = { jitsi };
+
+const registerVideoProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+// A new room for `session`, valid until LINK_GRACE_MINUTES after it ends
+const createVideoRoom = async (session) => {
+  const name = process.env.VIDEO_PROVIDER || 'jitsi';
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown video provider: ${name}`);
+  }
+
+  const start = new Date(session.datetime);
+  const end = new Date(start.getTime() + session.duration * MINUTE);
+  const expiresAt = new Date(end.getTime() + LINK_GRACE_MINUTES * MINUTE);
+  const room = await provider.createRoom({ sessionId: String(session._id), start, end, expiresAt });
+
+  return { provider: name, ...room, expiresAt, createdAt: new Date() };
+};
+
+// Give a video session its room, and drop the room of a session that is no
+// longer on video. `regenerate` replaces an existing room, e.g. after the
+// session moved (the old links expire at the old time) or a link leaked.
+// Does not save the session.
+const syncVideoRoom = async (session, { regenerate = false } = {}) => {
+  if (session.mode !== 'video') {
+    session.videoRoom = undefined;
+    return;
+  }
+  if (session.videoRoom?.roomId && !regenerate) return;
+  session.videoRoom = await createVideoRoom(session);
+};
+
+// The link a recipient should use, or null when the room is missing or expired
+const joinUrl = (session, role = 'participant') => {
+  const room = session.videoRoom;
+  if (session.mode !== 'video' || !room?.roomId) return null;
+  if (room.expiresAt && new Date(room.expiresAt) < new Date()) return null;
+  return role === 'host' ? room.hostUrl : room.participantUrl;
+};
+
+export { registerVideoProvider, createVideoRoom, syncVideoRoom, joinUrl };